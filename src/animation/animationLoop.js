@@ -1,16 +1,14 @@
 /**
  * main animation loop 🎬
  * handles frame updates, physics, rendering, and UI updates
- * supports variable timesteps for high refresh rate displays
+ * physics runs on a fixed timestep, rendering at whatever rate the display allows
  */
 
-import { stepPhysics } from '../physics.js';
 import { updateGlossyMaterialUniforms } from '../shaders/glossyShader.js';
 import { updateCubeFromPhysics } from '../objects/physicsCubeSpawner.js';
 import { keyStates } from '../controls.js';
 
 const MOVEMENT_SPEED = 0.1;
-const CUBE_ROTATION_SPEED = 0.01;
 
 /**
  * Creates and starts the main animation loop
@@ -21,13 +19,21 @@ const CUBE_ROTATION_SPEED = 0.01;
  * @param {THREE.Mesh} config.glossyCube - the main glossy cube
  * @param {THREE.Material} config.glossyMaterial - the glossy material
  * @param {THREE.Mesh} config.floor - the floor mesh
- * @param {CANNON.World} config.physicsWorld - the physics world
+ * @param {Object} config.physics - physics client from createPhysicsClient
  * @param {Object} config.cubeSpawner - cube spawner manager
  * @param {Object} config.pauseState - object with isPaused property
  * @param {Object} config.controls - orbit controls
  * @param {Object} config.statsPanel - stats panel UI
  * @param {Object} config.fpsManager - (optional) high refresh rate FPS manager
- * @param {Object} config.skyController - (optional) sky controller for updating time
+ * @param {Object} config.skyController - (optional) sky controller for updating time and reflections
+ * @param {Object} config.impactAudio - (optional) impact audio, its listener follows the camera
+ * @param {Object} config.explosionTool - (optional) blast tool, animates shockwave rings
+ * @param {Object} config.constraintSpawner - (optional) constraint spawner, moves the link rods
+ * @param {Object} config.recorder - (optional) session recorder, drives physics while replaying
+ * @param {Object} config.debugOverlay - (optional) physics debug overlay
+ * @param {Object} config.arena - (optional) arena, its kill plane removes fallen cubes
+ * @param {Object} config.gravity - (optional) gravity controller, tilted by the arrow keys
+ * @param {Object} config.fracture - (optional) fracture manager, for the fragment count (it shatters and fades on physics steps)
  */
 export function startAnimationLoop({
   renderer,
@@ -36,13 +42,21 @@ export function startAnimationLoop({
   glossyCube,
   glossyMaterial,
   floor,
-  physicsWorld,
+  physics,
   cubeSpawner,
   pauseState,
   controls,
   statsPanel,
   fpsManager = null,
   skyController = null,
+  impactAudio = null,
+  explosionTool = null,
+  constraintSpawner = null,
+  recorder = null,
+  debugOverlay = null,
+  arena = null,
+  gravity = null,
+  fracture = null,
 }) {
   let lastFrameTime = performance.now();
   let elapsedTime = 0;
@@ -61,47 +75,60 @@ export function startAnimationLoop({
     elapsedTime += deltaTime;
 
     // Update sky shader time for animated effects (stars twinkling, clouds moving)
+    // and re-capture the sky reflections if the sky changed
     if (skyController) {
       skyController.updateTime(elapsedTime);
+      skyController.updateEnvironment();
     }
 
-    // Get adaptive physics timestep for high FPS support
-    const physicsTimestep = fpsManager
-      ? fpsManager.getPhysicsTimestep()
-      : 1 / 60;
-    const physicsSubsteps = fpsManager ? fpsManager.getPhysicsSubsteps() : 3;
+    // Arrow keys lean gravity in tilt mode
+    if (gravity) {
+      gravity.update(deltaTime);
+    }
+
+    // A replay steps physics itself, with the recorded frame times
+    if (recorder) {
+      recorder.update();
+    }
 
-    // Step physics world (only if not paused)
-    if (!pauseState.isPaused) {
-      stepPhysics(physicsWorld, physicsTimestep, physicsSubsteps);
+    // Step physics by the measured frame time (only if not paused)
+    // with the worker, the transforms this frame shows are from the step before
+    if (!pauseState.isPaused && !(recorder && recorder.isReplaying())) {
+      physics.step(deltaTime);
     }
 
-    // Rotate the glossy cube
-    glossyCube.rotation.x += CUBE_ROTATION_SPEED;
-    glossyCube.rotation.y += CUBE_ROTATION_SPEED;
-
-    // Update the physics body rotation to match the cube
-    const glossyPhysicsBody = glossyCube.userData.physicsBody;
-    if (glossyPhysicsBody) {
-      glossyPhysicsBody.quaternion.set(
-        glossyCube.quaternion.x,
-        glossyCube.quaternion.y,
-        glossyCube.quaternion.z,
-        glossyCube.quaternion.w
-      );
+    // Shockwave rings keep expanding even while paused
+    if (explosionTool) {
+      explosionTool.update(deltaTime);
     }
 
+    // The glossy cube spins through its kinematic body - just follow it
+    updateCubeFromPhysics(glossyCube);
+
     // Update glossy material uniforms (camera position, lights)
     updateGlossyMaterialUniforms(glossyMaterial, scene, camera);
 
     // Update floor lighting uniforms
     updateGlossyMaterialUniforms(floor.material, scene, camera);
 
-    // Update all spawned cubes from physics
-    cubeSpawner.cubes.forEach((cubeData) => {
-      updateCubeFromPhysics(cubeData.mesh);
-      updateGlossyMaterialUniforms(cubeData.material, scene, camera);
-    });
+    // Drop cubes that fell off the world before syncing the rest
+    if (arena) {
+      arena.update();
+    }
+
+    // Write every spawned cube's and fragment's instance straight from
+    // physics (one material update per shape, not per cube)
+    cubeSpawner.instances.update(camera);
+
+    // Stretch the chain/rope/spring rods between their cubes
+    if (constraintSpawner) {
+      constraintSpawner.update();
+    }
+
+    // Wireframes, AABBs and contacts from the latest physics state
+    if (debugOverlay) {
+      debugOverlay.update();
+    }
 
     // Update camera position based on key states
     updateCameraPosition(camera);
@@ -109,8 +136,29 @@ export function startAnimationLoop({
     // Update controls
     controls.update();
 
+    // Keep the audio listener on the camera for 3D panning
+    if (impactAudio) {
+      impactAudio.update(camera);
+    }
+
     // Update stats panel
-    statsPanel.update(cubeSpawner.getCount(), pauseState.isPaused);
+    statsPanel.update(
+      cubeSpawner.getCount(),
+      pauseState.isPaused,
+      cubeSpawner.getMaxCubes(),
+      arena ? arena.getLostCount() : 0,
+      gravity ? gravity.describe() : null,
+      fracture
+        ? {
+            count: fracture.getFragmentCount(),
+            budget: fracture.settings.budget,
+          }
+        : null,
+      {
+        total: renderer.info.render.calls,
+        ...cubeSpawner.instances.getDrawCalls(),
+      }
+    );
 
     // Update FPS statistics if using high refresh rate
     if (fpsManager) {
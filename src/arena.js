@@ -0,0 +1,176 @@
+/**
+ * arena 🏟️
+ * optional walls around the ground (invisible, or glass you can see) and a
+ * kill plane that removes cubes (and fracture fragments) which fell off
+ * the world, so they stop costing simulation time
+ */
+
+import * as THREE from 'three';
+import { GROUND_TOP } from './physics.js';
+
+const GLASS_COLOR = 0xaaddff;
+const GLASS_OPACITY = 0.12;
+
+/**
+ * wall styles, keyed by name (used for the UI dropdown)
+ * @type {Object<string, {label: string}>}
+ */
+export const WALL_STYLES = {
+  none: { label: 'None' },
+  invisible: { label: 'Invisible' },
+  glass: { label: 'Glass' },
+};
+
+/**
+ * builds see-through panes matching the physics walls' inner faces
+ * @param {number} size - distance between opposite walls
+ * @param {number} height - wall height above the ground
+ * @returns {THREE.Group} the panes with their outlines
+ */
+function createGlassWalls(size, height) {
+  const group = new THREE.Group();
+  const material = new THREE.MeshPhysicalMaterial({
+    color: GLASS_COLOR,
+    transparent: true,
+    opacity: GLASS_OPACITY,
+    roughness: 0.05,
+    metalness: 0,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+  });
+  const edgeMaterial = new THREE.LineBasicMaterial({
+    color: GLASS_COLOR,
+    transparent: true,
+    opacity: 0.5,
+  });
+  const geometry = new THREE.PlaneGeometry(size, height);
+  const edges = new THREE.EdgesGeometry(geometry);
+
+  const half = size / 2;
+  [
+    [0, half, 0],
+    [0, -half, Math.PI],
+    [half, 0, Math.PI / 2],
+    [-half, 0, -Math.PI / 2],
+  ].forEach(([x, z, angle]) => {
+    const pane = new THREE.Mesh(geometry, material);
+    pane.add(new THREE.LineSegments(edges, edgeMaterial));
+    pane.position.set(x, GROUND_TOP + height / 2, z);
+    pane.rotation.y = angle;
+    group.add(pane);
+  });
+  return group;
+}
+
+/**
+ * frees a glass wall group's shared geometries and materials
+ * @param {THREE.Group} group - group from createGlassWalls
+ */
+function disposeGlassWalls(group) {
+  const pane = group.children[0];
+  const outline = pane.children[0];
+  pane.geometry.dispose();
+  pane.material.dispose();
+  outline.geometry.dispose();
+  outline.material.dispose();
+}
+
+/**
+ * Creates the arena: walls (off by default) and the kill plane (on)
+ * @param {Object} config - configuration object
+ * @param {THREE.Scene} config.scene - the THREE.js scene
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.cubeSpawner - cube spawner manager (fallen cubes are removed through it)
+ * @param {Object} config.fracture - (optional) fracture manager (fallen fragments are removed through it)
+ * @returns {Object} arena with settings, setWalls, getLostCount, on and update functions
+ */
+export function createArena({ scene, physics, cubeSpawner, fracture = null }) {
+  const settings = {
+    walls: 'none', // key of WALL_STYLES
+    size: 50, // matches the flat ground
+    wallHeight: 6,
+    killPlane: true,
+    killHeight: -20,
+  };
+  const handlers = { cubeLost: [] };
+  let glassWalls = null;
+  let lostCount = 0;
+
+  // A fresh start (clear, recording, replay) starts a fresh count
+  cubeSpawner.on('clear', () => {
+    lostCount = 0;
+  });
+
+  /**
+   * Rebuilds the walls (physics and glass) from the current settings
+   */
+  const applyWalls = () => {
+    if (glassWalls) {
+      scene.remove(glassWalls);
+      disposeGlassWalls(glassWalls);
+      glassWalls = null;
+    }
+
+    if (settings.walls === 'none') {
+      physics.setArenaWalls(null);
+      return;
+    }
+    physics.setArenaWalls({ size: settings.size, height: settings.wallHeight });
+    if (settings.walls === 'glass') {
+      glassWalls = createGlassWalls(settings.size, settings.wallHeight);
+      scene.add(glassWalls);
+    }
+  };
+
+  return {
+    settings,
+
+    /**
+     * Change the walls
+     * @param {Object} changes - any of walls (key of WALL_STYLES), size, wallHeight
+     */
+    setWalls(changes) {
+      Object.assign(settings, changes);
+      applyWalls();
+    },
+
+    /**
+     * How many cubes fell through the kill plane since the last clear
+     * @returns {number} lost cube count
+     */
+    getLostCount() {
+      return lostCount;
+    },
+
+    /**
+     * Listen for arena events
+     * 'cubeLost' gets the removed cube's data and the height it was caught at
+     * @param {string} type - 'cubeLost'
+     * @param {Function} handler - called with { cube, height }
+     */
+    on(type, handler) {
+      handlers[type].push(handler);
+    },
+
+    /**
+     * Removes every cube and fragment that fell below the kill plane
+     * (call every frame); fragments aren't counted as lost cubes
+     */
+    update() {
+      if (!settings.killPlane) return;
+      const fell = ({ physicsBody }) =>
+        physicsBody.position.y < settings.killHeight;
+      cubeSpawner.cubes.filter(fell).forEach((cube) => {
+        const height = cube.physicsBody.position.y;
+        cubeSpawner.remove(cube);
+        lostCount++;
+        handlers.cubeLost.forEach((handler) => handler({ cube, height }));
+      });
+      if (fracture) {
+        fracture.fragments
+          .filter(fell)
+          .forEach((fragment) => fracture.remove(fragment));
+      }
+    },
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * collision impact sounds 🔊
+ * synthesizes little "thunk" sounds with WebAudio for the impacts the simulation reports
+ * loudness and pitch come from impact speed and mass, panned in 3D around the camera
+ */
+
+import * as THREE from 'three';
+
+const MIN_IMPACT_SPEED = 0.6; // below this, contacts are resting jitter
+const MAX_IMPACT_SPEED = 15; // impacts faster than this play at full volume
+const BODY_COOLDOWN = 0.08; // seconds before the same body can sound again
+const MAX_SOUNDS_PER_SECOND = 30;
+const MAX_VOICES = 16; // sounds allowed to ring at the same time
+const SOUND_DURATION = 0.35;
+
+/**
+ * Creates the impact audio subsystem
+ * the AudioContext is only created after the first user gesture, as browsers require
+ * @param {Object} options - audio options
+ * @param {number} options.volume - master volume (0-1, default: 0.6)
+ * @param {boolean} options.muted - start muted (default: false)
+ * @returns {Object} audio controller
+ */
+export function createImpactAudio({ volume = 0.6, muted = false } = {}) {
+  let context = null;
+  let masterGain = null;
+  let noiseBuffer = null;
+  let activeVoices = 0;
+  let recentSounds = []; // timestamps (context time) of recently played sounds
+
+  const settings = { volume, muted };
+  const lastSoundTime = new Map(); // body id -> context time of its last sound, while cooling down
+
+  const forward = new THREE.Vector3();
+  const up = new THREE.Vector3();
+
+  /**
+   * Lazily creates the audio graph
+   * @returns {AudioContext|null} the context, or null if WebAudio is unavailable
+   */
+  const ensureContext = () => {
+    if (context) return context;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    context = new AudioContextClass();
+    masterGain = context.createGain();
+    masterGain.gain.value = settings.muted ? 0 : settings.volume;
+    masterGain.connect(context.destination);
+
+    // Short burst of white noise, reused for the "crack" of every impact
+    const length = Math.floor(context.sampleRate * SOUND_DURATION);
+    noiseBuffer = context.createBuffer(1, length, context.sampleRate);
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    return context;
+  };
+
+  const unlock = () => {
+    const ctx = ensureContext();
+    if (ctx && ctx.state === 'suspended') {
+      ctx.resume();
+    }
+  };
+  window.addEventListener('pointerdown', unlock);
+  window.addEventListener('keydown', unlock);
+
+  /**
+   * Sets an AudioParam value if the browser has it
+   * (older Safari only has setPosition/setOrientation, handled by callers)
+   * @param {AudioParam} param - the param to set
+   * @param {number} value - the new value
+   */
+  const setParam = (param, value) => {
+    if (param) param.value = value;
+  };
+
+  /**
+   * Checks the global rate limit and claims a slot if there is one
+   * @param {number} now - current context time in seconds
+   * @returns {boolean} true if a sound may play
+   */
+  const claimSlot = (now) => {
+    if (activeVoices >= MAX_VOICES) return false;
+    recentSounds = recentSounds.filter((time) => now - time < 1);
+    if (recentSounds.length >= MAX_SOUNDS_PER_SECOND) return false;
+    recentSounds.push(now);
+    return true;
+  };
+
+  /**
+   * Plays a single synthesized impact
+   * @param {{x: number, y: number, z: number}} position - where the impact happened
+   * @param {number} strength - loudness (0-1)
+   * @param {number} frequency - base pitch in Hz
+   */
+  const playImpact = (position, strength, frequency) => {
+    const now = context.currentTime;
+
+    const panner = context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = 3;
+    panner.rolloffFactor = 1;
+    if (panner.positionX) {
+      setParam(panner.positionX, position.x);
+      setParam(panner.positionY, position.y);
+      setParam(panner.positionZ, position.z);
+    } else {
+      panner.setPosition(position.x, position.y, position.z);
+    }
+    panner.connect(masterGain);
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(strength, now);
+    envelope.gain.exponentialRampToValueAtTime(0.001, now + SOUND_DURATION);
+    envelope.connect(panner);
+
+    // Tonal body of the sound, pitch drops slightly as it rings out
+    const tone = context.createOscillator();
+    tone.type = 'triangle';
+    tone.frequency.setValueAtTime(frequency, now);
+    tone.frequency.exponentialRampToValueAtTime(
+      frequency * 0.7,
+      now + SOUND_DURATION
+    );
+    tone.connect(envelope);
+
+    // Filtered noise for the initial click
+    const noise = context.createBufferSource();
+    noise.buffer = noiseBuffer;
+    const noiseFilter = context.createBiquadFilter();
+    noiseFilter.type = 'bandpass';
+    noiseFilter.frequency.value = frequency * 4;
+    noiseFilter.Q.value = 1.5;
+    const noiseGain = context.createGain();
+    noiseGain.gain.setValueAtTime(strength * 0.6, now);
+    noiseGain.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
+    noise.connect(noiseFilter);
+    noiseFilter.connect(noiseGain);
+    noiseGain.connect(panner);
+
+    activeVoices++;
+    tone.onended = () => {
+      activeVoices--;
+      panner.disconnect();
+    };
+
+    tone.start(now);
+    noise.start(now);
+    tone.stop(now + SOUND_DURATION);
+    noise.stop(now + 0.05);
+  };
+
+  /**
+   * Plays the sound for an impact from the simulation
+   * @param {Object} impact - { id, otherId, speed, mass, otherMass, point }
+   */
+  const handleImpact = ({ id, speed, mass: bodyMass, otherMass, point }) => {
+    if (!context || context.state !== 'running' || settings.muted) return;
+    if (speed < MIN_IMPACT_SPEED) return;
+
+    const now = context.currentTime;
+    // Forget bodies past their cooldown, so removed bodies don't pile up
+    // (what's left is only what sounded in the last BODY_COOLDOWN seconds)
+    lastSoundTime.forEach((time, bodyId) => {
+      if (now - time >= BODY_COOLDOWN) {
+        lastSoundTime.delete(bodyId);
+      }
+    });
+    if (lastSoundTime.has(id)) return;
+    if (!claimSlot(now)) return;
+    lastSoundTime.set(id, now);
+
+    // Static bodies have mass 0 - then only the moving body counts
+    const mass = bodyMass + (otherMass || 0);
+    const speedFactor = Math.min(speed / MAX_IMPACT_SPEED, 1);
+    const strength = Math.min(speedFactor * Math.sqrt(mass), 1);
+
+    // Heavier impacts sound lower, harder ones a little brighter
+    const frequency =
+      (260 / Math.cbrt(mass)) *
+      (0.85 + 0.3 * speedFactor) *
+      (0.95 + Math.random() * 0.1);
+
+    playImpact(point, strength, frequency);
+  };
+
+  return {
+    handleImpact,
+
+    /**
+     * Moves the listener to match the camera (call every frame)
+     * @param {THREE.Camera} camera - the camera to listen from
+     */
+    update(camera) {
+      if (!context) return;
+
+      const listener = context.listener;
+      camera.getWorldDirection(forward);
+      up.copy(camera.up).applyQuaternion(camera.quaternion);
+
+      if (listener.positionX) {
+        setParam(listener.positionX, camera.position.x);
+        setParam(listener.positionY, camera.position.y);
+        setParam(listener.positionZ, camera.position.z);
+        setParam(listener.forwardX, forward.x);
+        setParam(listener.forwardY, forward.y);
+        setParam(listener.forwardZ, forward.z);
+        setParam(listener.upX, up.x);
+        setParam(listener.upY, up.y);
+        setParam(listener.upZ, up.z);
+      } else {
+        listener.setPosition(
+          camera.position.x,
+          camera.position.y,
+          camera.position.z
+        );
+        listener.setOrientation(
+          forward.x,
+          forward.y,
+          forward.z,
+          up.x,
+          up.y,
+          up.z
+        );
+      }
+    },
+
+    /**
+     * Set master volume
+     * @param {number} value - volume (0-1)
+     */
+    setVolume(value) {
+      settings.volume = Math.max(0, Math.min(1, value));
+      if (masterGain && !settings.muted) {
+        masterGain.gain.value = settings.volume;
+      }
+    },
+
+    /**
+     * Mute or unmute all impact sounds
+     * @param {boolean} muted - true to mute
+     */
+    setMuted(muted) {
+      settings.muted = muted;
+      if (masterGain) {
+        masterGain.gain.value = muted ? 0 : settings.volume;
+      }
+    },
+
+    /**
+     * Get current volume/mute settings
+     * @returns {Object} { volume, muted }
+     */
+    getSettings() {
+      return { ...settings };
+    },
+  };
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * headless simulation runner 🖥️
+ * runs a scenario file through the simulation core in Node (no browser,
+ * no renderer) and writes the final body states and stats as JSON
+ *
+ * usage: node src/cli/simulate.js <scenario.json> [--steps N] [--out result.json]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { runScenario } from '../scenario.js';
+
+const USAGE =
+  'Usage: node src/cli/simulate.js <scenario.json> [--steps N] [--out result.json]';
+
+/**
+ * Reads the command line, runs the scenario and writes the result
+ */
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        steps: { type: 'string', short: 'n' },
+        out: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    // Unknown option or an option missing its value
+    console.error(`${error.message}\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+  const { values, positionals } = args;
+
+  if (values.help || positionals.length !== 1) {
+    console.error(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  let steps = null;
+  if (values.steps !== undefined) {
+    steps = Number(values.steps);
+    if (!Number.isInteger(steps) || steps <= 0) {
+      console.error(`Invalid step count: ${values.steps}\n${USAGE}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  let result;
+  try {
+    const scenario = JSON.parse(readFileSync(positionals[0], 'utf8'));
+    result = runScenario(scenario, { steps });
+  } catch (error) {
+    // Unreadable file, broken JSON or an invalid scenario field
+    console.error(`${positionals[0]}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const json = JSON.stringify(result, null, 2);
+
+  if (values.out) {
+    writeFileSync(values.out, `${json}\n`);
+    console.error(
+      `🖥️ [Simulate] ${result.steps} steps, ${result.stats.count} bodies -> ${values.out}`
+    );
+  } else {
+    console.log(json);
+  }
+}
+
+main();
@@ -3,6 +3,9 @@
  * reads and parses URL query parameters for app configuration
  */
 
+import { parseGravityParam } from '../gravity.js';
+import { SHADOW_QUALITIES, DEFAULT_SHADOW_QUALITY } from '../lighting.js';
+
 /**
  * Parse URL parameters
  * @returns {Object} parsed URL parameters
@@ -14,9 +17,49 @@ export function parseURLParams() {
     targetFPS: parseTargetFPS(params.get('targetFPS')),
     enableHighRefreshRate: params.has('highFPS'),
     debug: params.has('debug'),
+    mainThreadPhysics: params.has('mainThreadPhysics'),
+    gravity: parseGravityParam(params.get('gravity')),
+    shadows: parseShadowQuality(params.get('shadows')),
   };
 }
 
+// Milliseconds a parameter has to stay unchanged before it's written:
+// browsers throttle history.replaceState (Safari throws after 100 calls in
+// 30 s), and held tilt keys change gravity every frame
+const URL_WRITE_DELAY = 300;
+
+const pendingParams = new Map(); // name -> value (null = remove)
+let writeTimer = null;
+
+/**
+ * Set or remove one URL parameter in place (no reload, no history entry);
+ * the write waits until no parameter has changed for URL_WRITE_DELAY ms
+ * @param {string} name - parameter name
+ * @param {string|null} value - new value, or null to remove it
+ */
+export function setURLParam(name, value) {
+  pendingParams.set(name, value);
+  clearTimeout(writeTimer);
+  writeTimer = setTimeout(writePendingParams, URL_WRITE_DELAY);
+}
+
+/**
+ * Write every parameter set since the last write into the URL at once
+ */
+function writePendingParams() {
+  const url = new URL(window.location.href);
+  pendingParams.forEach((value, name) => {
+    if (value === null) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  });
+  pendingParams.clear();
+  writeTimer = null;
+  window.history.replaceState(null, '', url);
+}
+
 /**
  * Parse and validate target FPS parameter
  * @param {string|null} value - the targetFPS parameter value
@@ -38,6 +81,21 @@ function parseTargetFPS(value) {
   return null;
 }
 
+/**
+ * Parse and validate the shadow quality parameter
+ * @param {string|null} value - the shadows parameter value
+ * @returns {string} key of SHADOW_QUALITIES (the default if missing or invalid)
+ */
+function parseShadowQuality(value) {
+  if (!value) return DEFAULT_SHADOW_QUALITY;
+  if (SHADOW_QUALITIES[value]) return value;
+
+  console.warn(
+    `Invalid shadow quality: ${value}. Valid options: ${Object.keys(SHADOW_QUALITIES).join(', ')}`
+  );
+  return DEFAULT_SHADOW_QUALITY;
+}
+
 /**
  * Get usage instructions for URL parameters
  * @returns {string} formatted usage string
@@ -51,10 +109,15 @@ URL Parameters (append to URL):
   ?targetFPS=240  - Experimental 240 FPS support
   ?highFPS        - Enable high refresh rate detection
   ?debug          - Enable debug logging
+  ?mainThreadPhysics - Run physics on the main thread instead of a worker
+  ?gravity=moon   - Start with a gravity preset (earth, moon, mars, jupiter, zeroG)
+  ?gravity=9.82,15,-10 - Start with gravity strength and tilt (degrees about X, Z)
+  ?shadows=high   - Shadow quality (off, low, medium, high; default medium)
 
 Examples:
   glossy-cube.html?targetFPS=120
   glossy-cube.html?targetFPS=240&debug
   glossy-cube.html?highFPS
+  glossy-cube.html?gravity=mars
   `;
 }
@@ -0,0 +1,336 @@
+/**
+ * constraint spawner ⛓️
+ * builds chains, ropes, pendulums, hinged doors and spring pairs
+ * out of spawned cubes (the simulation snaps links that get pulled too hard)
+ */
+
+import * as THREE from 'three';
+import { spawnPhysicsCube } from './objects/physicsCubeSpawner.js';
+import { PANEL_SIZE } from './objects/shapes.js';
+import {
+  createPhysicsLink,
+  updateLinkFromPhysics,
+} from './objects/physicsLinks.js';
+import { DEFAULT_PHYSICAL_MATERIAL } from './physicsMaterials.js';
+
+const LINK_GAP = 0.3; // space between neighbouring chain cubes
+const ROPE_SPACING = 1.1; // distance between rope bead centres
+const PENDULUM_LENGTH = 3;
+const HINGE_GAP = 0.12; // hinge line sits this far out from the hero cube's edge
+const SPRING_REST_LENGTH = 1;
+const SPRING_STIFFNESS = 40;
+const SPRING_DAMPING = 1;
+const DROP_HEIGHT = 8;
+
+/**
+ * all buildable structures, keyed by name (used for the UI buttons)
+ * @type {Object<string, {label: string}>}
+ */
+export const CONSTRAINT_STRUCTURES = {
+  chain: { label: '⛓️ Chain' },
+  rope: { label: '🪢 Rope' },
+  pendulum: { label: '🕰️ Pendulum' },
+  door: { label: '🚪 Hinged Door' },
+  springPair: { label: '🌀 Spring Pair' },
+};
+
+/**
+ * Creates the constraint spawner
+ * the simulation removes links once their force goes over
+ * settings.breakForce (if settings.breakable is on) and the cube spawner
+ * drops their rods when it hears about it
+ * @param {Object} config - configuration object
+ * @param {THREE.Scene} config.scene - the THREE.js scene
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.cubeSpawner - cube spawner manager (owns the cubes and links)
+ * @param {Object} config.heroCube - hero cube data from initializeGlossyCube (pendulums, ropes and doors hang from it)
+ * @returns {Object} constraint spawner with settings, spawn and update functions
+ */
+export function createConstraintSpawner({
+  scene,
+  physics,
+  cubeSpawner,
+  heroCube,
+}) {
+  const settings = { breakable: true, breakForce: 1000, length: 6 };
+  const heroBody = heroCube.body;
+
+  const syncLinkBreaking = () => {
+    physics.setLinkBreaking({
+      breakable: settings.breakable,
+      breakForce: settings.breakForce,
+    });
+  };
+  syncLinkBreaking();
+
+  /**
+   * Spawns one cube and hands it to the cube spawner
+   * @param {THREE.Vector3} position - spawn position
+   * @param {string} color - hex color code
+   * @param {Object} options - spawnPhysicsCube options
+   * @returns {Object} the new cube's body proxy
+   */
+  const addCube = (position, color, options) => {
+    const cubeData = spawnPhysicsCube(
+      cubeSpawner.instances,
+      physics,
+      position,
+      color,
+      options
+    );
+    cubeSpawner.add(cubeData);
+    return cubeData.physicsBody;
+  };
+
+  /**
+   * Links two bodies and hands the link to the cube spawner
+   * @param {Object} options - createPhysicsLink options
+   */
+  const addLink = (options) => {
+    cubeSpawner.addLink(createPhysicsLink(scene, physics, options));
+  };
+
+  /**
+   * Half the hero cube's edge length
+   * @returns {number} half extent
+   */
+  const heroHalfExtent = () => 0.5 * heroCube.state.scale;
+
+  /**
+   * Converts a point in the hero cube's local space to world space
+   * @param {THREE.Vector3} localPoint - point on the hero cube
+   * @returns {THREE.Vector3} the point in world space
+   */
+  const heroToWorld = (localPoint) =>
+    localPoint
+      .clone()
+      .applyQuaternion(heroBody.quaternion)
+      .add(heroBody.position);
+
+  /**
+   * A random spot above the scene to drop free structures from (seeded
+   * like the cube spawner's drops, so seeded runs repeat)
+   * @returns {THREE.Vector3} drop position
+   */
+  const randomDropPoint = () =>
+    new THREE.Vector3(
+      (cubeSpawner.random() - 0.5) * 10,
+      DROP_HEIGHT,
+      (cubeSpawner.random() - 0.5) * 10
+    );
+
+  const builders = {
+    // Boxes in a row, corner-free pin joints halfway between their faces
+    chain(color, physicalMaterial) {
+      const start = randomDropPoint();
+      start.x -= ((settings.length - 1) * (1 + LINK_GAP)) / 2;
+      const pivot = 0.5 + LINK_GAP / 2;
+
+      let previous = null;
+      for (let i = 0; i < settings.length; i++) {
+        const position = start.clone();
+        position.x += i * (1 + LINK_GAP);
+        const body = addCube(position, color, { physicalMaterial });
+
+        if (previous) {
+          addLink({
+            bodyA: previous,
+            bodyB: body,
+            joint: {
+              type: 'pointToPoint',
+              pivotA: new THREE.Vector3(pivot, 0, 0),
+              pivotB: new THREE.Vector3(-pivot, 0, 0),
+            },
+            anchorA: new THREE.Vector3(0.5, 0, 0),
+            anchorB: new THREE.Vector3(-0.5, 0, 0),
+          });
+        }
+        previous = body;
+      }
+    },
+
+    // Spheres at fixed distances, tied to the hero cube's underside
+    rope(color, physicalMaterial) {
+      const heroPivot = new THREE.Vector3(0, -heroHalfExtent(), 0);
+      const start = heroToWorld(heroPivot);
+
+      let previous = null;
+      for (let i = 0; i < settings.length; i++) {
+        const position = start.clone();
+        position.x += ROPE_SPACING / 2 + i * ROPE_SPACING;
+        const body = addCube(position, color, {
+          shape: 'sphere',
+          physicalMaterial,
+        });
+
+        if (previous) {
+          addLink({
+            bodyA: previous,
+            bodyB: body,
+            joint: { type: 'distance', distance: ROPE_SPACING },
+          });
+        } else {
+          addLink({
+            bodyA: heroBody,
+            bodyB: body,
+            joint: {
+              type: 'pointToPoint',
+              pivotA: heroPivot,
+              pivotB: new THREE.Vector3(-ROPE_SPACING / 2, 0, 0),
+            },
+            anchorA: heroPivot,
+          });
+        }
+        previous = body;
+      }
+    },
+
+    // A heavy ball on a rigid rod, released sideways so it swings
+    pendulum(color) {
+      const heroPivot = new THREE.Vector3(0, -heroHalfExtent(), 0);
+      const position = heroToWorld(heroPivot);
+      position.x += PENDULUM_LENGTH;
+      const body = addCube(position, color, {
+        shape: 'sphere',
+        physicalMaterial: 'steel',
+      });
+
+      addLink({
+        bodyA: heroBody,
+        bodyB: body,
+        joint: {
+          type: 'pointToPoint',
+          pivotA: heroPivot,
+          pivotB: new THREE.Vector3(-PENDULUM_LENGTH, 0, 0),
+        },
+        anchorA: heroPivot,
+      });
+    },
+
+    // A panel hinged along one vertical edge of the hero cube, so it can
+    // swing open and shut against the cube's faces as the cube spins
+    door(color, physicalMaterial) {
+      const half = heroHalfExtent();
+      const heroPivot = new THREE.Vector3(
+        half + HINGE_GAP,
+        0,
+        half + HINGE_GAP
+      );
+      const doorPivot = new THREE.Vector3(
+        -PANEL_SIZE.width / 2 - HINGE_GAP / 2,
+        0,
+        0
+      );
+
+      // Start pointing straight out along +X, lined up with the hero cube
+      const position = heroToWorld(heroPivot.clone().sub(doorPivot));
+      const body = addCube(position, color, {
+        shape: 'panel',
+        physicalMaterial,
+        quaternion: heroBody.quaternion.clone(),
+      });
+
+      addLink({
+        bodyA: heroBody,
+        bodyB: body,
+        joint: {
+          type: 'hinge',
+          pivotA: heroPivot,
+          axisA: new THREE.Vector3(0, 1, 0),
+          pivotB: doorPivot,
+          axisB: new THREE.Vector3(0, 1, 0),
+          collideConnected: true, // the cube's faces are the door stops
+        },
+        anchorA: new THREE.Vector3(half, 0, half),
+        anchorB: new THREE.Vector3(-PANEL_SIZE.width / 2, 0, 0),
+      });
+    },
+
+    // Two cubes on a stretched spring, dropped with a tumble so they wobble
+    springPair(color, physicalMaterial) {
+      const start = randomDropPoint();
+      const spin = () =>
+        new THREE.Vector3(
+          (cubeSpawner.random() - 0.5) * 4,
+          (cubeSpawner.random() - 0.5) * 4,
+          (cubeSpawner.random() - 0.5) * 4
+        );
+      const gap = SPRING_REST_LENGTH * 2; // start stretched
+      const offset = 0.5 + gap / 2;
+      const bodyA = addCube(start.clone().setX(start.x - offset), color, {
+        physicalMaterial,
+        angularVelocity: spin(),
+      });
+      const bodyB = addCube(start.clone().setX(start.x + offset), color, {
+        physicalMaterial,
+        angularVelocity: spin(),
+      });
+
+      const anchorA = new THREE.Vector3(0.5, 0, 0);
+      const anchorB = new THREE.Vector3(-0.5, 0, 0);
+      addLink({
+        bodyA,
+        bodyB,
+        joint: {
+          type: 'spring',
+          anchorA,
+          anchorB,
+          restLength: SPRING_REST_LENGTH,
+          stiffness: SPRING_STIFFNESS,
+          damping: SPRING_DAMPING,
+        },
+        anchorA,
+        anchorB,
+      });
+    },
+  };
+
+  return {
+    settings,
+
+    /**
+     * Turn link breaking on or off
+     * @param {boolean} breakable - whether links snap under load
+     */
+    setBreakable(breakable) {
+      settings.breakable = breakable;
+      syncLinkBreaking();
+    },
+
+    /**
+     * Set the force links snap at
+     * @param {number} force - break force in newtons
+     */
+    setBreakForce(force) {
+      settings.breakForce = force;
+      syncLinkBreaking();
+    },
+
+    /**
+     * Build a structure
+     * @param {string} name - key of CONSTRAINT_STRUCTURES
+     * @param {string} color - hex color code
+     * @param {Object} options - spawn options
+     * @param {string} options.physicalMaterial - preset from PHYSICAL_MATERIALS (default: 'glossy')
+     */
+    spawn(name, color = '#00d4ff', options = {}) {
+      const builder = builders[name];
+      if (!builder) {
+        console.warn(`Unknown constraint structure "${name}"`);
+        return;
+      }
+      const { physicalMaterial = DEFAULT_PHYSICAL_MATERIAL } = options;
+      builder(color, physicalMaterial);
+    },
+
+    /**
+     * Moves the link rods to follow their bodies (call every frame)
+     */
+    update() {
+      const tintForce = settings.breakable ? settings.breakForce : Infinity;
+      cubeSpawner.links.forEach((link) =>
+        updateLinkFromPhysics(link, physics, tintForce)
+      );
+    },
+  };
+}
@@ -1,61 +1,216 @@
 /**
  * cube spawner logic 🎲
- * handles spawning, managing, and removing physics cubes
+ * the browser view over the simulation core: gives every body the core
+ * tracks an instance of its shape's glossy mesh, and looks after the link
+ * rods between them
  */
 
-import * as THREE from 'three';
-import {
-  spawnPhysicsCube,
-  removeCube,
-} from './objects/physicsCubeSpawner.js';
+import { createInstancedCubes } from './objects/instancedCubes.js';
+import { removePhysicsLink } from './objects/physicsLinks.js';
+import { createSimulationCore, MAX_CUBES } from './simulationCore.js';
+import { randomSeed } from './random.js';
 
-const MAX_CUBES = 50;
+// Default cap on tracked cubes; structures raise it while they stand
+export { MAX_CUBES };
 
 /**
  * Creates a cube spawner manager
  * @param {THREE.Scene} scene - the THREE.js scene
- * @param {CANNON.World} physicsWorld - the physics world
+ * @param {Object} physics - physics client from createPhysicsClient
+ * @param {Object} options - spawner options
+ * @param {Function} options.onSpawn - called with each new cube's data (optional)
+ * @param {number} options.seed - seed for drop spots and tumbles (default: random)
  * @returns {Object} cube spawner manager with methods
  */
-export function createCubeSpawner(scene, physicsWorld) {
+export function createCubeSpawner(
+  scene,
+  physics,
+  { onSpawn = null, seed = randomSeed() } = {}
+) {
+  const core = createSimulationCore({ physics, seed });
+  const instances = createInstancedCubes(scene);
   const spawnedCubes = [];
+  const views = new Map(); // body proxy -> cube data from instances.add()
+  const links = [];
+
+  /**
+   * Remove a link (constraint or spring) from the world and the scene
+   * @param {Object} link - link from createPhysicsLink
+   */
+  const removeLink = (link) => {
+    const index = links.indexOf(link);
+    if (index === -1) return;
+    links.splice(index, 1);
+    removePhysicsLink(link, scene, physics);
+  };
+
+  /**
+   * Remove every link attached to a body, so no constraint is left
+   * holding on to a body that is no longer in the world
+   * @param {Object} body - proxy of the body being removed
+   */
+  const removeLinksOf = (body) => {
+    links
+      .filter((link) => link.bodyA === body || link.bodyB === body)
+      .forEach(removeLink);
+  };
+
+  // Links that snapped in the simulation only need their rods cleaned up
+  physics.on('linkBroken', (id) => {
+    const link = links.find((candidate) => candidate.id === id);
+    if (link) {
+      removeLink(link);
+    }
+  });
+
+  // A body the core started tracking gets its instance (unless it came with one)
+  core.on('add', (record) => {
+    let cubeData = views.get(record.physicsBody);
+    if (!cubeData) {
+      cubeData = instances.add(record.physicsBody, record.color, record);
+      views.set(record.physicsBody, cubeData);
+    }
+    spawnedCubes.push(cubeData);
+    if (onSpawn) {
+      onSpawn(cubeData);
+    }
+  });
+
+  // ...and loses it, with its links, when the core lets go of the body
+  core.on('remove', ({ physicsBody }) => {
+    const cubeData = views.get(physicsBody);
+    views.delete(physicsBody);
+    removeLinksOf(physicsBody);
+    const index = spawnedCubes.indexOf(cubeData);
+    if (index === -1) return;
+    spawnedCubes.splice(index, 1);
+    instances.remove(cubeData);
+  });
+
+  /**
+   * The core's record for a cube
+   * @param {Object} cubeData - one of the tracked cubes
+   * @returns {Object|undefined} the record, if the cube is still tracked
+   */
+  const findRecord = (cubeData) =>
+    core.cubes.find((record) => record.physicsBody === cubeData.physicsBody);
 
   return {
     cubes: spawnedCubes,
+    links,
+    core,
+    instances,
 
     /**
-     * Spawn a new cube at a random position
-     * @param {string} color - hex color code
+     * Track a cube spawned elsewhere (e.g. part of a chain), so it is
+     * updated, counted, evicted and cleared like any other cube
+     * @param {Object} cubeData - object returned by spawnPhysicsCube
+     */
+    add(cubeData) {
+      views.set(cubeData.physicsBody, cubeData);
+      core.add({
+        physicsBody: cubeData.physicsBody,
+        shape: cubeData.shape,
+        physicalMaterial: cubeData.physicalMaterial,
+        color: `#${cubeData.color.getHexString()}`,
+      });
+    },
+
+    /**
+     * Remove a single cube (and any link holding on to it)
+     * @param {Object} cubeData - one of the tracked cubes
      */
-    spawn(color = '#00d4ff') {
-      const x = (Math.random() - 0.5) * 10;
-      const y = 8;
-      const z = (Math.random() - 0.5) * 10;
-      const position = new THREE.Vector3(x, y, z);
-
-      const cubeData = spawnPhysicsCube(
-        scene,
-        physicsWorld,
-        position,
-        color
-      );
-      spawnedCubes.push(cubeData);
-
-      // Clean up old cubes if there are too many
-      if (spawnedCubes.length > MAX_CUBES) {
-        const oldCube = spawnedCubes.shift();
-        removeCube(oldCube.mesh, scene, physicsWorld);
+    remove(cubeData) {
+      const record = findRecord(cubeData);
+      if (record) {
+        core.remove(record);
       }
     },
 
     /**
-     * Clear all cubes from the scene
+     * Track a link between cubes; it is removed with either of its cubes
+     * @param {Object} link - link from createPhysicsLink
+     */
+    addLink(link) {
+      links.push(link);
+    },
+
+    /**
+     * Remove a single link, e.g. when it breaks (its cubes stay)
+     * @param {Object} link - link from createPhysicsLink
+     */
+    removeLink(link) {
+      removeLink(link);
+    },
+
+    /**
+     * Spawn a new cube (see the simulation core's spawn for the options)
+     * @param {string} color - hex color code
+     * @param {Object} options - spawn options (mode, shape, physicalMaterial,
+     *   and origin, direction and speed for 'throw')
+     */
+    spawn(color = '#00d4ff', options = {}) {
+      core.spawn(color, options);
+    },
+
+    /**
+     * Clear all cubes and the links between them from the scene
+     * (the cube cap goes back to its default)
      */
     clearAll() {
-      spawnedCubes.forEach((cubeData) => {
-        removeCube(cubeData.mesh, scene, physicsWorld);
-      });
-      spawnedCubes.length = 0;
+      [...links].forEach(removeLink);
+      core.clearAll();
+    },
+
+    /**
+     * Change how many cubes can exist before the oldest are removed
+     * @param {number} max - new cap (lowering it evicts the oldest cubes right away)
+     */
+    setMaxCubes(max) {
+      core.setMaxCubes(max);
+    },
+
+    /**
+     * Get the current cube cap
+     * @returns {number} most cubes tracked at once
+     */
+    getMaxCubes() {
+      return core.getMaxCubes();
+    },
+
+    /**
+     * Restart the spawn randomness, so the same spawn calls land in the same spots
+     * @param {number} seed - 32-bit integer seed
+     */
+    setSeed(seed) {
+      core.setSeed(seed);
+    },
+
+    /**
+     * Get the seed the spawn randomness last started from
+     * @returns {number} seed
+     */
+    getSeed() {
+      return core.getSeed();
+    },
+
+    /**
+     * Next number from the seeded spawn randomness (see setSeed)
+     * @returns {number} value in [0, 1)
+     */
+    random() {
+      return core.random();
+    },
+
+    /**
+     * Listen for spawner events
+     * 'spawn' gets { color, options, position } for every spawn() call,
+     * 'clear' fires after clearAll()
+     * @param {string} type - 'spawn' or 'clear'
+     * @param {Function} handler - called with the event payload
+     */
+    on(type, handler) {
+      core.on(type, handler);
     },
 
     /**
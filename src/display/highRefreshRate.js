@@ -95,40 +95,6 @@ export function createHighRefreshRateManager({
       }
     },
 
-    /**
-     * Get the physics timestep based on target FPS
-     * @returns {number} physics timestep in seconds
-     */
-    getPhysicsTimestep() {
-      // Physics simulation at 60 Hz is generally stable
-      // For higher render FPS, we use adaptive timesteps
-      const basePhysicsHz = 60;
-
-      if (this.targetFPS <= 60) {
-        return 1 / basePhysicsHz;
-      }
-
-      // For higher FPS, calculate timestep based on ratio
-      // This keeps physics stable while rendering more frequently
-      const ratio = this.targetFPS / basePhysicsHz;
-      const adaptiveTimestep = (1 / basePhysicsHz) / Math.min(ratio, 4);
-
-      return adaptiveTimestep;
-    },
-
-    /**
-     * Get the number of physics steps per frame
-     * @returns {number} number of substeps
-     */
-    getPhysicsSubsteps() {
-      if (this.targetFPS <= 60) {
-        return 3; // Default substeps
-      }
-
-      const ratio = this.targetFPS / 60;
-      return Math.max(3, Math.ceil(3 * ratio));
-    },
-
     /**
      * Check if frame should be rendered (for frame rate limiting)
      * @returns {boolean} true if frame should render
@@ -0,0 +1,301 @@
+/**
+ * force fields 🌀
+ * placeable wind, attractor/repulsor, vortex and damping zones
+ * each field pushes the dynamic bodies inside its radius every physics step
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { createForceFieldGizmo } from './objects/forceFieldGizmo.js';
+
+const MIN_DISTANCE = 0.5; // stops inverse-square forces blowing up at the centre
+
+/**
+ * all force field types, keyed by name
+ * params lists the editable values (used to build the UI sliders),
+ * apply(field, body, offset, distance, time) adds the field's force to a body
+ * where offset = body position - field position
+ * @type {Object<string, Object>}
+ */
+export const FORCE_FIELD_TYPES = {
+  wind: {
+    label: 'Wind',
+    color: 0x66ccff,
+    params: {
+      radius: { label: 'Radius', min: 1, max: 30, step: 0.5, value: 12 },
+      strength: { label: 'Strength', min: 0, max: 40, step: 0.5, value: 12 },
+      heading: { label: 'Heading (°)', min: 0, max: 360, step: 5, value: 90 },
+      gust: { label: 'Gustiness', min: 0, max: 1, step: 0.05, value: 0.5 },
+    },
+    getDirection(field, target) {
+      const heading = THREE.MathUtils.degToRad(field.heading);
+      return target.set(Math.sin(heading), 0, Math.cos(heading));
+    },
+    apply(field, body, offset, distance, time) {
+      // Two out-of-phase waves make the gusts feel less regular
+      const wave =
+        0.6 * Math.sin(time * 1.3 + field.id) +
+        0.4 * Math.sin(time * 3.7 + field.id * 2);
+      const gustFactor = Math.max(0, 1 + field.gust * wave);
+      const heading = THREE.MathUtils.degToRad(field.heading);
+      const magnitude = field.strength * gustFactor;
+      body.force.x += Math.sin(heading) * magnitude;
+      body.force.z += Math.cos(heading) * magnitude;
+    },
+  },
+
+  attractor: {
+    label: 'Attractor',
+    color: 0xff66cc,
+    params: {
+      radius: { label: 'Radius', min: 1, max: 30, step: 0.5, value: 10 },
+      strength: {
+        label: 'Strength (- repels)',
+        min: -200,
+        max: 200,
+        step: 5,
+        value: 80,
+      },
+    },
+    apply(field, body, offset, distance) {
+      // Inverse-square pull towards the centre, scaled by mass like gravity
+      const clamped = Math.max(distance, MIN_DISTANCE);
+      const magnitude = (field.strength * body.mass) / (clamped * clamped);
+      const scale = -magnitude / Math.max(distance, 1e-6);
+      body.force.x += offset.x * scale;
+      body.force.y += offset.y * scale;
+      body.force.z += offset.z * scale;
+    },
+  },
+
+  vortex: {
+    label: 'Vortex',
+    color: 0xaa88ff,
+    params: {
+      radius: { label: 'Radius', min: 1, max: 30, step: 0.5, value: 8 },
+      strength: { label: 'Swirl', min: -60, max: 60, step: 1, value: 25 },
+      pull: { label: 'Inward pull', min: 0, max: 40, step: 1, value: 8 },
+      lift: { label: 'Lift', min: 0, max: 30, step: 0.5, value: 6 },
+      tilt: { label: 'Axis tilt (°)', min: -90, max: 90, step: 5, value: 0 },
+    },
+    getDirection(field, target) {
+      const tilt = THREE.MathUtils.degToRad(field.tilt);
+      return target.set(0, Math.cos(tilt), Math.sin(tilt));
+    },
+    apply(field, body, offset, distance) {
+      const axis = FORCE_FIELD_TYPES.vortex.getDirection(field, tmpAxis);
+
+      // Radial part of the offset (perpendicular to the axis)
+      const along = offset.x * axis.x + offset.y * axis.y + offset.z * axis.z;
+      tmpRadial.set(
+        offset.x - axis.x * along,
+        offset.y - axis.y * along,
+        offset.z - axis.z * along
+      );
+      const radialDistance = Math.max(tmpRadial.length(), MIN_DISTANCE);
+      tmpRadial.divideScalar(radialDistance);
+
+      // Swirl around the axis, suck towards it and lift along it
+      tmpTangent.crossVectors(axis, tmpRadial);
+      const swirl = (field.strength * body.mass) / radialDistance;
+      body.force.x +=
+        tmpTangent.x * swirl - tmpRadial.x * field.pull * body.mass;
+      body.force.y +=
+        tmpTangent.y * swirl - tmpRadial.y * field.pull * body.mass;
+      body.force.z +=
+        tmpTangent.z * swirl - tmpRadial.z * field.pull * body.mass;
+      body.force.x += axis.x * field.lift * body.mass;
+      body.force.y += axis.y * field.lift * body.mass;
+      body.force.z += axis.z * field.lift * body.mass;
+    },
+  },
+
+  damping: {
+    label: 'Damping Zone',
+    color: 0x66ff99,
+    params: {
+      radius: { label: 'Radius', min: 1, max: 30, step: 0.5, value: 6 },
+      strength: { label: 'Drag', min: 0, max: 20, step: 0.5, value: 4 },
+    },
+    apply(field, body) {
+      // Viscous drag: force against the velocity, like moving through syrup
+      const drag = field.strength * body.mass;
+      body.force.x -= body.velocity.x * drag;
+      body.force.y -= body.velocity.y * drag;
+      body.force.z -= body.velocity.z * drag;
+      body.torque.x -= body.angularVelocity.x * drag * 0.1;
+      body.torque.y -= body.angularVelocity.y * drag * 0.1;
+      body.torque.z -= body.angularVelocity.z * drag * 0.1;
+    },
+  },
+};
+
+// Scratch vectors for the per-body maths
+const tmpAxis = new THREE.Vector3();
+const tmpRadial = new THREE.Vector3();
+const tmpTangent = new THREE.Vector3();
+
+// Scratch offset for applyForceFields
+const offset = new CANNON.Vec3();
+
+/**
+ * pushes every dynamic body inside each enabled field, waking sleeping
+ * ones first (a field turned on or moved over a resting pile or a
+ * structure moves it right away; bodies stay awake while inside)
+ * called from the world's preStep event, i.e. once per fixed physics step
+ * however many steps a frame runs (and not at all while paused)
+ * @param {CANNON.World} world - the physics world
+ * @param {Object[]} fields - plain field descriptions (see serializeField)
+ */
+export function applyForceFields(world, fields) {
+  fields.forEach((field) => {
+    if (!field.enabled) return;
+    const type = FORCE_FIELD_TYPES[field.type];
+
+    world.bodies.forEach((body) => {
+      if (body.type !== CANNON.Body.DYNAMIC) return;
+
+      body.position.vsub(field.position, offset);
+      const distance = offset.length();
+      if (distance > field.radius) return;
+
+      if (body.sleepState === CANNON.Body.SLEEPING) {
+        body.wakeUp();
+      }
+      type.apply(field, body, offset, distance, world.time);
+    });
+  });
+}
+
+/**
+ * strips a field down to the plain values the simulation needs
+ * @param {Object} field - field from the force field manager
+ * @returns {Object} field without its gizmo, safe to post to a worker
+ */
+function serializeField({ gizmo, position, ...values }) {
+  return {
+    ...values,
+    position: { x: position.x, y: position.y, z: position.z },
+  };
+}
+
+/**
+ * Creates the force field manager
+ * keeps the fields and their gizmos, and hands the field values to the
+ * simulation whenever they change
+ * @param {THREE.Scene} scene - the scene (gizmos go here)
+ * @param {Object} physics - physics client from createPhysicsClient
+ * @returns {Object} force field manager
+ */
+export function createForceFieldManager(scene, physics) {
+  const fields = [];
+  const settings = { enabled: true, showGizmos: true };
+  let nextId = 1;
+
+  const sync = () => {
+    physics.setForceFields(settings.enabled ? fields.map(serializeField) : []);
+  };
+
+  return {
+    fields,
+    settings,
+
+    /**
+     * Places a new force field
+     * @param {string} typeName - key of FORCE_FIELD_TYPES
+     * @param {Object} position - field centre { x, y, z } (default: world origin)
+     * @returns {Object} the new field
+     */
+    add(typeName, position = { x: 0, y: 0, z: 0 }) {
+      const type = FORCE_FIELD_TYPES[typeName];
+      if (!type) {
+        console.warn(`Unknown force field type "${typeName}"`);
+        return null;
+      }
+
+      const field = {
+        id: nextId++,
+        type: typeName,
+        enabled: true,
+        position: new THREE.Vector3(position.x, position.y, position.z),
+      };
+      Object.entries(type.params).forEach(([key, param]) => {
+        field[key] = param.value;
+      });
+
+      field.gizmo = createForceFieldGizmo(type.color);
+      field.gizmo.group.visible = settings.showGizmos;
+      scene.add(field.gizmo.group);
+      fields.push(field);
+      this.refresh(field);
+      sync();
+      return field;
+    },
+
+    /**
+     * Removes a force field and its gizmo
+     * @param {Object} field - field returned by add()
+     */
+    remove(field) {
+      const index = fields.indexOf(field);
+      if (index === -1) return;
+      fields.splice(index, 1);
+      scene.remove(field.gizmo.group);
+      field.gizmo.dispose();
+      sync();
+    },
+
+    /**
+     * Changes a field parameter (position.x/y/z, radius, strength, ...)
+     * @param {Object} field - field returned by add()
+     * @param {string} key - parameter name, or 'x' / 'y' / 'z' for position
+     * @param {number|boolean} value - new value
+     */
+    set(field, key, value) {
+      if (key === 'x' || key === 'y' || key === 'z') {
+        field.position[key] = value;
+      } else {
+        field[key] = value;
+      }
+      this.refresh(field);
+      sync();
+    },
+
+    /**
+     * Switches every field on or off at once
+     * @param {boolean} enabled - true to let the fields push bodies
+     */
+    setEnabled(enabled) {
+      settings.enabled = enabled;
+      sync();
+    },
+
+    /**
+     * Shows or hides every field's gizmo (the fields keep working)
+     * @param {boolean} visible - true to show the gizmos
+     */
+    setGizmosVisible(visible) {
+      settings.showGizmos = visible;
+      fields.forEach((field) => {
+        field.gizmo.group.visible = visible;
+      });
+    },
+
+    /**
+     * Syncs a field's gizmo with its parameters
+     * @param {Object} field - field returned by add()
+     */
+    refresh(field) {
+      const type = FORCE_FIELD_TYPES[field.type];
+      const direction = type.getDirection
+        ? type.getDirection(field, new THREE.Vector3())
+        : null;
+      field.gizmo.update(
+        field.position,
+        field.radius,
+        direction,
+        field.enabled
+      );
+    },
+  };
+}
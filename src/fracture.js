@@ -0,0 +1,218 @@
+/**
+ * fracture 💥
+ * boxes hit hard enough shatter into eight fragment cubes that carry on
+ * with the parent's momentum, then fade away after a while
+ */
+
+import * as THREE from 'three';
+import { FRAGMENT_SIZE } from './objects/shapes.js';
+import { spawnPhysicsCube, removeCube } from './objects/physicsCubeSpawner.js';
+
+// Only plain boxes split cleanly into eight smaller boxes
+const FRACTURABLE_SHAPE = 'box';
+
+// Seconds a fragment takes to fade out at the end of its life
+const FADE_TIME = 1;
+
+// Outward speed (m/s) fragments get on top of the parent's velocity
+const BURST_SPEED = 1.5;
+
+/**
+ * editable fracture settings (used to build the UI sliders)
+ * threshold is the impulse (N·s) a hit needs to shatter a box, e.g. a
+ * glossy box dropped from spawn height lands with about 16
+ * @type {Object<string, {label: string, min: number, max: number, step: number, value: number}>}
+ */
+export const FRACTURE_PARAMS = {
+  threshold: {
+    label: 'Impulse threshold (N·s)',
+    min: 2,
+    max: 100,
+    step: 1,
+    value: 25,
+  },
+  budget: { label: 'Fragment budget', min: 8, max: 400, step: 8, value: 160 },
+  lifetime: {
+    label: 'Fragment lifetime (s)',
+    min: 1,
+    max: 20,
+    step: 0.5,
+    value: 6,
+  },
+};
+
+/**
+ * the impulse of an impact, from the speed along the contact normal and
+ * the pair's reduced mass (static bodies have mass 0, i.e. infinite)
+ * @param {Object} impact - impact event from the physics client
+ * @returns {number} impulse in N·s
+ */
+function getImpulse({ speed, mass, otherMass }) {
+  const reducedMass =
+    otherMass > 0 ? (mass * otherMass) / (mass + otherMass) : mass;
+  return speed * reducedMass;
+}
+
+/**
+ * Creates the fracture manager (off until enabled)
+ * @param {Object} config - configuration object
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.cubeSpawner - cube spawner manager (shattered boxes are removed through it)
+ * @returns {Object} fracture manager with settings, fragments, clear, remove, getFragmentCount and on functions
+ */
+export function createFractureManager({ physics, cubeSpawner }) {
+  const settings = { enabled: false };
+  Object.entries(FRACTURE_PARAMS).forEach(([key, param]) => {
+    settings[key] = param.value;
+  });
+
+  const fragments = []; // cubes from spawnPhysicsCube plus their age, oldest first
+  const pending = new Map(); // body id -> velocity going into the hit
+  const handlers = { fracture: [] };
+  const offset = new THREE.Vector3();
+
+  /**
+   * Removes a fragment from the scene and the simulation
+   * @param {Object} fragment - entry of fragments
+   */
+  const removeFragment = (fragment) => {
+    removeCube(fragment, cubeSpawner.instances, physics);
+    fragments.splice(fragments.indexOf(fragment), 1);
+  };
+
+  /**
+   * Replaces a box with eight fragments in its place
+   * @param {Object} cube - cube data from the cube spawner
+   * @param {{x: number, y: number, z: number}} velocity - the box's velocity
+   */
+  const shatter = (cube, velocity) => {
+    const { position, quaternion } = cube.physicsBody;
+    const color = cube.color.clone();
+    const center = position.clone();
+    const orientation = quaternion.clone();
+    cubeSpawner.remove(cube);
+
+    for (const x of [-1, 1]) {
+      for (const y of [-1, 1]) {
+        for (const z of [-1, 1]) {
+          offset
+            .set(
+              (x * FRAGMENT_SIZE.width) / 2,
+              (y * FRAGMENT_SIZE.height) / 2,
+              (z * FRAGMENT_SIZE.depth) / 2
+            )
+            .applyQuaternion(orientation);
+          const fragmentVelocity = offset
+            .clone()
+            .normalize()
+            .multiplyScalar(BURST_SPEED)
+            .add(velocity);
+          const fragment = spawnPhysicsCube(
+            cubeSpawner.instances,
+            physics,
+            center.clone().add(offset),
+            color,
+            {
+              velocity: fragmentVelocity,
+              quaternion: orientation,
+              shape: 'fragment',
+              physicalMaterial: cube.physicalMaterial,
+            }
+          );
+          fragment.age = 0;
+          fragments.push(fragment);
+        }
+      }
+    }
+
+    // Over budget - the oldest fragments go first
+    while (fragments.length > settings.budget) {
+      removeFragment(fragments[0]);
+    }
+
+    handlers.fracture.forEach((handler) => handler({ cube, position: center }));
+  };
+
+  // Hard hits are queued here and shattered before the next step, outside
+  // the physics client's state handling
+  physics.on('impact', (impact) => {
+    if (!settings.enabled || getImpulse(impact) < settings.threshold) return;
+    if (!pending.has(impact.id)) {
+      pending.set(impact.id, impact.velocity);
+    }
+    if (impact.otherId !== null && !pending.has(impact.otherId)) {
+      pending.set(impact.otherId, impact.otherVelocity);
+    }
+  });
+
+  // Shattering and ageing go by physics steps and their deltaTime, not by
+  // frames, so a replay (which repeats the steps) shatters and fades the
+  // same fragments at the same steps; no steps while paused, no ageing
+  physics.on('step', (deltaTime) => {
+    if (pending.size > 0) {
+      cubeSpawner.cubes
+        .filter(
+          (cube) =>
+            cube.shape === FRACTURABLE_SHAPE && pending.has(cube.physicsBody.id)
+        )
+        .forEach((cube) => shatter(cube, pending.get(cube.physicsBody.id)));
+      pending.clear();
+    }
+
+    [...fragments].forEach((fragment) => {
+      fragment.age += deltaTime;
+      const fadeLeft = settings.lifetime - fragment.age;
+      if (fadeLeft <= 0) {
+        removeFragment(fragment);
+      } else if (fadeLeft < FADE_TIME) {
+        cubeSpawner.instances.setOpacity(fragment, fadeLeft / FADE_TIME);
+      }
+    });
+  });
+
+  /**
+   * Removes every fragment
+   */
+  const clear = () => {
+    [...fragments].forEach(removeFragment);
+    pending.clear();
+  };
+
+  // Clearing the cubes clears their fragments too
+  cubeSpawner.on('clear', clear);
+
+  return {
+    settings,
+    fragments,
+
+    clear,
+
+    /**
+     * Removes one fragment early (e.g. one that fell off the world)
+     * @param {Object} fragment - entry of fragments
+     */
+    remove(fragment) {
+      if (fragments.includes(fragment)) {
+        removeFragment(fragment);
+      }
+    },
+
+    /**
+     * How many fragments are around right now
+     * @returns {number} fragment count
+     */
+    getFragmentCount() {
+      return fragments.length;
+    },
+
+    /**
+     * Listen for fracture events
+     * 'fracture' gets the shattered cube's data and where it broke
+     * @param {string} type - 'fracture'
+     * @param {Function} handler - called with { cube, position }
+     */
+    on(type, handler) {
+      handlers[type].push(handler);
+    },
+  };
+}
@@ -71,6 +71,37 @@ const configurations = [
     fresnelPower: 2.5,
     position: [3, 0, 0],
   },
+  // Second row: the extra layers over the base lobe
+  {
+    name: 'Car Paint',
+    color: 0x8a0c1c,
+    roughness: 0.45,
+    metalness: 0.9,
+    specularIntensity: 1.0,
+    fresnelPower: 5.0,
+    layers: { clearcoat: 1.0, clearcoatRoughness: 0.05 },
+    position: [-2, -1.4, 0],
+  },
+  {
+    name: 'Velvet',
+    color: 0x3b0a45,
+    roughness: 0.9,
+    metalness: 0.0,
+    specularIntensity: 0.3,
+    fresnelPower: 5.0,
+    layers: { sheen: 1.0, sheenColor: 0xd08ce0, sheenRoughness: 0.4 },
+    position: [0, -1.4, 0],
+  },
+  {
+    name: 'Soap Film',
+    color: 0x202020,
+    roughness: 0.1,
+    metalness: 0.0,
+    specularIntensity: 1.5,
+    fresnelPower: 5.0,
+    layers: { iridescence: 1.0, iridescenceThickness: 380 },
+    position: [2, -1.4, 0],
+  },
 ];
 
 // Create cubes with different materials
@@ -82,6 +113,7 @@ configurations.forEach((config) => {
     metalness: config.metalness,
     specularIntensity: config.specularIntensity,
     fresnelPower: config.fresnelPower,
+    ...config.layers,
   });
 
   const cube = new THREE.Mesh(geometry, material);
@@ -128,5 +160,8 @@ configurations.forEach((config, index) => {
   console.log(`  Metalness: ${config.metalness}`);
   console.log(`  Specular: ${config.specularIntensity}`);
   console.log(`  Fresnel: ${config.fresnelPower}`);
+  if (config.layers) {
+    console.log(`  Layers: ${JSON.stringify(config.layers)}`);
+  }
   console.log('');
 });
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * gravity 🪐
+ * runtime gravity strength and direction, planet presets, and a tilt mode
+ * where the arrow keys lean the whole world
+ */
+
+import * as THREE from 'three';
+
+// Degrees per second the arrow keys tilt gravity in tilt mode
+const TILT_SPEED = 30;
+
+// Furthest gravity can lean away from straight down, in degrees
+export const MAX_TILT = 90;
+
+/**
+ * gravity presets, keyed by name (used for the UI dropdown and the URL)
+ * magnitude is in m/s²
+ * @type {Object<string, {label: string, magnitude: number}>}
+ */
+export const GRAVITY_PRESETS = {
+  earth: { label: 'Earth', magnitude: 9.82 },
+  moon: { label: 'Moon', magnitude: 1.62 },
+  mars: { label: 'Mars', magnitude: 3.71 },
+  jupiter: { label: 'Jupiter', magnitude: 24.79 },
+  zeroG: { label: 'Zero-g', magnitude: 0 },
+};
+
+export const DEFAULT_GRAVITY_PRESET = 'earth';
+
+/**
+ * keeps a tilt within ±MAX_TILT
+ * @param {number} tilt - tilt in degrees
+ * @returns {number} clamped tilt
+ */
+function clampTilt(tilt) {
+  return THREE.MathUtils.clamp(tilt, -MAX_TILT, MAX_TILT);
+}
+
+/**
+ * reads a gravity URL parameter: either a preset name (?gravity=moon) or
+ * magnitude and tilts in degrees (?gravity=9.82,15,-10)
+ * @param {string|null} value - the gravity parameter value
+ * @returns {Object|null} { magnitude, tiltX, tiltZ } or null if missing or invalid
+ */
+export function parseGravityParam(value) {
+  if (!value) return null;
+
+  if (GRAVITY_PRESETS[value]) {
+    return { magnitude: GRAVITY_PRESETS[value].magnitude, tiltX: 0, tiltZ: 0 };
+  }
+
+  const [magnitude, tiltX = 0, tiltZ = 0] = value.split(',').map(Number);
+  if (![magnitude, tiltX, tiltZ].every(Number.isFinite) || magnitude < 0) {
+    console.warn(
+      `Invalid gravity: ${value}. Use a preset (${Object.keys(
+        GRAVITY_PRESETS
+      ).join(', ')}) or magnitude,tiltX,tiltZ`
+    );
+    return null;
+  }
+  return { magnitude, tiltX: clampTilt(tiltX), tiltZ: clampTilt(tiltZ) };
+}
+
+/**
+ * name of the preset with this magnitude, if any
+ * @param {number} magnitude - gravity strength in m/s²
+ * @returns {string|null} preset key or null
+ */
+function findPreset(magnitude) {
+  const match = Object.entries(GRAVITY_PRESETS).find(
+    ([, preset]) => preset.magnitude === magnitude
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Creates the gravity controller (Earth gravity, straight down, to start)
+ * @param {Object} config - configuration object
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.keyStates - held keys by event.code, read in tilt mode
+ * @param {Object} config.initial - (optional) { magnitude, tiltX, tiltZ } from parseGravityParam
+ * @returns {Object} gravity controller with settings, set, setPreset, getVector, describe, toParam, update and onChange functions
+ */
+export function createGravityController({
+  physics,
+  keyStates,
+  initial = null,
+}) {
+  const settings = {
+    magnitude: GRAVITY_PRESETS[DEFAULT_GRAVITY_PRESET].magnitude,
+    tiltX: 0, // degrees about X, positive leans gravity away from the camera
+    tiltZ: 0, // degrees about Z, positive leans gravity to the right
+    tiltMode: false,
+    ...initial,
+  };
+  const handlers = [];
+  const vector = new THREE.Vector3();
+  const euler = new THREE.Euler();
+
+  /**
+   * Recomputes the gravity vector from the settings into `vector`
+   */
+  const computeVector = () => {
+    euler.set(
+      THREE.MathUtils.degToRad(settings.tiltX),
+      0,
+      THREE.MathUtils.degToRad(settings.tiltZ)
+    );
+    vector.set(0, -settings.magnitude, 0).applyEuler(euler);
+  };
+
+  /**
+   * Sends the current gravity to physics and tells the listeners
+   */
+  const apply = () => {
+    computeVector();
+    physics.setGravity(vector);
+    handlers.forEach((handler) => handler());
+  };
+
+  /**
+   * Change gravity
+   * @param {Object} changes - any of magnitude (m/s²), tiltX, tiltZ (degrees)
+   */
+  const set = (changes) => {
+    Object.assign(settings, changes);
+    settings.tiltX = clampTilt(settings.tiltX);
+    settings.tiltZ = clampTilt(settings.tiltZ);
+    apply();
+  };
+
+  apply();
+
+  return {
+    settings,
+    set,
+
+    /**
+     * Switch to a preset's strength (the tilt is kept)
+     * @param {string} name - key of GRAVITY_PRESETS
+     */
+    setPreset(name) {
+      settings.magnitude = GRAVITY_PRESETS[name].magnitude;
+      apply();
+    },
+
+    /**
+     * Turn arrow-key tilting on or off
+     * @param {boolean} enabled - true to tilt with the arrow keys
+     */
+    setTiltMode(enabled) {
+      settings.tiltMode = enabled;
+      handlers.forEach((handler) => handler());
+    },
+
+    /**
+     * Straighten gravity back to pointing down
+     */
+    resetTilt() {
+      settings.tiltX = 0;
+      settings.tiltZ = 0;
+      apply();
+    },
+
+    /**
+     * The current gravity vector (don't modify it)
+     * @returns {THREE.Vector3} gravity in m/s²
+     */
+    getVector() {
+      return vector;
+    },
+
+    /**
+     * The preset matching the current strength, if any
+     * @returns {string|null} key of GRAVITY_PRESETS or null
+     */
+    getPreset() {
+      return findPreset(settings.magnitude);
+    },
+
+    /**
+     * Short human-readable gravity, e.g. "1.62 m/s² (Moon)"
+     * @returns {string} description for the stats panel
+     */
+    describe() {
+      const preset = findPreset(settings.magnitude);
+      let text = `${settings.magnitude.toFixed(2)} m/s²`;
+      if (preset) {
+        text += ` (${GRAVITY_PRESETS[preset].label})`;
+      }
+      if (settings.tiltX || settings.tiltZ) {
+        text += ` ↗ ${Math.round(settings.tiltX)}°/${Math.round(settings.tiltZ)}°`;
+      }
+      return text;
+    },
+
+    /**
+     * The gravity as a URL parameter value (see parseGravityParam)
+     * @returns {string|null} value, or null for the default (untilted Earth)
+     */
+    toParam() {
+      const preset = findPreset(settings.magnitude);
+      const tilted = settings.tiltX !== 0 || settings.tiltZ !== 0;
+      // Magnitude to 0.01 m/s² (as precise as the presets), tilt to 0.1°,
+      // so slider and tilt-key values don't leave long float tails
+      const round = (value, digits) => {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+      };
+      const magnitude = round(settings.magnitude, 2);
+      if (!tilted) {
+        return preset === DEFAULT_GRAVITY_PRESET
+          ? null
+          : preset || `${magnitude}`;
+      }
+      return [
+        magnitude,
+        round(settings.tiltX, 1),
+        round(settings.tiltZ, 1),
+      ].join(',');
+    },
+
+    /**
+     * Tilts gravity while arrow keys are held in tilt mode (call every frame)
+     * @param {number} deltaTime - seconds since the last frame
+     */
+    update(deltaTime) {
+      if (!settings.tiltMode) return;
+      const step = TILT_SPEED * deltaTime;
+      const dx =
+        (keyStates.ArrowUp ? step : 0) - (keyStates.ArrowDown ? step : 0);
+      const dz =
+        (keyStates.ArrowRight ? step : 0) - (keyStates.ArrowLeft ? step : 0);
+      if (dx === 0 && dz === 0) return;
+      set({ tiltX: settings.tiltX + dx, tiltZ: settings.tiltZ + dz });
+    },
+
+    /**
+     * Listen for changes (strength, tilt or tilt mode)
+     * @param {Function} handler - called with no arguments
+     */
+    onChange(handler) {
+      handlers.push(handler);
+    },
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * grab-and-drag for physics cubes 🖐️
+ * click a spawned cube to pick it up, drag it around, let go to flick it
+ */
+
+import * as THREE from 'three';
+
+// How far back (ms) pointer samples count towards the release velocity
+const FLICK_SAMPLE_WINDOW = 100;
+
+/**
+ * Sets up mouse dragging of spawned physics cubes
+ * the simulation pins the grabbed cube to an invisible anchor with a
+ * point-to-point constraint, and the anchor follows the cursor on a
+ * camera-facing plane
+ * @param {Object} config - configuration object
+ * @param {THREE.Camera} config.camera - the camera
+ * @param {THREE.WebGLRenderer} config.renderer - the renderer (its canvas receives pointer events)
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.cubeSpawner - cube spawner manager
+ * @param {Object} config.controls - orbit controls (disabled while dragging)
+ * @param {Object} config.interactionState - (optional) object with mode property, drags only in 'drag' mode
+ * @returns {Object} dragging state and helpers
+ */
+export function setupCubeDragging({
+  camera,
+  renderer,
+  physics,
+  cubeSpawner,
+  controls,
+  interactionState = { mode: 'drag' },
+}) {
+  const domElement = renderer.domElement;
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const dragPlane = new THREE.Plane();
+  const planeNormal = new THREE.Vector3();
+  const dragPoint = new THREE.Vector3();
+
+  let grabbedBody = null;
+  let activePointerId = null;
+  let samples = [];
+
+  /**
+   * Updates the pointer NDC coordinates from a pointer event
+   * @param {PointerEvent} event - the pointer event
+   */
+  const updatePointer = (event) => {
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+  };
+
+  /**
+   * Remembers where the anchor was at a given time (for flick velocity)
+   * @param {number} time - event timestamp in ms
+   */
+  const recordSample = (time) => {
+    samples.push({ time, position: dragPoint.clone() });
+    samples = samples.filter((s) => time - s.time <= FLICK_SAMPLE_WINDOW);
+  };
+
+  /**
+   * Average anchor velocity over the recent samples
+   * @returns {THREE.Vector3} velocity in world units per second
+   */
+  const getReleaseVelocity = () => {
+    if (samples.length < 2) return new THREE.Vector3(0, 0, 0);
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    if (seconds <= 0) return new THREE.Vector3(0, 0, 0);
+    return last.position.clone().sub(first.position).divideScalar(seconds);
+  };
+
+  /**
+   * Drops the grabbed cube, optionally keeping the drag velocity
+   * @param {boolean} flick - true to hand the drag velocity to the cube
+   */
+  const release = (flick = true) => {
+    // Cube may have been cleared or evicted mid-drag
+    if (grabbedBody && physics.hasBody(grabbedBody.id)) {
+      physics.endDrag(flick ? getReleaseVelocity() : null);
+    }
+    if (
+      activePointerId !== null &&
+      domElement.hasPointerCapture(activePointerId)
+    ) {
+      domElement.releasePointerCapture(activePointerId);
+    }
+    grabbedBody = null;
+    activePointerId = null;
+    samples = [];
+    domElement.style.cursor = '';
+    controls.enabled = true;
+  };
+
+  const onPointerDown = (event) => {
+    if (event.button !== 0 || grabbedBody) return;
+    if (interactionState.mode !== 'drag') return;
+
+    updatePointer(event);
+    const { instances } = cubeSpawner;
+    const hit = raycaster.intersectObjects(instances.getMeshes(), false)[0];
+    if (!hit) return;
+
+    const cube = instances.getCube(hit);
+    if (!cube) return;
+    const body = cube.physicsBody;
+
+    // Claim the gesture before OrbitControls sees it
+    controls.enabled = false;
+
+    grabbedBody = body;
+    activePointerId = event.pointerId;
+    domElement.setPointerCapture(event.pointerId);
+    domElement.style.cursor = 'grabbing';
+
+    // Drag along a plane facing the camera, through the grab point
+    dragPoint.copy(hit.point);
+    camera.getWorldDirection(planeNormal);
+    dragPlane.setFromNormalAndCoplanarPoint(planeNormal, dragPoint);
+
+    physics.startDrag(body.id, dragPoint);
+
+    samples = [];
+    recordSample(event.timeStamp);
+  };
+
+  const onPointerMove = (event) => {
+    if (!grabbedBody || event.pointerId !== activePointerId) return;
+
+    if (!physics.hasBody(grabbedBody.id)) {
+      release(false);
+      return;
+    }
+
+    updatePointer(event);
+    if (raycaster.ray.intersectPlane(dragPlane, dragPoint)) {
+      physics.moveDrag(dragPoint);
+      recordSample(event.timeStamp);
+    }
+  };
+
+  const onPointerUp = (event) => {
+    if (!grabbedBody || event.pointerId !== activePointerId) return;
+
+    // Holding still before letting go shouldn't flick
+    const holdingStill =
+      samples.length > 0 &&
+      event.timeStamp - samples[samples.length - 1].time > FLICK_SAMPLE_WINDOW;
+    release(!holdingStill);
+  };
+
+  // Capture phase so we run before OrbitControls' own pointerdown handler
+  domElement.addEventListener('pointerdown', onPointerDown, { capture: true });
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerup', onPointerUp);
+  domElement.addEventListener('pointercancel', () => release(false));
+
+  return {
+    /**
+     * Check if a cube is currently being dragged
+     * @returns {boolean} true while dragging
+     */
+    isDragging() {
+      return grabbedBody !== null;
+    },
+
+    /**
+     * Drop the grabbed cube without flicking it
+     */
+    cancel() {
+      if (grabbedBody) {
+        release(false);
+      }
+    },
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * radial blast tool 💥
+ * in blast mode, clicking the floor or a cube knocks everything nearby away
+ * and sends a shockwave ring across the floor
+ */
+
+import * as THREE from 'three';
+
+const CLICK_TOLERANCE = 5; // px the pointer may move and still count as a click
+const RING_DURATION = 0.6; // seconds for the shockwave to reach full radius
+const RING_LIFT = 0.02; // keeps the ring from z-fighting with the floor
+
+/**
+ * Sets up the blast tool
+ * @param {Object} config - configuration object
+ * @param {THREE.Scene} config.scene - the scene (shockwave rings go here)
+ * @param {THREE.Camera} config.camera - the camera
+ * @param {THREE.WebGLRenderer} config.renderer - the renderer (its canvas receives pointer events)
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.cubeSpawner - cube spawner manager
+ * @param {THREE.Mesh} config.floor - the floor mesh
+ * @param {THREE.Mesh} config.glossyCube - the hero cube (clickable too)
+ * @param {Object} config.interactionState - object with mode property ('drag' or 'blast')
+ * @returns {Object} blast tool with settings and update function
+ */
+export function setupExplosionTool({
+  scene,
+  camera,
+  renderer,
+  physics,
+  cubeSpawner,
+  floor,
+  glossyCube,
+  interactionState,
+}) {
+  const domElement = renderer.domElement;
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const settings = { radius: 6, strength: 15, falloff: 'quadratic' };
+  const rings = [];
+  let downPosition = null;
+
+  // One unit ring, scaled up to the blast radius as it expands
+  const ringGeometry = new THREE.RingGeometry(0.85, 1, 64);
+  ringGeometry.rotateX(-Math.PI / 2);
+
+  /**
+   * Spawns an expanding shockwave ring on the floor
+   * @param {THREE.Vector3} center - blast centre on the floor
+   */
+  const spawnRing = (center) => {
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffaa33,
+      transparent: true,
+      opacity: 1,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+    const ring = new THREE.Mesh(ringGeometry, material);
+    ring.position.set(center.x, center.y + RING_LIFT, center.z);
+    ring.scale.setScalar(0.001);
+    scene.add(ring);
+    rings.push({ mesh: ring, age: 0, radius: settings.radius });
+  };
+
+  const onPointerDown = (event) => {
+    if (interactionState.mode !== 'blast' || event.button !== 0) return;
+    downPosition = { x: event.clientX, y: event.clientY };
+  };
+
+  const onPointerUp = (event) => {
+    if (interactionState.mode !== 'blast' || !downPosition) return;
+
+    // Ignore orbit drags, only blast on a real click
+    const moved = Math.hypot(
+      event.clientX - downPosition.x,
+      event.clientY - downPosition.y
+    );
+    downPosition = null;
+    if (moved > CLICK_TOLERANCE) return;
+
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+
+    const targets = [floor, glossyCube, ...cubeSpawner.instances.getMeshes()];
+    const hit = raycaster.intersectObjects(targets, false)[0];
+    if (!hit) return;
+
+    physics.applyRadialImpulse(hit.point, settings);
+    // Floor hits ring out right there (on terrain, on the slope itself),
+    // cube hits at floor level below the cube
+    spawnRing(
+      hit.object === floor
+        ? hit.point
+        : hit.point.clone().setY(floor.position.y)
+    );
+  };
+
+  // Crosshair in blast mode; leave other cursors (e.g. 'grabbing') alone
+  const onPointerMove = () => {
+    if (interactionState.mode === 'blast') {
+      domElement.style.cursor = 'crosshair';
+    } else if (domElement.style.cursor === 'crosshair') {
+      domElement.style.cursor = '';
+    }
+  };
+
+  domElement.addEventListener('pointerdown', onPointerDown);
+  domElement.addEventListener('pointerup', onPointerUp);
+  domElement.addEventListener('pointermove', onPointerMove);
+
+  return {
+    settings,
+
+    /**
+     * Animates the shockwave rings (call every frame, even while paused)
+     * @param {number} deltaTime - seconds since the last frame
+     */
+    update(deltaTime) {
+      for (let i = rings.length - 1; i >= 0; i--) {
+        const ring = rings[i];
+        ring.age += deltaTime;
+        const progress = Math.min(ring.age / RING_DURATION, 1);
+
+        // Ease out so the wave slows down as it spreads
+        const eased = 1 - (1 - progress) * (1 - progress);
+        ring.mesh.scale.setScalar(Math.max(eased * ring.radius, 0.001));
+        ring.mesh.material.opacity = 1 - progress;
+
+        if (progress >= 1) {
+          scene.remove(ring.mesh);
+          ring.mesh.material.dispose();
+          rings.splice(i, 1);
+        }
+      }
+    },
+  };
+}
@@ -13,6 +13,9 @@
  * @param {THREE.Vector3} config.originalCameraPos - original camera position
  * @param {HTMLElement} config.shortcutsPanel - the shortcuts panel element
  * @param {HTMLElement} config.pauseButton - the pause button element
+ * @param {Object} config.interactionState - (optional) object with mode property
+ * @param {HTMLElement} config.blastToggle - (optional) blast mode toggle to keep in sync
+ * @param {Object} config.gravity - (optional) gravity controller, G toggles its tilt mode
  */
 export function setupKeyboardShortcuts({
   cubeSpawner,
@@ -22,6 +25,9 @@ export function setupKeyboardShortcuts({
   originalCameraPos,
   shortcutsPanel,
   pauseButton,
+  interactionState = null,
+  blastToggle = null,
+  gravity = null,
 }) {
   const shortcuts = {
     'p': () => {
@@ -37,6 +43,18 @@ export function setupKeyboardShortcuts({
       camera.position.copy(originalCameraPos);
       controls.reset();
     },
+    'b': () => {
+      if (!interactionState) return;
+      interactionState.mode =
+        interactionState.mode === 'blast' ? 'drag' : 'blast';
+      if (blastToggle) {
+        blastToggle.input.checked = interactionState.mode === 'blast';
+      }
+    },
+    'g': () => {
+      if (!gravity) return;
+      gravity.setTiltMode(!gravity.settings.tiltMode);
+    },
     '?': () => {
       shortcutsPanel.style.display =
         shortcutsPanel.style.display === 'none' ? 'block' : 'none';
@@ -0,0 +1,86 @@
+/**
+ * hold-to-charge cube throwing 🥏
+ * hold T to charge, let go to launch a cube from the camera
+ */
+
+import * as THREE from 'three';
+
+const THROW_KEY = 'KeyT';
+const MIN_THROW_SPEED = 5;
+const MAX_THROW_SPEED = 35;
+const MAX_CHARGE_TIME = 1.5; // seconds to reach full power
+const LAUNCH_OFFSET = 1.5; // spawn this far in front of the camera
+
+/**
+ * Sets up hold-and-release cube throwing
+ * @param {Object} config - configuration object
+ * @param {THREE.Camera} config.camera - the camera to throw from
+ * @param {Object} config.cubeSpawner - cube spawner manager
+ * @param {Object} config.chargeIndicator - charge bar from createChargeIndicator
+ * @param {Function} config.getColor - returns the current cube color
+ * @param {Object} config.spawnSettings - current spawn options (shape, physicalMaterial)
+ */
+export function setupThrowInput({
+  camera,
+  cubeSpawner,
+  chargeIndicator,
+  getColor,
+  spawnSettings = {},
+}) {
+  let chargeStart = null;
+
+  /**
+   * Charge level for the current hold
+   * @returns {number} charge (0-1)
+   */
+  const getCharge = () => {
+    const seconds = (performance.now() - chargeStart) / 1000;
+    return Math.min(seconds / MAX_CHARGE_TIME, 1);
+  };
+
+  const updateIndicator = () => {
+    if (chargeStart === null) return;
+    chargeIndicator.setCharge(getCharge());
+    requestAnimationFrame(updateIndicator);
+  };
+
+  const cancel = () => {
+    chargeStart = null;
+    chargeIndicator.hide();
+  };
+
+  window.addEventListener('keydown', (event) => {
+    if (event.code !== THROW_KEY || event.repeat) return;
+    // Don't start a throw while typing in an input field
+    const tag = event.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+    chargeStart = performance.now();
+    updateIndicator();
+  });
+
+  window.addEventListener('keyup', (event) => {
+    if (event.code !== THROW_KEY || chargeStart === null) return;
+
+    const speed =
+      MIN_THROW_SPEED + (MAX_THROW_SPEED - MIN_THROW_SPEED) * getCharge();
+    cancel();
+
+    const direction = new THREE.Vector3();
+    camera.getWorldDirection(direction);
+    const origin = camera.position
+      .clone()
+      .addScaledVector(direction, LAUNCH_OFFSET);
+
+    cubeSpawner.spawn(getColor(), {
+      ...spawnSettings,
+      mode: 'throw',
+      origin,
+      direction,
+      speed,
+    });
+  });
+
+  // Losing focus mid-charge would leave the key "held" forever
+  window.addEventListener('blur', cancel);
+}
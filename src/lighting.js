@@ -1,19 +1,371 @@
 import * as THREE from 'three';
+import { MAX_GLOSSY_LIGHTS } from './shaders/glossyShader.js';
 
 /**
  * lighting setup module 💡
- * adds some cool ambient and point lights to the 3D scene
+ * adds some cool ambient and point lights to the 3D scene, and keeps
+ * track of the lights the glossy shader can see so they can be added,
+ * removed, colored and moved while it runs
  */
 
+/**
+ * shadow quality settings: the shadow map size per light (for point lights
+ * per cube face, of which there are six), 0 = no shadows at all
+ * @type {Object<string, {label: string, mapSize: number}>}
+ */
+export const SHADOW_QUALITIES = {
+  off: { label: 'Off', mapSize: 0 },
+  low: { label: 'Low (512)', mapSize: 512 },
+  medium: { label: 'Medium (1024)', mapSize: 1024 },
+  high: { label: 'High (2048)', mapSize: 2048 },
+};
+
+export const DEFAULT_SHADOW_QUALITY = 'medium';
+
+/**
+ * all light types the glossy shader can shade, keyed by name
+ * params lists the editable values (used to build the UI sliders),
+ * create() makes the THREE.js light, helper() its wireframe marker,
+ * shadow() (on the types the glossy shader takes shadows from) fits the
+ * light's shadow camera to the arena
+ * (point and spot intensities are in candela, so they need to be big
+ * to reach the floor from a few meters up)
+ * @type {Object<string, Object>}
+ */
+export const LIGHT_TYPES = {
+  point: {
+    label: 'Point',
+    color: '#ffffff',
+    position: { x: 0, y: 6, z: 0 },
+    params: {
+      intensity: { label: 'Intensity', min: 0, max: 200, step: 1, value: 40 },
+      distance: {
+        label: 'Range (0 = infinite)',
+        min: 0,
+        max: 60,
+        step: 1,
+        value: 0,
+      },
+      decay: { label: 'Decay', min: 0, max: 3, step: 0.1, value: 2 },
+    },
+    create: () => new THREE.PointLight(),
+    helper: (light) => new THREE.PointLightHelper(light, 0.5),
+    shadow(light) {
+      light.shadow.camera.near = 0.5;
+      light.shadow.camera.far = 60;
+      light.shadow.bias = -0.002;
+    },
+  },
+
+  directional: {
+    label: 'Directional',
+    color: '#fff4e0',
+    position: { x: -8, y: 12, z: 6 },
+    params: {
+      intensity: { label: 'Intensity', min: 0, max: 5, step: 0.05, value: 1 },
+    },
+    create: () => new THREE.DirectionalLight(),
+    helper: (light) => new THREE.DirectionalLightHelper(light, 1),
+    shadow(light) {
+      // Wide enough to cover the largest arena around the origin
+      const { camera } = light.shadow;
+      camera.left = -40;
+      camera.right = 40;
+      camera.top = 40;
+      camera.bottom = -40;
+      camera.near = 0.5;
+      camera.far = 100;
+      camera.updateProjectionMatrix();
+      light.shadow.bias = -0.0005;
+    },
+  },
+
+  spot: {
+    label: 'Spot',
+    color: '#ffffff',
+    position: { x: 0, y: 10, z: 0 },
+    params: {
+      intensity: { label: 'Intensity', min: 0, max: 400, step: 1, value: 120 },
+      distance: {
+        label: 'Range (0 = infinite)',
+        min: 0,
+        max: 60,
+        step: 1,
+        value: 0,
+      },
+      decay: { label: 'Decay', min: 0, max: 3, step: 0.1, value: 2 },
+      angle: { label: 'Cone angle (°)', min: 5, max: 89, step: 1, value: 30 },
+      penumbra: { label: 'Penumbra', min: 0, max: 1, step: 0.05, value: 0.3 },
+    },
+    create: () => new THREE.SpotLight(),
+    helper: (light) => new THREE.SpotLightHelper(light),
+  },
+
+  hemisphere: {
+    label: 'Hemisphere',
+    color: '#bfe3ff',
+    groundColor: '#5a4a3a',
+    position: { x: 0, y: 1, z: 0 },
+    params: {
+      intensity: {
+        label: 'Intensity',
+        min: 0,
+        max: 3,
+        step: 0.05,
+        value: 0.6,
+      },
+    },
+    create: () => new THREE.HemisphereLight(),
+    helper: (light) => new THREE.HemisphereLightHelper(light, 1),
+  },
+};
+
+/**
+ * reads a light parameter the way the UI shows it
+ * @param {THREE.Light} light - light from the light manager
+ * @param {string} key - parameter name from LIGHT_TYPES
+ * @returns {number} value (angles in degrees)
+ */
+export function getLightParam(light, key) {
+  return key === 'angle' ? THREE.MathUtils.radToDeg(light.angle) : light[key];
+}
+
+/**
+ * Creates the light manager
+ * keeps the lights the glossy shader shades (up to MAX_GLOSSY_LIGHTS of
+ * each type) and their helpers in sync with their settings, and sizes
+ * their shadow maps by the shadow quality. The shader only takes shadows
+ * from one point and one directional light, so a new light of those types
+ * casts shadows only if no other light of its type does yet
+ * @param {THREE.Scene} scene - the scene the lights go in
+ * @param {string} shadowQuality - key of SHADOW_QUALITIES (default: 'medium')
+ * @returns {Object} light manager
+ */
+export function createLightManager(
+  scene,
+  shadowQuality = DEFAULT_SHADOW_QUALITY
+) {
+  const lights = []; // { id, type, light, helper, castShadow }
+  const settings = { showHelpers: false, shadowQuality };
+  let nextId = 1;
+
+  /**
+   * Turns a light's shadow on or off and sizes its map by the quality
+   * (a map of the wrong size is thrown away and redrawn on the next frame)
+   * @param {Object} entry - light entry
+   */
+  const applyShadow = (entry) => {
+    const { light } = entry;
+    const { mapSize } = SHADOW_QUALITIES[settings.shadowQuality];
+    light.castShadow = entry.castShadow && mapSize > 0;
+    if (!light.castShadow || light.shadow.mapSize.x === mapSize) return;
+
+    light.shadow.mapSize.set(mapSize, mapSize);
+    if (light.shadow.map) {
+      light.shadow.map.dispose();
+      light.shadow.map = null;
+    }
+  };
+
+  /**
+   * Counts the lights of one type
+   * @param {string} typeName - key of LIGHT_TYPES
+   * @returns {number} how many are placed
+   */
+  const countType = (typeName) =>
+    lights.filter((entry) => entry.type === typeName).length;
+
+  return {
+    lights,
+    settings,
+
+    /**
+     * Puts a light the scene already has under the manager's control
+     * @param {string} typeName - key of LIGHT_TYPES
+     * @param {THREE.Light} light - light already in the scene
+     * @returns {Object} the light's entry
+     */
+    register(typeName, light) {
+      const type = LIGHT_TYPES[typeName];
+      const helper = type.helper(light);
+      helper.visible = settings.showHelpers;
+      scene.add(helper);
+      if (light.target) {
+        scene.add(light.target);
+      }
+
+      const entry = {
+        id: nextId++,
+        type: typeName,
+        light,
+        helper,
+        castShadow: Boolean(type.shadow) && !this.hasShadowCaster(typeName),
+      };
+      type.shadow?.(light);
+      applyShadow(entry);
+      lights.push(entry);
+      return entry;
+    },
+
+    /**
+     * Places a new light with its type's defaults
+     * @param {string} typeName - key of LIGHT_TYPES
+     * @param {Object} position - light position { x, y, z } (default: the type's)
+     * @returns {Object|null} the new light's entry, null if the shader has no room for it
+     */
+    add(typeName, position = null) {
+      const type = LIGHT_TYPES[typeName];
+      if (!type) {
+        console.warn(`Unknown light type "${typeName}"`);
+        return null;
+      }
+      if (!this.canAdd(typeName)) {
+        console.warn(
+          `The glossy shader takes at most ${MAX_GLOSSY_LIGHTS[typeName]} ${type.label.toLowerCase()} lights`
+        );
+        return null;
+      }
+
+      const light = type.create();
+      light.color.set(type.color);
+      if (type.groundColor) {
+        light.groundColor.set(type.groundColor);
+      }
+      const { x, y, z } = position || type.position;
+      light.position.set(x, y, z);
+      scene.add(light);
+
+      const entry = this.register(typeName, light);
+      Object.entries(type.params).forEach(([key, param]) => {
+        this.set(entry, key, param.value);
+      });
+      return entry;
+    },
+
+    /**
+     * Whether the shader has room for another light of a type
+     * @param {string} typeName - key of LIGHT_TYPES
+     * @returns {boolean} true if add() would place it
+     */
+    canAdd(typeName) {
+      return countType(typeName) < MAX_GLOSSY_LIGHTS[typeName];
+    },
+
+    /**
+     * Whether a light of a type already casts shadows (the glossy shader
+     * only uses the first one's)
+     * @param {string} typeName - key of LIGHT_TYPES
+     * @returns {boolean} true if one is set to cast shadows
+     */
+    hasShadowCaster(typeName) {
+      return lights.some(
+        (entry) => entry.type === typeName && entry.castShadow
+      );
+    },
+
+    /**
+     * Switches a light's shadow on or off (for types with shadows)
+     * @param {Object} entry - entry returned by add() or register()
+     * @param {boolean} castShadow - true to cast shadows
+     */
+    setCastShadow(entry, castShadow) {
+      entry.castShadow = castShadow && Boolean(LIGHT_TYPES[entry.type].shadow);
+      applyShadow(entry);
+    },
+
+    /**
+     * Changes the shadow map size of every light
+     * @param {string} name - key of SHADOW_QUALITIES
+     */
+    setShadowQuality(name) {
+      if (!SHADOW_QUALITIES[name]) {
+        console.warn(`Unknown shadow quality "${name}"`);
+        return;
+      }
+      settings.shadowQuality = name;
+      lights.forEach(applyShadow);
+    },
+
+    /**
+     * Removes a light and its helper
+     * @param {Object} entry - entry returned by add() or register()
+     */
+    remove(entry) {
+      const index = lights.indexOf(entry);
+      if (index === -1) return;
+      lights.splice(index, 1);
+      scene.remove(entry.light, entry.helper);
+      if (entry.light.target) {
+        scene.remove(entry.light.target);
+      }
+      entry.helper.dispose();
+      entry.light.dispose();
+      entry.light.shadow?.map?.dispose();
+    },
+
+    /**
+     * Changes a light parameter (position.x/y/z, intensity, angle, ...)
+     * @param {Object} entry - entry returned by add() or register()
+     * @param {string} key - parameter name, or 'x' / 'y' / 'z' for position
+     * @param {number|boolean} value - new value (angles in degrees)
+     */
+    set(entry, key, value) {
+      const { light } = entry;
+      if (key === 'x' || key === 'y' || key === 'z') {
+        light.position[key] = value;
+      } else if (key === 'angle') {
+        light.angle = THREE.MathUtils.degToRad(value);
+      } else {
+        light[key] = value;
+      }
+      this.refresh(entry);
+    },
+
+    /**
+     * Recolors a light
+     * @param {Object} entry - entry returned by add() or register()
+     * @param {string} color - hex color code
+     * @param {string} which - 'color', or 'groundColor' for hemisphere lights
+     */
+    setColor(entry, color, which = 'color') {
+      entry.light[which].set(color);
+      this.refresh(entry);
+    },
+
+    /**
+     * Shows or hides every light's helper (the lights keep shining)
+     * @param {boolean} visible - true to show the helpers
+     */
+    setHelpersVisible(visible) {
+      settings.showHelpers = visible;
+      lights.forEach((entry) => {
+        entry.helper.visible = visible;
+      });
+    },
+
+    /**
+     * Syncs a light's helper with the light
+     * @param {Object} entry - entry returned by add() or register()
+     */
+    refresh(entry) {
+      entry.light.updateMatrixWorld();
+      entry.light.target?.updateMatrixWorld();
+      entry.helper.update();
+    },
+  };
+}
+
 /**
  * sets up the lights for the scene, makes it look good!
  * @param {THREE.Scene} scene - the THREE.js scene where the lights go
- * @returns {void} nothing, just adds lights
+ * @param {string} shadowQuality - key of SHADOW_QUALITIES (default: 'medium')
+ * @returns {Object} light manager from createLightManager, already holding the point light
  * basically, it adds two kinds of lights:
  * - ambient light: for general brightness, white, 50% intensity
- * - point light: shines from one spot, white, 100% intensity, at (5, 5, 5)
+ * - point light: shines from one spot, white, 100% intensity, at (5, 5, 5),
+ *   casting shadows
  */
-export function setupLighting(scene) {
+export function setupLighting(scene, shadowQuality = DEFAULT_SHADOW_QUALITY) {
   // Create ambient light for base illumination
   const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
   scene.add(ambientLight);
@@ -22,4 +374,8 @@ export function setupLighting(scene) {
   const pointLight = new THREE.PointLight(0xffffff, 1);
   pointLight.position.set(5, 5, 5);
   scene.add(pointLight);
+
+  const lights = createLightManager(scene, shadowQuality);
+  lights.register('point', pointLight);
+  return lights;
 }
@@ -11,23 +11,38 @@ import renderer, { mountRenderer } from './renderer.js';
 import { updateGlossyMaterialUniforms } from './shaders/glossyShader.js';
 import { setupLighting } from './lighting.js';
 import { setupSky } from './objects/sky.js';
-import { setupControls } from './controls.js';
-import {
-  createPhysicsWorld,
-  createGround,
-  attachPhysicsBody,
-} from './physics.js';
+import { setupControls, keyStates } from './controls.js';
+import { createPhysicsClient } from './physics/physicsClient.js';
 import { createFloor } from './objects/floor.js';
+import { createTerrainMode } from './terrainMode.js';
+import { createPhysicsDebugOverlay } from './objects/physicsDebugOverlay.js';
+import { createForceFieldManager } from './forceFields.js';
+import { createConstraintSpawner } from './constraintSpawner.js';
+import { createStructureSpawner } from './structureSpawner.js';
+import { createArena } from './arena.js';
+import { createGravityController } from './gravity.js';
+import { createFractureManager } from './fracture.js';
+import { createImpactAudio } from './audio/impactAudio.js';
+import { createRecorder } from './recorder.js';
 
 // New refactored modules
 import { initializeGlossyCube } from './objects/glossyCubeSetup.js';
 import { createCubeSpawner } from './cubeSpawner.js';
+import { DEFAULT_SHAPE } from './objects/shapes.js';
+import { DEFAULT_PHYSICAL_MATERIAL } from './physicsMaterials.js';
 import { setupUI } from './ui/setupUI.js';
 import { setupKeyboardShortcuts, setupDoubleClickSpawn } from './input/keyboardShortcuts.js';
+import { setupCubeDragging } from './input/cubeDragging.js';
+import { setupThrowInput } from './input/throwInput.js';
+import { setupExplosionTool } from './input/explosionTool.js';
 import { startAnimationLoop } from './animation/animationLoop.js';
 
 // High refresh rate support
-import { parseURLParams, getURLParamUsage } from './config/urlParams.js';
+import {
+  parseURLParams,
+  getURLParamUsage,
+  setURLParam,
+} from './config/urlParams.js';
 import { createHighRefreshRateManager } from './display/highRefreshRate.js';
 
 /**
@@ -51,41 +66,146 @@ function initializeApp() {
   setupCameraResize(renderer);
 
   // === SCENE SETUP ===
-  setupLighting(scene);
-  const skyController = setupSky(scene);
+  const lights = setupLighting(scene, urlParams.shadows);
+  const skyController = setupSky(scene, { renderer });
 
   // === PHYSICS ===
-  const physicsWorld = createPhysicsWorld();
-  createGround(physicsWorld);
+  // Runs in a worker unless ?mainThreadPhysics asks otherwise
+  const physics = createPhysicsClient({
+    useWorker: !urlParams.mainThreadPhysics,
+  });
+  if (urlParams.debug) {
+    console.log(`🧮 [Physics] Simulation running on: ${physics.getMode()}`);
+  }
+
+  // Earth gravity unless ?gravity asks otherwise; changes go back into the URL
+  const gravity = createGravityController({
+    physics,
+    keyStates,
+    initial: urlParams.gravity,
+  });
+  gravity.onChange(() => setURLParam('gravity', gravity.toParam()));
+
+  // Wireframes of what the simulation collides with (off until toggled)
+  const debugOverlay = createPhysicsDebugOverlay(scene, physics);
 
   // === OBJECTS ===
-  const glossyData = initializeGlossyCube(scene, physicsWorld);
+  const glossyData = initializeGlossyCube(scene, physics);
   const floor = createFloor();
   scene.add(floor);
 
+  // Flat until terrain mode is switched on from the panel
+  const terrainMode = createTerrainMode({ physics, floor });
+
   // === CONTROLS ===
   const controls = setupControls(camera, renderer);
 
+  // === AUDIO ===
+  const impactAudio = createImpactAudio();
+  physics.on('impact', (impact) => impactAudio.handleImpact(impact));
+
   // === CUBE SPAWNER ===
-  const cubeSpawner = createCubeSpawner(scene, physicsWorld);
+  const cubeSpawner = createCubeSpawner(scene, physics);
+
+  // === CONSTRAINTS ===
+  const constraintSpawner = createConstraintSpawner({
+    scene,
+    physics,
+    cubeSpawner,
+    heroCube: glossyData,
+  });
+
+  // === FRACTURE ===
+  // Off until switched on in the panel
+  const fracture = createFractureManager({ physics, cubeSpawner });
+
+  // === ARENA ===
+  // No walls until picked in the panel; the kill plane is on from the start
+  const arena = createArena({ scene, physics, cubeSpawner, fracture });
+  if (urlParams.debug) {
+    arena.on('cubeLost', ({ height }) => {
+      console.log(
+        `🕳️ [Arena] Cube fell off the world at y=${height.toFixed(1)}`
+      );
+    });
+  }
+
+  // === STRUCTURES ===
+  // Building one switches terrain mode back to the flat ground
+  const structureSpawner = createStructureSpawner({
+    physics,
+    cubeSpawner,
+    terrainMode,
+  });
 
   // === STATE ===
   const pauseState = { isPaused: false };
+  const interactionState = { mode: 'drag' }; // 'drag' or 'blast'
+  const spawnSettings = {
+    shape: DEFAULT_SHAPE,
+    physicalMaterial: DEFAULT_PHYSICAL_MATERIAL,
+  };
   const originalCameraPos = camera.position.clone();
 
+  // === BLAST TOOL ===
+  const explosionTool = setupExplosionTool({
+    scene,
+    camera,
+    renderer,
+    physics,
+    cubeSpawner,
+    floor,
+    glossyCube: glossyData.cube,
+    interactionState,
+  });
+
+  // === FORCE FIELDS ===
+  const forceFields = createForceFieldManager(scene, physics);
+
+  // === RECORDER ===
+  const setHeroColor = (color) => {
+    glossyData.material.uniforms.baseColor.value = new THREE.Color(color);
+    glossyData.material.needsUpdate = true;
+  };
+  const recorder = createRecorder({
+    physics,
+    cubeSpawner,
+    camera,
+    controls,
+    heroCube: glossyData,
+    pauseState,
+    onColorChange: setHeroColor,
+  });
+
   // === UI ===
   const colorPicker = document.getElementById('color-picker');
   const uiElements = setupUI({
     cubeSpawner,
     pauseState,
+    spawnSettings,
     camera,
     controls,
     originalCameraPos,
     colorPickerColor: colorPicker?.value || '#00d4ff',
     onColorChange: (color) => {
-      glossyData.material.uniforms.baseColor.value = new THREE.Color(color);
-      glossyData.material.needsUpdate = true;
+      setHeroColor(color);
+      recorder.recordColor(color);
     },
+    impactAudio,
+    heroCube: glossyData,
+    interactionState,
+    explosionTool,
+    forceFields,
+    constraintSpawner,
+    structureSpawner,
+    terrainMode,
+    arena,
+    gravity,
+    fracture,
+    lights,
+    sky: skyController,
+    recorder,
+    debugOverlay,
   });
 
   // === KEYBOARD INPUT ===
@@ -97,11 +217,32 @@ function initializeApp() {
     originalCameraPos,
     shortcutsPanel: uiElements.shortcutsPanel,
     pauseButton: uiElements.pauseButton,
+    interactionState,
+    blastToggle: uiElements.blastToggle,
+    gravity,
   });
 
   setupDoubleClickSpawn(() => {
     const color = colorPicker?.value || '#00d4ff';
-    cubeSpawner.spawn(color);
+    cubeSpawner.spawn(color, { ...spawnSettings });
+  });
+
+  setupThrowInput({
+    camera,
+    cubeSpawner,
+    chargeIndicator: uiElements.chargeIndicator,
+    getColor: () => colorPicker?.value || '#00d4ff',
+    spawnSettings,
+  });
+
+  // === MOUSE DRAGGING ===
+  setupCubeDragging({
+    camera,
+    renderer,
+    physics,
+    cubeSpawner,
+    controls,
+    interactionState,
   });
 
   // === HIGH REFRESH RATE SETUP ===
@@ -129,13 +270,21 @@ function initializeApp() {
     glossyCube: glossyData.cube,
     glossyMaterial: glossyData.material,
     floor,
-    physicsWorld,
+    physics,
     cubeSpawner,
     pauseState,
     controls,
     statsPanel: uiElements.statsPanel,
     fpsManager,
     skyController,
+    impactAudio,
+    explosionTool,
+    constraintSpawner,
+    recorder,
+    debugOverlay,
+    arena,
+    gravity,
+    fracture,
   });
 }
 
@@ -0,0 +1,71 @@
+/**
+ * seeded noise 🏔️
+ * smooth 2D value noise and its fractal (octave) sum, the same for a
+ * given seed everywhere, so the physics and the mesh agree on every hill
+ */
+
+/**
+ * hashes a lattice point and a seed to a number in [0, 1)
+ * @param {number} x - integer x coordinate
+ * @param {number} y - integer y coordinate
+ * @param {number} seed - 32-bit integer seed
+ * @returns {number} pseudo-random value for that point
+ */
+function hash(x, y, seed) {
+  let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ seed;
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 0x100000000;
+}
+
+/**
+ * smoothstep, so the noise has no creases at the lattice lines
+ * @param {number} t - value in [0, 1]
+ * @returns {number} eased value in [0, 1]
+ */
+function fade(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * creates a seeded 2D value noise function
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} (x, y) => number in [0, 1), one feature per unit
+ */
+export function createNoise2D(seed) {
+  const s = seed >>> 0;
+  return (x, y) => {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const tx = fade(x - x0);
+    const ty = fade(y - y0);
+    const top = hash(x0, y0, s) + (hash(x0 + 1, y0, s) - hash(x0, y0, s)) * tx;
+    const bottom =
+      hash(x0, y0 + 1, s) +
+      (hash(x0 + 1, y0 + 1, s) - hash(x0, y0 + 1, s)) * tx;
+    return top + (bottom - top) * ty;
+  };
+}
+
+/**
+ * fractal noise: octaves of noise, each twice as fine and half as strong
+ * @param {Function} noise - function from createNoise2D
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @param {number} octaves - number of layers (1 = plain noise)
+ * @returns {number} value in [0, 1)
+ */
+export function fractalNoise(noise, x, y, octaves) {
+  let sum = 0;
+  let weight = 1;
+  let totalWeight = 0;
+  let frequency = 1;
+  for (let octave = 0; octave < octaves; octave++) {
+    // Offset each octave so their lattices don't line up
+    sum += weight * noise(x * frequency + octave * 17.3, y * frequency);
+    totalWeight += weight;
+    weight *= 0.5;
+    frequency *= 2;
+  }
+  return sum / totalWeight;
+}
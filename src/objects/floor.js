@@ -1,17 +1,23 @@
 /**
  * floor object with glossy shader 🏢
- * provides a physical floor for cubes to land on
+ * provides a physical floor for cubes to land on, flat or (in terrain
+ * mode) displaced into the same hills as the physics heightfield
  */
 
 import * as THREE from 'three';
 import { createGlossyMaterial } from '../shaders/glossyShader.js';
+import { GROUND_TOP } from '../physics.js';
+import { generateTerrainHeights, TERRAIN_SEGMENTS } from '../terrain.js';
+
+const FLOOR_SIZE = 50;
+const FLOOR_Y = -5;
 
 /**
  * creates a floor plane with glossy shader material
  * @returns {THREE.Mesh} the floor mesh
  */
 export function createFloor() {
-  const geometry = new THREE.PlaneGeometry(50, 50);
+  const geometry = new THREE.PlaneGeometry(FLOOR_SIZE, FLOOR_SIZE);
   const material = createGlossyMaterial({
     color: 0x1a1a2e,
     roughness: 0.3,
@@ -22,8 +28,71 @@ export function createFloor() {
 
   const floor = new THREE.Mesh(geometry, material);
   floor.rotation.x = -Math.PI / 2; // Rotate to be horizontal
-  floor.position.y = -5;
+  floor.position.y = FLOOR_Y;
   floor.receiveShadow = true;
+  floor.castShadow = true; // terrain hills shade the valleys behind them
 
   return floor;
 }
+
+/**
+ * swaps the floor's geometry, disposing of the old one
+ * @param {THREE.Mesh} floor - the floor mesh
+ * @param {THREE.BufferGeometry} geometry - the new geometry
+ */
+function replaceGeometry(floor, geometry) {
+  floor.geometry.dispose();
+  floor.geometry = geometry;
+}
+
+/**
+ * turns the floor into noise terrain matching createTerrain's heightfield
+ * @param {THREE.Mesh} floor - the floor mesh from createFloor
+ * @param {Object} params - terrain settings (see generateTerrainHeights)
+ */
+export function setFloorTerrain(floor, params) {
+  const { data } = generateTerrainHeights(params);
+  const geometry = new THREE.PlaneGeometry(
+    params.size,
+    params.size,
+    TERRAIN_SEGMENTS,
+    TERRAIN_SEGMENTS
+  );
+
+  // Plane rows run from far (row 0) to near, the heightfield's columns
+  // from near (j = 0) to far; the plane's local Z ends up pointing up
+  const position = geometry.getAttribute('position');
+  for (let row = 0; row <= TERRAIN_SEGMENTS; row++) {
+    for (let column = 0; column <= TERRAIN_SEGMENTS; column++) {
+      position.setZ(
+        row * (TERRAIN_SEGMENTS + 1) + column,
+        data[column][TERRAIN_SEGMENTS - row]
+      );
+    }
+  }
+
+  // Split every cell along the same diagonal the heightfield does, so the
+  // triangles you see are the triangles cubes roll on
+  const index = [];
+  for (let row = 0; row < TERRAIN_SEGMENTS; row++) {
+    for (let column = 0; column < TERRAIN_SEGMENTS; column++) {
+      const a = row * (TERRAIN_SEGMENTS + 1) + column;
+      const b = a + TERRAIN_SEGMENTS + 1;
+      index.push(a, b, b + 1, a, b + 1, a + 1);
+    }
+  }
+  geometry.setIndex(index);
+  geometry.computeVertexNormals();
+
+  replaceGeometry(floor, geometry);
+  floor.position.y = GROUND_TOP;
+}
+
+/**
+ * turns the floor back into the flat plane
+ * @param {THREE.Mesh} floor - the floor mesh from createFloor
+ */
+export function setFloorFlat(floor) {
+  replaceGeometry(floor, new THREE.PlaneGeometry(FLOOR_SIZE, FLOOR_SIZE));
+  floor.position.y = FLOOR_Y;
+}
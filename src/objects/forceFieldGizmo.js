@@ -0,0 +1,89 @@
+/**
+ * force field gizmo 🫧
+ * a translucent bubble showing a field's reach, with an arrow for
+ * fields that have a direction (wind heading, vortex axis)
+ */
+
+import * as THREE from 'three';
+
+const BUBBLE_OPACITY = 0.08;
+const DISABLED_OPACITY = 0.02;
+
+// Shared by every gizmo, scaled to each field's radius
+const bubbleGeometry = new THREE.SphereGeometry(1, 32, 16);
+const wireGeometry = new THREE.WireframeGeometry(
+  new THREE.IcosahedronGeometry(1, 2)
+);
+
+/**
+ * creates a gizmo for one force field
+ * @param {number} color - field colour (hex)
+ * @returns {Object} { group, update(position, radius, direction, enabled), dispose() }
+ */
+export function createForceFieldGizmo(color) {
+  const group = new THREE.Group();
+
+  const bubbleMaterial = new THREE.MeshBasicMaterial({
+    color,
+    transparent: true,
+    opacity: BUBBLE_OPACITY,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  });
+  const bubble = new THREE.Mesh(bubbleGeometry, bubbleMaterial);
+  bubble.raycast = () => {}; // never block clicks meant for the cubes behind it
+
+  const wireMaterial = new THREE.LineBasicMaterial({
+    color,
+    transparent: true,
+    opacity: BUBBLE_OPACITY * 3,
+    depthWrite: false,
+  });
+  const wire = new THREE.LineSegments(wireGeometry, wireMaterial);
+  wire.raycast = () => {};
+
+  const arrow = new THREE.ArrowHelper(
+    new THREE.Vector3(0, 1, 0),
+    new THREE.Vector3(),
+    1,
+    color
+  );
+  arrow.visible = false;
+
+  group.add(bubble, wire, arrow);
+
+  return {
+    group,
+
+    /**
+     * moves/resizes the gizmo to match its field
+     * @param {THREE.Vector3} position - field centre
+     * @param {number} radius - field radius
+     * @param {THREE.Vector3|null} direction - field direction, or null for none
+     * @param {boolean} enabled - disabled fields are drawn fainter
+     */
+    update(position, radius, direction, enabled) {
+      group.position.set(position.x, position.y, position.z);
+      bubble.scale.setScalar(radius);
+      wire.scale.setScalar(radius);
+
+      bubbleMaterial.opacity = enabled ? BUBBLE_OPACITY : DISABLED_OPACITY;
+      wireMaterial.opacity = (enabled ? BUBBLE_OPACITY : DISABLED_OPACITY) * 3;
+
+      arrow.visible = Boolean(direction);
+      if (direction) {
+        arrow.setDirection(direction);
+        arrow.setLength(radius * 0.6, radius * 0.15, radius * 0.08);
+      }
+    },
+
+    /**
+     * frees the gizmo's materials (the geometries are shared)
+     */
+    dispose() {
+      bubbleMaterial.dispose();
+      wireMaterial.dispose();
+      arrow.dispose();
+    },
+  };
+}
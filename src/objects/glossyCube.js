@@ -36,6 +36,8 @@ const glossyMaterial = createGlossyMaterial({
  * just a 3D cube with our glossy shader, ready to shine in the scene!
  */
 const glossyCube = new THREE.Mesh(geometry, glossyMaterial);
+glossyCube.castShadow = true;
+glossyCube.receiveShadow = true;
 
 // Export both the cube and its material for uniform updates
 export { glossyCube as default, glossyMaterial };
\ No newline at end of file
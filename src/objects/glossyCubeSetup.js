@@ -1,26 +1,56 @@
 /**
  * glossy cube setup and initialization 💎
- * handles initial glossy cube configuration and rare fog mode
+ * handles initial glossy cube configuration, its kinematic body, and rare fog mode
  */
 
 import * as THREE from 'three';
 import glossyCube, { glossyMaterial } from './glossyCube.js';
-import { attachPhysicsBody } from '../physics.js';
 
 const FOG_CHANCE = 0.05; // 5% chance for fog on load
 
+// The original spin: 0.01 rad per frame around X and Y, at 60 FPS
+export const CUBE_ROTATION_SPEED = 0.01;
+const REFERENCE_FRAME_TIME = 1 / 60;
+const DEFAULT_SPIN_AXIS = new THREE.Vector3(1, 1, 0).normalize();
+const DEFAULT_SPIN_SPEED =
+  (CUBE_ROTATION_SPEED * Math.SQRT2) / REFERENCE_FRAME_TIME; // rad/s
+
 /**
- * Initialize the glossy cube with physics
+ * Initialize the glossy cube with a kinematic physics body
+ * the body spins with a real angular velocity, so cubes that land on it
+ * get swept along with proper friction instead of hitting a teleporting box
  * @param {THREE.Scene} scene - the scene to add cube to
- * @param {CANNON.World} physicsWorld - the physics world
- * @returns {Object} object with cube and material
+ * @param {Object} physics - physics client from createPhysicsClient
+ * @returns {Object} object with cube, material, body (proxy) and hero cube controls
  */
-export function initializeGlossyCube(scene, physicsWorld) {
+export function initializeGlossyCube(scene, physics) {
   // Add cube to scene
   scene.add(glossyCube);
 
-  // Attach static physics body (won't fall)
-  attachPhysicsBody(glossyCube, physicsWorld, 0);
+  // Kinematic body: never falls, but moves and pushes other bodies
+  const body = physics.createBody({
+    halfExtent: 0.5 * glossyCube.scale.x,
+    kinematic: true,
+    position: glossyCube.position,
+  });
+  glossyCube.userData.physicsBody = body;
+
+  const state = {
+    spinAxis: DEFAULT_SPIN_AXIS.clone(),
+    spinSpeed: DEFAULT_SPIN_SPEED,
+    scale: glossyCube.scale.x,
+  };
+
+  const applySpin = () => {
+    const axis = state.spinAxis.clone();
+    if (axis.lengthSq() > 0) {
+      axis.normalize();
+    }
+    physics.updateBody(body.id, {
+      angularVelocity: axis.multiplyScalar(state.spinSpeed),
+    });
+  };
+  applySpin();
 
   // 5% chance to enable atmospheric fog
   if (Math.random() < FOG_CHANCE) {
@@ -30,6 +60,58 @@ export function initializeGlossyCube(scene, physicsWorld) {
   return {
     cube: glossyCube,
     material: glossyMaterial,
+    body,
+    state,
+
+    /**
+     * Set the spin axis (doesn't need to be normalized, zero stops the spin)
+     * @param {number} x - axis x component
+     * @param {number} y - axis y component
+     * @param {number} z - axis z component
+     */
+    setSpinAxis(x, y, z) {
+      state.spinAxis.set(x, y, z);
+      applySpin();
+    },
+
+    /**
+     * Set the spin speed
+     * @param {number} speed - angular speed in rad/s
+     */
+    setSpinSpeed(speed) {
+      state.spinSpeed = speed;
+      applySpin();
+    },
+
+    /**
+     * Move the hero cube (body and mesh jump there right away)
+     * @param {number} x - x position
+     * @param {number} y - y position
+     * @param {number} z - z position
+     */
+    setPosition(x, y, z) {
+      glossyCube.position.set(x, y, z);
+      physics.updateBody(body.id, { position: glossyCube.position });
+    },
+
+    /**
+     * Turn the hero cube to an exact orientation (body and mesh jump there right away)
+     * @param {THREE.Quaternion} quaternion - new orientation
+     */
+    setRotation(quaternion) {
+      glossyCube.quaternion.copy(quaternion);
+      physics.updateBody(body.id, { quaternion });
+    },
+
+    /**
+     * Scale the hero cube, resizing its collision box to match
+     * @param {number} scale - uniform scale (1 = unit cube)
+     */
+    setScale(scale) {
+      state.scale = scale;
+      glossyCube.scale.setScalar(scale);
+      physics.updateBody(body.id, { halfExtent: 0.5 * scale });
+    },
   };
 }
 
@@ -0,0 +1,404 @@
+/**
+ * instanced cubes 🧊
+ * draws every spawned body of a shape through one InstancedMesh: one
+ * geometry, one glossy material and one draw call per shape however many
+ * bodies there are, with each body's colour and physical material look
+ * stored per instance
+ */
+
+import * as THREE from 'three';
+import {
+  createGlossyMaterial,
+  updateGlossyMaterialUniforms,
+} from '../shaders/glossyShader.js';
+import { getShape } from './shapes.js';
+import { getPhysicalMaterial } from '../physicsMaterials.js';
+
+// Instances a shape's mesh has room for at first; it doubles when full
+const INITIAL_CAPACITY = 64;
+
+// Scratch values for writing instance data
+const instanceMatrix = new THREE.Matrix4();
+const unitScale = new THREE.Vector3(1, 1, 1);
+
+/**
+ * the per-instance attributes of a batch mesh (instanceLook and
+ * instanceOpacity are read by the glossy shader's instanceLook option)
+ * @param {THREE.InstancedMesh} mesh - batch mesh
+ * @returns {THREE.InstancedBufferAttribute[]} every per-instance attribute
+ */
+function getInstanceAttributes(mesh) {
+  return [
+    mesh.instanceMatrix,
+    mesh.instanceColor,
+    mesh.geometry.getAttribute('instanceLook'),
+    mesh.geometry.getAttribute('instanceOpacity'),
+  ];
+}
+
+// GLSL the fading batches' shadow materials add to THREE.js's depth shaders
+const OPACITY_VARYING = `attribute float instanceOpacity;
+varying float vInstanceOpacity;`;
+// Kept where opacity beats a per-pixel hash, so opacity is the share kept
+const OPACITY_DITHER = `float ditherThreshold = fract(
+  sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453
+);
+if (vInstanceOpacity < ditherThreshold) discard;`;
+
+/**
+ * shadow depth materials for fading batches: instanceOpacity dithers away
+ * that share of each instance's shadow, so a fading fragment's shadow
+ * fades with it (THREE.js draws shadow maps with its own depth materials,
+ * which don't read the glossy shader's attributes)
+ * @returns {{depth: THREE.MeshDepthMaterial, distance: THREE.MeshDistanceMaterial}}
+ *   customDepthMaterial and customDistanceMaterial (point lights) for the mesh
+ */
+function createFadingDepthMaterials() {
+  const readOpacity = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${OPACITY_VARYING}`)
+      .replace(
+        '#include <begin_vertex>',
+        '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;'
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        '#include <common>',
+        '#include <common>\nvarying float vInstanceOpacity;'
+      )
+      .replace(
+        '#include <alphatest_fragment>',
+        `#include <alphatest_fragment>\n${OPACITY_DITHER}`
+      );
+  };
+
+  const depth = new THREE.MeshDepthMaterial({
+    depthPacking: THREE.RGBADepthPacking,
+  });
+  const distance = new THREE.MeshDistanceMaterial();
+  depth.onBeforeCompile = readOpacity;
+  distance.onBeforeCompile = readOpacity;
+  return { depth, distance };
+}
+
+/**
+ * makes an InstancedMesh for one shape with room for capacity instances
+ * @param {Object} shapeEntry - shape registry entry
+ * @param {THREE.ShaderMaterial} material - the shape's glossy material
+ * @param {number} capacity - most instances it can hold
+ * @returns {THREE.InstancedMesh} the mesh, drawing none yet
+ */
+function createBatchMesh(shapeEntry, material, capacity) {
+  const geometry = shapeEntry.createGeometry();
+  geometry.setAttribute(
+    'instanceLook',
+    new THREE.InstancedBufferAttribute(new Float32Array(capacity * 4), 4)
+  );
+  geometry.setAttribute(
+    'instanceOpacity',
+    new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1)
+  );
+
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(
+    new Float32Array(capacity * 3),
+    3
+  );
+  getInstanceAttributes(mesh).forEach((attribute) =>
+    attribute.setUsage(THREE.DynamicDrawUsage)
+  );
+  mesh.count = 0;
+  mesh.visible = false;
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  // Instances move every frame, so a bounding sphere would always be stale
+  mesh.frustumCulled = false;
+  return mesh;
+}
+
+/**
+ * Creates the instanced cube renderer
+ * cubes are { physicsBody, shape, physicalMaterial, color, opacity, batch,
+ * index } objects; index is the cube's instance in its batch's mesh and
+ * changes when other cubes are removed or fade, so keep the cube object,
+ * not the index
+ * @param {THREE.Scene} scene - the THREE.js scene
+ * @returns {Object} instanced cube renderer with methods
+ */
+export function createInstancedCubes(scene) {
+  // Solid cubes and fading cubes (opacity below 1) go in separate batches,
+  // so only the fading ones are drawn in the transparent pass
+  const solidBatches = new Map(); // shape entry -> { shapeEntry, fading, mesh, cubes, capacity }
+  const fadingBatches = new Map();
+  const fadingDepthMaterials = createFadingDepthMaterials();
+
+  /**
+   * Every batch made so far, solid and fading
+   * @returns {Object[]} batches
+   */
+  const getBatches = () => [
+    ...solidBatches.values(),
+    ...fadingBatches.values(),
+  ];
+
+  /**
+   * The solid or fading batch for a shape, made on first use
+   * @param {Object} shapeEntry - shape registry entry
+   * @param {boolean} fading - whether it's the batch for fading cubes
+   * @returns {Object} batch { shapeEntry, fading, mesh, cubes, capacity }
+   */
+  const getBatch = (shapeEntry, fading) => {
+    const batches = fading ? fadingBatches : solidBatches;
+    if (!batches.has(shapeEntry)) {
+      // White base so each instance's colour comes through as picked
+      const material = createGlossyMaterial({
+        color: 0xffffff,
+        instanceLook: true,
+      });
+      if (fading) {
+        // Fading cubes are sorted as one mesh, so they mustn't hide each other
+        material.transparent = true;
+        material.depthWrite = false;
+      }
+      const mesh = createBatchMesh(shapeEntry, material, INITIAL_CAPACITY);
+      const batch = {
+        shapeEntry,
+        fading,
+        mesh,
+        cubes: [],
+        capacity: INITIAL_CAPACITY,
+      };
+      setUpBatchMesh(batch, mesh);
+      scene.add(mesh);
+      batches.set(shapeEntry, batch);
+    }
+    return batches.get(shapeEntry);
+  };
+
+  /**
+   * Points a batch mesh back at its batch's cubes and, for fading batches,
+   * gives it the shadow materials that fade with instanceOpacity
+   * @param {Object} batch - batch the mesh draws
+   * @param {THREE.InstancedMesh} mesh - batch mesh
+   */
+  const setUpBatchMesh = (batch, mesh) => {
+    mesh.userData.cubes = batch.cubes;
+    if (batch.fading) {
+      mesh.customDepthMaterial = fadingDepthMaterials.depth;
+      mesh.customDistanceMaterial = fadingDepthMaterials.distance;
+    }
+  };
+
+  /**
+   * Swaps a full batch's mesh for one twice the size (the material is kept)
+   * @param {Object} batch - batch to grow
+   */
+  const grow = (batch) => {
+    const old = batch.mesh;
+    batch.capacity *= 2;
+    const mesh = createBatchMesh(
+      batch.shapeEntry,
+      old.material,
+      batch.capacity
+    );
+    const newAttributes = getInstanceAttributes(mesh);
+    getInstanceAttributes(old).forEach((attribute, i) => {
+      newAttributes[i].array.set(attribute.array);
+    });
+    mesh.count = old.count;
+    mesh.visible = old.visible;
+    setUpBatchMesh(batch, mesh);
+
+    scene.remove(old);
+    old.geometry.dispose();
+    old.dispose();
+    scene.add(mesh);
+    batch.mesh = mesh;
+  };
+
+  /**
+   * Copies one instance's data to another slot of the same mesh
+   * @param {THREE.InstancedMesh} mesh - batch mesh
+   * @param {number} from - source instance
+   * @param {number} to - target instance
+   */
+  const moveInstance = (mesh, from, to) => {
+    getInstanceAttributes(mesh).forEach((attribute) => {
+      const size = attribute.itemSize;
+      attribute.array.copyWithin(to * size, from * size, (from + 1) * size);
+      attribute.needsUpdate = true;
+    });
+  };
+
+  /**
+   * Puts a cube in a batch's next free instance with its colour, look and
+   * opacity
+   * @param {Object} cube - cube to place
+   * @param {Object} batch - batch it goes in
+   */
+  const place = (cube, batch) => {
+    if (batch.cubes.length === batch.capacity) {
+      grow(batch);
+    }
+    cube.batch = batch;
+    cube.index = batch.cubes.length;
+    batch.cubes.push(cube);
+
+    const { mesh } = batch;
+    const { look } = getPhysicalMaterial(cube.physicalMaterial);
+    mesh.setColorAt(cube.index, cube.color);
+    mesh.instanceColor.needsUpdate = true;
+    const lookAttribute = mesh.geometry.getAttribute('instanceLook');
+    lookAttribute.setXYZW(
+      cube.index,
+      look.roughness,
+      look.metalness,
+      look.specularIntensity,
+      look.fresnelPower
+    );
+    lookAttribute.needsUpdate = true;
+    writeOpacity(cube, cube.opacity);
+
+    mesh.count = batch.cubes.length;
+    mesh.visible = true;
+  };
+
+  /**
+   * Takes a cube out of its batch (the last instance moves into its slot)
+   * @param {Object} cube - cube in a batch
+   */
+  const takeOut = (cube) => {
+    const { batch } = cube;
+    const last = batch.cubes.pop();
+    if (last !== cube) {
+      moveInstance(batch.mesh, last.index, cube.index);
+      last.index = cube.index;
+      batch.cubes[cube.index] = last;
+    }
+    cube.batch = null;
+
+    batch.mesh.count = batch.cubes.length;
+    batch.mesh.visible = batch.cubes.length > 0;
+  };
+
+  /**
+   * Writes a cube's opacity into its instance
+   * @param {Object} cube - cube in a batch
+   * @param {number} opacity - 0 (invisible) to 1 (solid)
+   */
+  const writeOpacity = (cube, opacity) => {
+    const attribute = cube.batch.mesh.geometry.getAttribute('instanceOpacity');
+    attribute.setX(cube.index, opacity);
+    attribute.needsUpdate = true;
+  };
+
+  return {
+    /**
+     * Gives a body an instance of its shape's mesh
+     * @param {Object} physicsBody - body proxy from the physics client
+     * @param {THREE.Color|number|string} color - cube color
+     * @param {Object} options - look options
+     * @param {string} options.shape - shape name from the SHAPES registry
+     * @param {string} options.physicalMaterial - preset from PHYSICAL_MATERIALS
+     * @returns {Object} the cube
+     */
+    add(physicsBody, color, { shape, physicalMaterial }) {
+      const cube = {
+        physicsBody,
+        shape,
+        physicalMaterial,
+        color: new THREE.Color(color),
+        opacity: 1,
+        batch: null,
+        index: -1,
+      };
+      place(cube, getBatch(getShape(shape), false));
+      return cube;
+    },
+
+    /**
+     * Takes a cube's instance away
+     * @param {Object} cube - cube from add()
+     */
+    remove(cube) {
+      const { batch } = cube;
+      if (!batch || batch.cubes[cube.index] !== cube) return;
+      takeOut(cube);
+    },
+
+    /**
+     * Fades a cube; below 1 it moves to its shape's fading batch, back at 1
+     * to the solid one
+     * @param {Object} cube - cube from add()
+     * @param {number} opacity - 0 (invisible) to 1 (solid)
+     */
+    setOpacity(cube, opacity) {
+      if (!cube.batch) return;
+      cube.opacity = opacity;
+      const fading = opacity < 1;
+      if (cube.batch.fading === fading) {
+        writeOpacity(cube, opacity);
+        return;
+      }
+      takeOut(cube);
+      place(cube, getBatch(getShape(cube.shape), fading));
+    },
+
+    /**
+     * Writes every instance matrix straight from its body proxy and
+     * updates each shape's material uniforms (call every frame)
+     * @param {THREE.Camera} camera - the camera that's currently active
+     */
+    update(camera) {
+      getBatches().forEach(({ mesh, cubes }) => {
+        if (cubes.length === 0) return;
+        const { array } = mesh.instanceMatrix;
+        cubes.forEach(({ physicsBody }, index) => {
+          instanceMatrix
+            .compose(physicsBody.position, physicsBody.quaternion, unitScale)
+            .toArray(array, index * 16);
+        });
+        mesh.instanceMatrix.needsUpdate = true;
+        // Raycasts recompute it from where the instances are now
+        mesh.boundingSphere = null;
+        updateGlossyMaterialUniforms(mesh.material, scene, camera);
+      });
+    },
+
+    /**
+     * The meshes that currently draw cubes, for raycasting
+     * @returns {THREE.InstancedMesh[]} one mesh per shape in use (two while
+     *   some of its cubes are fading)
+     */
+    getMeshes() {
+      return getBatches()
+        .filter(({ cubes }) => cubes.length > 0)
+        .map(({ mesh }) => mesh);
+    },
+
+    /**
+     * The cube a raycast hit
+     * @param {Object} intersection - raycaster hit on one of getMeshes()
+     * @returns {Object|null} the cube, null if the hit wasn't on a cube
+     */
+    getCube({ object, instanceId }) {
+      return object.userData.cubes?.[instanceId] ?? null;
+    },
+
+    /**
+     * How many draw calls the cubes take: one per shape in use (plus one
+     * while some of its cubes fade), against the one per cube they would
+     * take as separate meshes
+     * @returns {{instanced: number, separate: number}} draw calls each way
+     */
+    getDrawCalls() {
+      let instanced = 0;
+      let separate = 0;
+      getBatches().forEach(({ cubes }) => {
+        instanced += cubes.length > 0 ? 1 : 0;
+        separate += cubes.length;
+      });
+      return { instanced, separate };
+    },
+  };
+}
@@ -1,96 +1,77 @@
 /**
  * physics cube spawner 🎲
- * spawns cubes with gravity using the glossy shader material
+ * spawns cubes (and other shapes) with gravity, drawn as instances of the
+ * glossy per-shape meshes from createInstancedCubes
  */
 
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
-import { createGlossyMaterial } from '../shaders/glossyShader.js';
+import { DEFAULT_SHAPE } from './shapes.js';
+import { DEFAULT_PHYSICAL_MATERIAL } from '../physicsMaterials.js';
 
 /**
- * spawns a new glossy cube with physics at a given position
- * @param {THREE.Scene} scene - the THREE.js scene
- * @param {CANNON.World} world - the physics world
+ * spawns a new glossy cube (or other registered shape) with physics at a given position
+ * @param {Object} instances - instanced cube renderer from createInstancedCubes
+ * @param {Object} physics - physics client from createPhysicsClient
  * @param {THREE.Vector3} position - spawn position
  * @param {THREE.Color|number} color - cube color (default: cyan)
- * @returns {Object} object with mesh and physicsBody
+ * @param {Object} options - extra spawn options
+ * @param {THREE.Vector3} options.velocity - initial linear velocity (default: at rest)
+ * @param {THREE.Vector3} options.angularVelocity - initial angular velocity in rad/s (default: none)
+ * @param {THREE.Quaternion} options.quaternion - initial orientation (default: unrotated)
+ * @param {string} options.shape - shape name from the SHAPES registry (default: 'box')
+ * @param {string} options.physicalMaterial - preset from PHYSICAL_MATERIALS (default: 'glossy')
+ * @param {boolean} options.sleeping - start asleep until something disturbs it (default: false)
+ * @returns {Object} the cube from instances.add(), holding physicsBody (the body's proxy)
  */
 export function spawnPhysicsCube(
-  scene,
-  world,
+  instances,
+  physics,
   position = new THREE.Vector3(0, 5, 0),
-  color = 0x00d4ff
+  color = 0x00d4ff,
+  {
+    velocity = null,
+    angularVelocity = null,
+    quaternion = null,
+    shape = DEFAULT_SHAPE,
+    physicalMaterial = DEFAULT_PHYSICAL_MATERIAL,
+    sleeping = false,
+  } = {}
 ) {
-  // Create THREE.js mesh with glossy material
-  const geometry = new THREE.BoxGeometry(1, 1, 1);
-  const material = createGlossyMaterial({
-    color: color,
-    roughness: 0.15,
-    metalness: 0.0,
-    specularIntensity: 1.5,
-    fresnelPower: 3.0,
+  // The body itself lives in the simulation (possibly in the worker)
+  const physicsBody = physics.createBody({
+    shape,
+    physicalMaterial,
+    position,
+    quaternion,
+    velocity,
+    angularVelocity,
+    sleeping,
   });
 
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.position.copy(position);
-  scene.add(mesh);
-
-  // Create physics body
-  const shape = new CANNON.Box(
-    new CANNON.Vec3(0.5, 0.5, 0.5)
-  );
-  const physicsBody = new CANNON.Body({
-    mass: 1,
-    shape: shape,
-  });
-  physicsBody.position.copy(
-    new CANNON.Vec3(position.x, position.y, position.z)
-  );
-  world.addBody(physicsBody);
-
-  // Store physics body reference on mesh for easy updating
-  mesh.userData.physicsBody = physicsBody;
-
-  return {
-    mesh,
-    physicsBody,
-    material,
-  };
+  return instances.add(physicsBody, color, { shape, physicalMaterial });
 }
 
 /**
  * updates a mesh position/rotation based on its physics body
+ * the proxy holds the interpolated state between the last two fixed
+ * physics steps, so motion stays smooth at any refresh rate
  * @param {THREE.Mesh} mesh - the THREE.js mesh
  */
 export function updateCubeFromPhysics(mesh) {
   const body = mesh.userData.physicsBody;
   if (!body) return;
 
-  // Update position
-  mesh.position.set(body.position.x, body.position.y, body.position.z);
-
-  // Update rotation
-  const quaternion = new THREE.Quaternion(
-    body.quaternion.x,
-    body.quaternion.y,
-    body.quaternion.z,
-    body.quaternion.w
-  );
-  mesh.quaternion.copy(quaternion);
+  mesh.position.copy(body.position);
+  mesh.quaternion.copy(body.quaternion);
 }
 
 /**
- * removes a cube from scene and physics world
- * @param {THREE.Mesh} mesh - the mesh to remove
- * @param {THREE.Scene} scene - the scene
- * @param {CANNON.World} world - the physics world
+ * removes a cube from its instanced mesh and the physics world
+ * @param {Object} cube - cube from spawnPhysicsCube
+ * @param {Object} instances - instanced cube renderer from createInstancedCubes
+ * @param {Object} physics - physics client from createPhysicsClient
  */
-export function removeCube(mesh, scene, world) {
-  const body = mesh.userData.physicsBody;
-  if (body) {
-    world.removeBody(body);
-  }
-  scene.remove(mesh);
-  mesh.geometry.dispose();
-  mesh.material.dispose();
+export function removeCube(cube, instances, physics) {
+  physics.removeBody(cube.physicsBody.id);
+  instances.remove(cube);
 }
@@ -0,0 +1,224 @@
+/**
+ * physics debug overlay 🐞
+ * draws what the simulation actually collides with: every body's shapes
+ * as wireframes (ground included), coloured by sleep state, plus AABBs and
+ * the contact points and normals from the last step
+ */
+
+import * as THREE from 'three';
+
+const STATE_COLORS = {
+  awake: 0x00ff66,
+  sleeping: 0x3366ff,
+  kinematic: 0xff66ff,
+  static: 0xffcc00,
+};
+const AABB_COLOR = 0x888888;
+const CONTACT_COLOR = 0xff3333;
+const NORMAL_LENGTH = 0.5;
+
+/**
+ * material for overlay lines: always on top, so nothing hides them
+ * @param {number} color - line colour
+ * @returns {THREE.LineBasicMaterial} the material
+ */
+function createOverlayMaterial(color) {
+  return new THREE.LineBasicMaterial({
+    color,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.9,
+  });
+}
+
+/**
+ * line segments whose vertices are rewritten every frame
+ * @param {THREE.Material} material - line material
+ * @returns {THREE.LineSegments} the lines
+ */
+function createDynamicLines(material) {
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+  lines.frustumCulled = false;
+  lines.renderOrder = 999;
+  return lines;
+}
+
+/**
+ * replaces the vertices of dynamic lines or points, growing the buffer if needed
+ * @param {THREE.Object3D} object - LineSegments or Points from createDynamicLines
+ * @param {number[]} values - xyz per vertex
+ */
+function writePositions(object, values) {
+  const { geometry } = object;
+  let attribute = geometry.getAttribute('position');
+  if (!attribute || attribute.array.length < values.length) {
+    const capacity = Math.max(
+      values.length,
+      attribute ? attribute.array.length * 2 : 0
+    );
+    attribute = new THREE.BufferAttribute(new Float32Array(capacity), 3);
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', attribute);
+  }
+  attribute.array.set(values);
+  attribute.needsUpdate = true;
+  geometry.setDrawRange(0, values.length / 3);
+}
+
+/**
+ * the 12 edges of an axis-aligned box as xyz pairs
+ * @param {number[]} aabb - [minX, minY, minZ, maxX, maxY, maxZ]
+ * @param {number[]} out - array to push the vertices onto
+ */
+function pushBoxEdges(aabb, out) {
+  const corner = (i) => [
+    aabb[i & 1 ? 3 : 0],
+    aabb[i & 2 ? 4 : 1],
+    aabb[i & 4 ? 5 : 2],
+  ];
+  for (let i = 0; i < 8; i++) {
+    [1, 2, 4].forEach((bit) => {
+      if (!(i & bit)) {
+        out.push(...corner(i), ...corner(i | bit));
+      }
+    });
+  }
+}
+
+/**
+ * Creates the physics debug overlay (hidden until enabled)
+ * @param {THREE.Scene} scene - the THREE.js scene
+ * @param {Object} physics - physics client from createPhysicsClient
+ * @returns {Object} overlay with settings, setEnabled and update functions
+ */
+export function createPhysicsDebugOverlay(scene, physics) {
+  const settings = { enabled: false, showAABBs: true, showContacts: true };
+
+  const group = new THREE.Group();
+  group.visible = false;
+  scene.add(group);
+
+  const stateMaterials = {};
+  Object.entries(STATE_COLORS).forEach(([state, color]) => {
+    stateMaterials[state] = createOverlayMaterial(color);
+  });
+
+  const wireframes = new Map(); // body key -> LineSegments
+  const aabbLines = createDynamicLines(createOverlayMaterial(AABB_COLOR));
+  const normalLines = createDynamicLines(createOverlayMaterial(CONTACT_COLOR));
+  const contactPoints = new THREE.Points(
+    new THREE.BufferGeometry(),
+    new THREE.PointsMaterial({
+      color: CONTACT_COLOR,
+      size: 6,
+      sizeAttenuation: false,
+      depthTest: false,
+    })
+  );
+  contactPoints.frustumCulled = false;
+  contactPoints.renderOrder = 999;
+  group.add(aabbLines, normalLines, contactPoints);
+
+  /**
+   * Drops every wireframe (they are resent when the overlay comes back)
+   */
+  const clearWireframes = () => {
+    wireframes.forEach((lines) => {
+      group.remove(lines);
+      lines.geometry.dispose();
+    });
+    wireframes.clear();
+  };
+
+  return {
+    settings,
+
+    /**
+     * Show or hide the overlay (the simulation only sends debug data while shown)
+     * @param {boolean} enabled - true to show it
+     */
+    setEnabled(enabled) {
+      settings.enabled = enabled;
+      group.visible = enabled;
+      physics.setDebug(enabled);
+      if (!enabled) {
+        clearWireframes();
+      }
+    },
+
+    /**
+     * Syncs the overlay with the latest debug state (call every frame)
+     */
+    update() {
+      if (!settings.enabled) return;
+      const debug = physics.getDebugState();
+      if (!debug) return;
+
+      const seen = new Set();
+      const aabbVertices = [];
+      debug.bodies.forEach(
+        ({ key, state, position, quaternion, aabb, wireframe }) => {
+          seen.add(key);
+          let lines = wireframes.get(key);
+          // A wireframe comes with a body's first debug state, and again
+          // whenever its shape changes (e.g. the hero cube is resized)
+          if (wireframe) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute(
+              'position',
+              new THREE.BufferAttribute(wireframe, 3)
+            );
+            if (lines) {
+              lines.geometry.dispose();
+              lines.geometry = geometry;
+            } else {
+              lines = new THREE.LineSegments(geometry, stateMaterials[state]);
+              lines.renderOrder = 999;
+              wireframes.set(key, lines);
+              group.add(lines);
+            }
+          }
+          if (!lines) return;
+
+          lines.material = stateMaterials[state];
+          lines.position.fromArray(position);
+          lines.quaternion.fromArray(quaternion);
+
+          if (settings.showAABBs) {
+            pushBoxEdges(aabb, aabbVertices);
+          }
+        }
+      );
+
+      // Bodies that left the world
+      wireframes.forEach((lines, key) => {
+        if (seen.has(key)) return;
+        group.remove(lines);
+        lines.geometry.dispose();
+        wireframes.delete(key);
+      });
+
+      writePositions(aabbLines, aabbVertices);
+
+      const pointVertices = [];
+      const normalVertices = [];
+      if (settings.showContacts) {
+        const { contacts } = debug;
+        for (let i = 0; i < contacts.length; i += 6) {
+          const [px, py, pz, nx, ny, nz] = contacts.subarray(i, i + 6);
+          pointVertices.push(px, py, pz);
+          normalVertices.push(
+            px,
+            py,
+            pz,
+            px + nx * NORMAL_LENGTH,
+            py + ny * NORMAL_LENGTH,
+            pz + nz * NORMAL_LENGTH
+          );
+        }
+      }
+      writePositions(contactPoints, pointVertices);
+      writePositions(normalLines, normalVertices);
+    },
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * visible physics links ⛓️
+ * asks the simulation for a constraint or spring between two bodies and
+ * draws a rod between them, tinted by how hard the link is pulled
+ */
+
+import * as THREE from 'three';
+
+const ROD_RADIUS = 0.06;
+const SPRING_RADIUS = 0.1;
+const RELAXED_COLOR = new THREE.Color(0xb0b8c8);
+const STRAINED_COLOR = new THREE.Color(0xff3300);
+
+// One unit-height rod along +Y, stretched between the two anchors every frame
+const rodGeometry = new THREE.CylinderGeometry(1, 1, 1, 8, 1, true);
+
+// Scratch values for the per-frame update
+const worldA = new THREE.Vector3();
+const worldB = new THREE.Vector3();
+const rodDirection = new THREE.Vector3();
+const rodUp = new THREE.Vector3(0, 1, 0);
+
+/**
+ * creates a link between two bodies and adds its rod to the scene
+ * @param {THREE.Scene} scene - the THREE.js scene
+ * @param {Object} physics - physics client from createPhysicsClient
+ * @param {Object} options - link options
+ * @param {Object} options.bodyA - first body (proxy)
+ * @param {Object} options.bodyB - second body (proxy)
+ * @param {Object} options.joint - the simulation's link description: type
+ *   ('pointToPoint', 'distance', 'hinge' or 'spring') plus its pivots, axes,
+ *   distance or spring settings (see addLink in simulation.js)
+ * @param {THREE.Vector3} options.anchorA - where the rod attaches, in bodyA's local space
+ * @param {THREE.Vector3} options.anchorB - where the rod attaches, in bodyB's local space
+ * @returns {Object} link with id, bodyA, bodyB and mesh
+ */
+export function createPhysicsLink(
+  scene,
+  physics,
+  {
+    bodyA,
+    bodyB,
+    joint,
+    anchorA = new THREE.Vector3(),
+    anchorB = new THREE.Vector3(),
+  }
+) {
+  const id = physics.addLink({ ...joint, bodyA: bodyA.id, bodyB: bodyB.id });
+
+  const material = new THREE.MeshStandardMaterial({
+    color: RELAXED_COLOR,
+    metalness: 0.8,
+    roughness: 0.35,
+  });
+  const mesh = new THREE.Mesh(rodGeometry, material);
+  mesh.castShadow = true;
+  mesh.userData.radius = joint.type === 'spring' ? SPRING_RADIUS : ROD_RADIUS;
+  scene.add(mesh);
+
+  const link = { id, bodyA, bodyB, anchorA, anchorB, mesh };
+  updateLinkFromPhysics(link, physics);
+  return link;
+}
+
+/**
+ * stretches a link's rod between its two anchors and tints it by strain
+ * uses the interpolated body states, like updateCubeFromPhysics
+ * @param {Object} link - link from createPhysicsLink
+ * @param {Object} physics - physics client (reports the link's force)
+ * @param {number} breakForce - force at which the rod is fully red (default: no tint)
+ */
+export function updateLinkFromPhysics(link, physics, breakForce = Infinity) {
+  const { bodyA, bodyB, anchorA, anchorB, mesh } = link;
+
+  worldA.copy(anchorA).applyQuaternion(bodyA.quaternion).add(bodyA.position);
+  worldB.copy(anchorB).applyQuaternion(bodyB.quaternion).add(bodyB.position);
+
+  rodDirection.subVectors(worldB, worldA);
+  const length = rodDirection.length();
+
+  mesh.position.addVectors(worldA, worldB).multiplyScalar(0.5);
+  if (length > 1e-6) {
+    mesh.quaternion.setFromUnitVectors(
+      rodUp,
+      rodDirection.divideScalar(length)
+    );
+  }
+  mesh.scale.set(
+    mesh.userData.radius,
+    Math.max(length, 1e-3),
+    mesh.userData.radius
+  );
+
+  const strain = Number.isFinite(breakForce)
+    ? Math.min(physics.getLinkForce(link.id) / breakForce, 1)
+    : 0;
+  mesh.material.color.lerpColors(RELAXED_COLOR, STRAINED_COLOR, strain);
+}
+
+/**
+ * removes a link from the simulation and its rod from the scene
+ * @param {Object} link - link from createPhysicsLink
+ * @param {THREE.Scene} scene - the scene
+ * @param {Object} physics - physics client from createPhysicsClient
+ */
+export function removePhysicsLink(link, scene, physics) {
+  physics.removeLink(link.id);
+  scene.remove(link.mesh);
+  link.mesh.material.dispose();
+}
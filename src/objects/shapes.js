@@ -0,0 +1,278 @@
+/**
+ * spawnable shape registry 🔷
+ * every entry builds a THREE.js geometry and the matching cannon-es shapes,
+ * so what you see is exactly what collides; internal entries are pieces
+ * other features build with and aren't offered as spawn shapes
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import {
+  mergeGeometries,
+  mergeVertices,
+} from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+const CYLINDER_SEGMENTS = 16;
+const CAPSULE_RADIUS = 0.3;
+const CAPSULE_LENGTH = 0.6; // length of the straight middle part
+const BLOCK_SIZE = 0.5; // size of one cell in the compound L/T shapes
+
+/**
+ * dimensions of the flat panel shape (doors, dominoes)
+ * @type {{width: number, height: number, depth: number}}
+ */
+export const PANEL_SIZE = { width: 1, height: 1.5, depth: 0.2 };
+
+/**
+ * dimensions of the brick shape (walls)
+ * @type {{width: number, height: number, depth: number}}
+ */
+export const BRICK_SIZE = { width: 1, height: 0.5, depth: 0.5 };
+
+/**
+ * dimensions of the plank shape (Jenga-style towers: three side by side
+ * are as wide as one is long)
+ * @type {{width: number, height: number, depth: number}}
+ */
+export const PLANK_SIZE = { width: 1.5, height: 0.3, depth: 0.5 };
+
+/**
+ * dimensions of the fragment shape (a box shatters into eight of these)
+ * @type {{width: number, height: number, depth: number}}
+ */
+export const FRAGMENT_SIZE = { width: 0.5, height: 0.5, depth: 0.5 };
+
+/**
+ * builds a cannon-es convex polyhedron from a THREE.js geometry's triangles
+ * @param {THREE.BufferGeometry} geometry - a convex geometry
+ * @returns {CANNON.ConvexPolyhedron} the matching collision shape
+ */
+function convexFromGeometry(geometry) {
+  // Weld duplicate corners (THREE.js splits them per face for flat normals)
+  const positionsOnly = new THREE.BufferGeometry();
+  positionsOnly.setAttribute('position', geometry.getAttribute('position'));
+  const welded = mergeVertices(positionsOnly);
+
+  const position = welded.getAttribute('position');
+  const vertices = [];
+  for (let i = 0; i < position.count; i++) {
+    vertices.push(
+      new CANNON.Vec3(position.getX(i), position.getY(i), position.getZ(i))
+    );
+  }
+
+  const index = welded.getIndex().array;
+  const faces = [];
+  for (let i = 0; i < index.length; i += 3) {
+    faces.push([index[i], index[i + 1], index[i + 2]]);
+  }
+
+  welded.dispose();
+  return new CANNON.ConvexPolyhedron({ vertices, faces });
+}
+
+/**
+ * makes a registry entry for a plain box of any proportions
+ * @param {string} label - display name
+ * @param {{width: number, height: number, depth: number}} size - edge lengths
+ * @param {Object} options - entry options
+ * @param {boolean} options.internal - keep it out of the spawn menu (default: false)
+ * @returns {Object} shape registry entry
+ */
+function cuboid(label, { width, height, depth }, { internal = false } = {}) {
+  return {
+    label,
+    internal,
+    volume: width * height * depth,
+    createGeometry: () => new THREE.BoxGeometry(width, height, depth),
+    createPhysicsShapes: () => [
+      {
+        shape: new CANNON.Box(
+          new CANNON.Vec3(width / 2, height / 2, depth / 2)
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * centers a list of block cells around their average so the body's
+ * origin (= centre of mass in cannon-es) sits inside the shape
+ * @param {Array<number[]>} cells - [x, y, z] grid coordinates
+ * @returns {THREE.Vector3[]} block centres in local space
+ */
+function centerCells(cells) {
+  const centre = new THREE.Vector3();
+  const points = cells.map(([x, y, z]) =>
+    new THREE.Vector3(x, y, z).multiplyScalar(BLOCK_SIZE)
+  );
+  points.forEach((point) => centre.add(point));
+  centre.divideScalar(points.length);
+  return points.map((point) => point.sub(centre));
+}
+
+/**
+ * makes a registry entry for a compound shape glued together from blocks
+ * @param {string} label - display name
+ * @param {Array<number[]>} cells - [x, y, z] grid coordinates of each block
+ * @returns {Object} shape registry entry
+ */
+function blockCompound(label, cells) {
+  const offsets = centerCells(cells);
+  const half = BLOCK_SIZE / 2;
+
+  return {
+    label,
+    volume: cells.length * BLOCK_SIZE ** 3,
+    createGeometry() {
+      const blocks = offsets.map((offset) =>
+        new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE).translate(
+          offset.x,
+          offset.y,
+          offset.z
+        )
+      );
+      const geometry = mergeGeometries(blocks);
+      blocks.forEach((block) => block.dispose());
+      return geometry;
+    },
+    createPhysicsShapes() {
+      return offsets.map((offset) => ({
+        shape: new CANNON.Box(new CANNON.Vec3(half, half, half)),
+        offset: new CANNON.Vec3(offset.x, offset.y, offset.z),
+      }));
+    },
+  };
+}
+
+/**
+ * all shapes, keyed by name
+ * internal is true for pieces only other features spawn (see
+ * getSpawnableShapes)
+ * createGeometry() returns a fresh THREE.BufferGeometry
+ * createPhysicsShapes(geometry) returns [{ shape, offset?, orientation? }]
+ * for the body, and may read the geometry so both stay identical
+ * volume is used with a material's density to work out the body's mass
+ * @type {Object<string, Object>}
+ */
+export const SHAPES = {
+  box: {
+    label: 'Box',
+    volume: 1,
+    createGeometry: () => new THREE.BoxGeometry(1, 1, 1),
+    createPhysicsShapes: () => [
+      { shape: new CANNON.Box(new CANNON.Vec3(0.5, 0.5, 0.5)) },
+    ],
+  },
+
+  sphere: {
+    label: 'Sphere',
+    volume: (4 / 3) * Math.PI * 0.5 ** 3,
+    createGeometry: () => new THREE.SphereGeometry(0.5, 32, 16),
+    createPhysicsShapes: () => [{ shape: new CANNON.Sphere(0.5) }],
+  },
+
+  cylinder: {
+    label: 'Cylinder',
+    volume: Math.PI * 0.5 ** 2,
+    createGeometry: () =>
+      new THREE.CylinderGeometry(0.5, 0.5, 1, CYLINDER_SEGMENTS),
+    createPhysicsShapes: () => [
+      { shape: new CANNON.Cylinder(0.5, 0.5, 1, CYLINDER_SEGMENTS) },
+    ],
+  },
+
+  capsule: {
+    label: 'Capsule',
+    volume:
+      Math.PI * CAPSULE_RADIUS ** 2 * CAPSULE_LENGTH +
+      (4 / 3) * Math.PI * CAPSULE_RADIUS ** 3,
+    createGeometry: () =>
+      new THREE.CapsuleGeometry(CAPSULE_RADIUS, CAPSULE_LENGTH, 8, 16),
+    // cannon-es has no capsule, so build one from a cylinder and two spheres
+    createPhysicsShapes: () => [
+      {
+        shape: new CANNON.Cylinder(
+          CAPSULE_RADIUS,
+          CAPSULE_RADIUS,
+          CAPSULE_LENGTH,
+          CYLINDER_SEGMENTS
+        ),
+      },
+      {
+        shape: new CANNON.Sphere(CAPSULE_RADIUS),
+        offset: new CANNON.Vec3(0, CAPSULE_LENGTH / 2, 0),
+      },
+      {
+        shape: new CANNON.Sphere(CAPSULE_RADIUS),
+        offset: new CANNON.Vec3(0, -CAPSULE_LENGTH / 2, 0),
+      },
+    ],
+  },
+
+  panel: cuboid('Panel', PANEL_SIZE, { internal: true }),
+
+  brick: cuboid('Brick', BRICK_SIZE, { internal: true }),
+
+  plank: cuboid('Plank', PLANK_SIZE, { internal: true }),
+
+  fragment: cuboid('Fragment', FRAGMENT_SIZE, { internal: true }),
+
+  tetrahedron: {
+    label: 'Tetrahedron',
+    // edge = circumradius * sqrt(8/3), volume = edge^3 / (6 * sqrt(2))
+    volume: (0.7 * Math.sqrt(8 / 3)) ** 3 / (6 * Math.SQRT2),
+    createGeometry: () => new THREE.TetrahedronGeometry(0.7),
+    createPhysicsShapes: (geometry) => [
+      { shape: convexFromGeometry(geometry) },
+    ],
+  },
+
+  icosahedron: {
+    label: 'Icosahedron',
+    // edge = circumradius / sin(2pi/5), volume = 5/12 * (3 + sqrt(5)) * edge^3
+    volume:
+      (5 / 12) * (3 + Math.sqrt(5)) * (0.6 / Math.sin((2 * Math.PI) / 5)) ** 3,
+    createGeometry: () => new THREE.IcosahedronGeometry(0.6),
+    createPhysicsShapes: (geometry) => [
+      { shape: convexFromGeometry(geometry) },
+    ],
+  },
+
+  lShape: blockCompound('L Block', [
+    [0, 0, 0],
+    [0, 1, 0],
+    [0, 2, 0],
+    [1, 0, 0],
+  ]),
+
+  tShape: blockCompound('T Block', [
+    [-1, 1, 0],
+    [0, 1, 0],
+    [1, 1, 0],
+    [0, 0, 0],
+  ]),
+};
+
+export const DEFAULT_SHAPE = 'box';
+
+/**
+ * the shapes offered for spawning (every entry not marked internal)
+ * @returns {Array<[string, Object]>} [name, entry] pairs in registry order
+ */
+export function getSpawnableShapes() {
+  return Object.entries(SHAPES).filter(([, entry]) => !entry.internal);
+}
+
+/**
+ * looks up a shape entry, falling back to the box for unknown names
+ * @param {string} name - shape name (key of SHAPES)
+ * @returns {Object} shape registry entry
+ */
+export function getShape(name) {
+  if (SHAPES[name]) {
+    return SHAPES[name];
+  }
+  console.warn(`Unknown shape "${name}", spawning a ${DEFAULT_SHAPE} instead`);
+  return SHAPES[DEFAULT_SHAPE];
+}
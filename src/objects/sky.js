@@ -5,12 +5,53 @@ import {
   animateDayNightCycle,
   SkyPresets,
 } from '../shaders/skyboxShader.js';
+import { ENV_MAP_SIZE } from '../shaders/glossyShader.js';
+
+/**
+ * Renders the sky on its own into a PMREM (prefiltered, mipmapped
+ * environment map: sharp at mip 0, blurrier per level) for glossy
+ * reflections. The sky's geometry and material are shared with a second
+ * mesh in a scene of its own, so cubes and the floor stay out of the capture
+ * @param {THREE.WebGLRenderer} renderer - the renderer
+ * @param {THREE.Mesh} skybox - the skybox mesh from createSkybox
+ * @returns {Object} capture with a capture() function
+ */
+function createEnvironmentCapture(renderer, skybox) {
+  const pmremGenerator = new THREE.PMREMGenerator(renderer);
+  const skyScene = new THREE.Scene();
+  const skyCopy = new THREE.Mesh(skybox.geometry, skybox.material);
+  skyCopy.scale.setScalar(10); // Between the cube camera's near and far planes
+  skyScene.add(skyCopy);
+  let target = null;
+
+  return {
+    /**
+     * Renders the sky as it is right now
+     * @returns {THREE.Texture} the new environment map (the old one is disposed)
+     */
+    capture() {
+      const next = pmremGenerator.fromScene(skyScene, 0, 0.1, 100, {
+        size: ENV_MAP_SIZE,
+      });
+      if (target) {
+        target.dispose();
+      }
+      target = next;
+      return target.texture;
+    },
+  };
+}
 
 /**
  * Sets up the custom high-performance skybox for the scene ☁️
  * Uses optimized atmospheric scattering shader
+ * With options.renderer it also becomes the scene's environment map
+ * (scene.environment), re-captured by updateEnvironment() after anything
+ * that changes the sky's look (the sun, a preset, clouds, ...) - but not
+ * for the slow cloud drift and star twinkle of updateTime()
  * @param {THREE.Scene} scene - the scene to add the sky to
  * @param {Object} options - configuration options
+ * @param {THREE.WebGLRenderer} options.renderer - (optional) renderer for the environment map
  * @returns {Object} Sky controller object with update methods
  */
 export function setupSky(scene, options = {}) {
@@ -36,10 +77,40 @@ export function setupSky(scene, options = {}) {
   // Add skybox to scene
   scene.add(skybox);
 
+  // Reflections of the sky, captured on the first updateEnvironment()
+  const environment = options.renderer
+    ? createEnvironmentCapture(options.renderer, skybox)
+    : null;
+  let environmentDirty = true;
+
+  // Current sun angles in degrees, as setSunPosition takes them
+  const sun = {
+    elevation: 90 - THREE.MathUtils.radToDeg(phi),
+    azimuth: THREE.MathUtils.radToDeg(theta),
+  };
+
   // Return controller object for runtime updates
   return {
     mesh: skybox,
     material: skybox.material,
+    sun,
+
+    /**
+     * Re-capture the environment map if the sky changed since the last
+     * capture (call every frame, before the glossy uniforms update)
+     */
+    updateEnvironment() {
+      if (!environment || !environmentDirty) return;
+      scene.environment = environment.capture();
+      environmentDirty = false;
+    },
+
+    /**
+     * Ask for the environment map to be re-captured on the next update
+     */
+    invalidateEnvironment() {
+      environmentDirty = true;
+    },
 
     /**
      * Update sun position
@@ -50,6 +121,9 @@ export function setupSky(scene, options = {}) {
       const phi = THREE.MathUtils.degToRad(90 - elevation);
       const theta = THREE.MathUtils.degToRad(azimuth);
       updateSunFromSpherical(skybox.material, 1, phi, theta);
+      sun.elevation = elevation;
+      sun.azimuth = azimuth;
+      environmentDirty = true;
     },
 
     /**
@@ -59,6 +133,7 @@ export function setupSky(scene, options = {}) {
      */
     animate(time, speed = 0.1) {
       animateDayNightCycle(skybox.material, time, speed);
+      environmentDirty = true;
     },
 
     /**
@@ -78,6 +153,7 @@ export function setupSky(scene, options = {}) {
         0,
         Math.min(2, level),
       );
+      environmentDirty = true;
     },
 
     /**
@@ -89,6 +165,7 @@ export function setupSky(scene, options = {}) {
         0,
         Math.min(1, coverage),
       );
+      environmentDirty = true;
     },
 
     /**
@@ -97,6 +174,7 @@ export function setupSky(scene, options = {}) {
      */
     setStarsEnabled(enabled) {
       skybox.material.uniforms.enableStars.value = enabled;
+      environmentDirty = true;
     },
 
     /**
@@ -105,6 +183,7 @@ export function setupSky(scene, options = {}) {
      */
     setCloudsEnabled(enabled) {
       skybox.material.uniforms.enableClouds.value = enabled;
+      environmentDirty = true;
     },
 
     /**
@@ -113,6 +192,7 @@ export function setupSky(scene, options = {}) {
      */
     setMoonEnabled(enabled) {
       skybox.material.uniforms.enableMoon.value = enabled;
+      environmentDirty = true;
     },
 
     /**
@@ -121,6 +201,7 @@ export function setupSky(scene, options = {}) {
      */
     setSunDiscEnabled(enabled) {
       skybox.material.uniforms.enableSunDisc.value = enabled;
+      environmentDirty = true;
     },
 
     /**
@@ -132,6 +213,7 @@ export function setupSky(scene, options = {}) {
         0,
         Math.min(2, intensity),
       );
+      environmentDirty = true;
     },
 
     /**
@@ -146,6 +228,7 @@ export function setupSky(scene, options = {}) {
             skybox.material.uniforms[key].value = preset[key];
           }
         });
+        environmentDirty = true;
       }
     },
 
@@ -4,15 +4,45 @@
  */
 
 import * as CANNON from 'cannon-es';
+import {
+  registerContactMaterials,
+  groundMaterial,
+  getPhysicalMaterial,
+  getCannonMaterial,
+  DEFAULT_PHYSICAL_MATERIAL,
+} from './physicsMaterials.js';
+import { getShape, DEFAULT_SHAPE } from './objects/shapes.js';
+import { generateTerrainHeights } from './terrain.js';
+
+// Simulation always advances in fixed 60 Hz steps, whatever the render rate
+export const PHYSICS_TIMESTEP = 1 / 60;
+
+// Most fixed steps to run in one frame before dropping the backlog
+export const MAX_PHYSICS_SUBSTEPS = 5;
+
+// Height of the ground's top face, where resting bodies sit
+export const GROUND_TOP = -4.5;
+
+// Sleeping bodies this close above one that wakes up are woken with it
+const WAKE_MARGIN = 0.05;
 
 /**
- * create a new physics world with gravity
+ * create a new physics world with gravity and the material contact matrix
  * @returns {CANNON.World} the physics world
  */
 export function createPhysicsWorld() {
   const world = new CANNON.World();
   world.gravity.set(0, -9.82, 0); // Earth gravity, pointing down
+  // Used by bodies without a physical material preset (e.g. the hero cube)
   world.defaultContactMaterial.friction = 0.3;
+  // Only bodies that start asleep may nod off again (see createBody)
+  world.allowSleep = true;
+  // Tall stacks (walls, towers) sag and topple with the default 10 passes
+  world.solver.iterations = 20;
+  // Sweep and prune instead of testing every pair, so thousands of bodies
+  // don't cost millions of bounding box checks per step
+  world.broadphase = new CANNON.SAPBroadphase(world);
+  registerContactMaterials(world);
   return world;
 }
 
@@ -24,41 +54,359 @@ export function createPhysicsWorld() {
 export function createGround(world) {
   // Create a thin box that acts as the floor (50x1x50, half-extents: 25, 0.5, 25)
   const groundShape = new CANNON.Box(new CANNON.Vec3(25, 0.5, 25));
-  const groundBody = new CANNON.Body({ mass: 0 });
+  const groundBody = new CANNON.Body({
+    mass: 0,
+    material: groundMaterial,
+  });
   groundBody.addShape(groundShape);
-  groundBody.position.y = -5;
+  groundBody.position.y = GROUND_TOP - 0.5;
   world.addBody(groundBody);
   return groundBody;
 }
 
 /**
- * steps the physics simulation forward
+ * creates four static walls around a square arena, resting on the ground
+ * @param {CANNON.World} world - the physics world
+ * @param {Object} options - arena options
+ * @param {number} options.size - distance between opposite walls' inner faces
+ * @param {number} options.height - wall height above the ground
+ * @returns {CANNON.Body[]} the wall bodies
+ */
+export function createArenaWalls(world, { size, height }) {
+  const half = size / 2;
+  const thickness = 0.5; // half thickness
+  // Walls reach a little below the ground, so nothing slips underneath
+  const halfHeight = height / 2 + 1;
+  const centerY = GROUND_TOP + height / 2 - 1;
+  const sides = [
+    [half + thickness, 0, thickness, half + 2 * thickness],
+    [-half - thickness, 0, thickness, half + 2 * thickness],
+    [0, half + thickness, half, thickness],
+    [0, -half - thickness, half, thickness],
+  ];
+  return sides.map(([x, z, halfX, halfZ]) => {
+    const wall = new CANNON.Body({ mass: 0, material: groundMaterial });
+    wall.addShape(new CANNON.Box(new CANNON.Vec3(halfX, halfHeight, halfZ)));
+    wall.position.set(x, centerY, z);
+    world.addBody(wall);
+    return wall;
+  });
+}
+
+/**
+ * creates hilly ground from seeded noise, in place of the flat ground box
+ * (the heightfield's deepest valley sits at the flat ground's level)
+ * @param {CANNON.World} world - the physics world
+ * @param {Object} params - terrain settings (see generateTerrainHeights)
+ * @returns {CANNON.Body} the terrain body
+ */
+export function createTerrain(world, params) {
+  const { data, elementSize } = generateTerrainHeights(params);
+  const terrainBody = new CANNON.Body({
+    mass: 0,
+    material: groundMaterial,
+  });
+  terrainBody.addShape(new CANNON.Heightfield(data, { elementSize }));
+  // Heightfields rise along their local Z: turn that up, and put
+  // data[0][0] at the terrain's far left corner
+  terrainBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  terrainBody.position.set(-params.size / 2, GROUND_TOP, params.size / 2);
+  world.addBody(terrainBody);
+  return terrainBody;
+}
+
+/**
+ * steps the physics simulation forward by the real time that has passed
  * @param {CANNON.World} world - the physics world
+ * @param {number} deltaTime - measured time since the last call, in seconds
  * @param {number} fixedTimeStep - fixed time step for simulation (default: 1/60)
- * @param {number} substeps - number of substeps for higher frame rates (default: 3)
+ * @param {number} maxSubSteps - cap on catch-up steps per call (default: 5)
+ */
+export function stepPhysics(
+  world,
+  deltaTime,
+  fixedTimeStep = PHYSICS_TIMESTEP,
+  maxSubSteps = MAX_PHYSICS_SUBSTEPS
+) {
+  // Same accumulator as world.step(fixedTimeStep, deltaTime, maxSubSteps),
+  // minus its wall-clock bail-out: the steps taken depend only on the
+  // deltas passed in, so a recorded session replays exactly.
+  // Runs as many fixed steps as fit (at most maxSubSteps), drops the
+  // leftover backlog after a long stall, and writes interpolatedPosition/
+  // interpolatedQuaternion so rendering can blend between the last two states
+  world.accumulator += deltaTime;
+  let substeps = 0;
+  while (world.accumulator >= fixedTimeStep && substeps < maxSubSteps) {
+    world.internalStep(fixedTimeStep);
+    world.accumulator -= fixedTimeStep;
+    substeps++;
+  }
+  world.accumulator %= fixedTimeStep;
+
+  const t = world.accumulator / fixedTimeStep;
+  world.bodies.forEach((body) => {
+    body.previousPosition.lerp(body.position, t, body.interpolatedPosition);
+    body.previousQuaternion.slerp(
+      body.quaternion,
+      t,
+      body.interpolatedQuaternion
+    );
+    body.previousQuaternion.normalize();
+  });
+  world.time += deltaTime;
+}
+
+/**
+ * rewinds the world's clock and step accumulator to zero, so stepping
+ * from here depends only on the deltas that follow
+ * @param {CANNON.World} world - the physics world
+ */
+export function resetPhysicsClock(world) {
+  world.accumulator = 0;
+  world.time = 0;
+  world.stepnumber = 0;
+}
+
+const UP = new CANNON.Vec3(0, 1, 0);
+
+/**
+ * falloff curves for radial impulses: map distance/radius (0-1) to strength (1-0)
+ * @type {Object<string, Function>}
+ */
+export const IMPULSE_FALLOFFS = {
+  constant: () => 1,
+  linear: (t) => 1 - t,
+  quadratic: (t) => (1 - t) * (1 - t),
+  smooth: (t) => 0.5 + 0.5 * Math.cos(Math.PI * t),
+};
+
+/**
+ * pushes every dynamic body within radius away from a point
+ * the impulse changes velocities immediately, so it also works while paused
+ * and simply plays out once the simulation resumes
+ * @param {CANNON.World} world - the physics world
+ * @param {{x: number, y: number, z: number}} center - blast centre in world space
+ * @param {Object} options - blast options
+ * @param {number} options.radius - how far the blast reaches (default: 6)
+ * @param {number} options.strength - impulse at the centre, in N·s (default: 15)
+ * @param {string} options.falloff - key of IMPULSE_FALLOFFS (default: 'quadratic')
+ * @returns {number} number of bodies that were hit
  */
-export function stepPhysics(world, fixedTimeStep = 1 / 60, substeps = 3) {
-  // Use fixed time step for stable physics simulation
-  // Substeps improve stability when running at higher frame rates
-  // Higher FPS = higher substeps needed to maintain stability
-  world.step(fixedTimeStep, fixedTimeStep, substeps);
+export function applyRadialImpulse(
+  world,
+  center,
+  { radius = 6, strength = 15, falloff = 'quadratic' } = {}
+) {
+  const curve = IMPULSE_FALLOFFS[falloff] || IMPULSE_FALLOFFS.quadratic;
+  const blastCenter = new CANNON.Vec3(center.x, center.y, center.z);
+  const direction = new CANNON.Vec3();
+  const offset = new CANNON.Vec3();
+  let hitCount = 0;
+
+  world.bodies.forEach((body) => {
+    if (body.type !== CANNON.Body.DYNAMIC) return;
+
+    body.position.vsub(blastCenter, direction);
+    const distance = direction.length();
+    if (distance > radius) return;
+
+    // Bodies right on the centre get launched straight up
+    if (distance < 1e-4) {
+      direction.set(0, 1, 0);
+    } else {
+      direction.scale(1 / distance, direction);
+    }
+
+    const impulse = direction.scale(strength * curve(distance / radius));
+
+    // Hit slightly off-centre (sideways to the blast) so bodies tumble
+    direction.cross(UP, offset);
+    if (offset.lengthSquared() < 1e-6) {
+      offset.set(1, 0, 0);
+    }
+    offset.normalize();
+    body.applyImpulse(impulse, offset.scale(0.25));
+    body.wakeUp();
+    hitCount++;
+  });
+
+  return hitCount;
 }
 
 /**
- * attaches a static physics body to an existing mesh (won't fall or move)
- * @param {THREE.Mesh} mesh - the THREE.js mesh
+ * builds a body from a plain description that can be posted to a worker:
+ * either a registered shape with a physical material (spawned cubes) or,
+ * when halfExtent is given, a bare box like the hero cube's
+ * kinematic bodies move only by the velocity you give them,
+ * but still push dynamic bodies around properly
  * @param {CANNON.World} world - the physics world
- * @param {number} mass - mass of the body (0 = static/immovable)
- * @returns {CANNON.Body} the physics body
+ * @param {Object} spec - body description
+ * @param {string} spec.shape - shape name from the SHAPES registry (default: 'box')
+ * @param {string} spec.physicalMaterial - preset from PHYSICAL_MATERIALS (default: 'glossy')
+ * @param {number} spec.halfExtent - make a plain box this size instead (optional)
+ * @param {boolean} spec.kinematic - make it a kinematic body (default: false)
+ * @param {{x: number, y: number, z: number}} spec.position - start position
+ * @param {{x: number, y: number, z: number, w: number}} spec.quaternion - start orientation (optional)
+ * @param {{x: number, y: number, z: number}} spec.velocity - initial velocity (optional)
+ * @param {{x: number, y: number, z: number}} spec.angularVelocity - initial spin in rad/s (optional)
+ * @param {boolean} spec.sleeping - start asleep, frozen until something disturbs it (default: false)
+ * @returns {CANNON.Body} the body, already added to the world
  */
-export function attachPhysicsBody(mesh, world, mass = 0) {
-  const shape = new CANNON.Box(new CANNON.Vec3(0.5, 0.5, 0.5));
-  const body = new CANNON.Body({ mass: mass });
-  body.addShape(shape);
-  body.position.copy(
-    new CANNON.Vec3(mesh.position.x, mesh.position.y, mesh.position.z)
-  );
+export function createBody(
+  world,
+  {
+    shape = DEFAULT_SHAPE,
+    physicalMaterial = DEFAULT_PHYSICAL_MATERIAL,
+    halfExtent = null,
+    kinematic = false,
+    position = { x: 0, y: 0, z: 0 },
+    quaternion = null,
+    velocity = null,
+    angularVelocity = null,
+    sleeping = false,
+  } = {}
+) {
+  // Position and orientation go through the constructor so the
+  // previous/interpolated states start at the spawn pose, not the origin
+  const options = {
+    position: new CANNON.Vec3(position.x, position.y, position.z),
+    quaternion: quaternion
+      ? new CANNON.Quaternion(
+          quaternion.x,
+          quaternion.y,
+          quaternion.z,
+          quaternion.w
+        )
+      : undefined,
+  };
+
+  let body;
+  if (halfExtent !== null) {
+    body = new CANNON.Body({
+      ...options,
+      mass: 0,
+      type: kinematic ? CANNON.Body.KINEMATIC : CANNON.Body.STATIC,
+    });
+    body.addShape(
+      new CANNON.Box(new CANNON.Vec3(halfExtent, halfExtent, halfExtent))
+    );
+  } else {
+    const shapeEntry = getShape(shape);
+    const preset = getPhysicalMaterial(physicalMaterial);
+    body = new CANNON.Body({
+      ...options,
+      mass: kinematic ? 0 : preset.density * shapeEntry.volume,
+      type: kinematic ? CANNON.Body.KINEMATIC : undefined,
+      material: getCannonMaterial(physicalMaterial),
+    });
+
+    // Colliders are built from the same geometry the mesh uses
+    const geometry = shapeEntry.createGeometry();
+    shapeEntry
+      .createPhysicsShapes(geometry)
+      .forEach(({ shape: physicsShape, offset, orientation }) => {
+        body.addShape(physicsShape, offset, orientation);
+      });
+    geometry.dispose();
+  }
+
+  if (velocity) {
+    body.velocity.set(velocity.x, velocity.y, velocity.z);
+  }
+  if (angularVelocity) {
+    body.angularVelocity.set(
+      angularVelocity.x,
+      angularVelocity.y,
+      angularVelocity.z
+    );
+  }
+  // Bodies that start asleep (stacked structures) fall back asleep once
+  // they settle again, instead of slowly creeping out of a tall stack
+  body.allowSleep = sleeping;
   world.addBody(body);
-  mesh.userData.physicsBody = body;
+  if (sleeping && body.type === CANNON.Body.DYNAMIC) {
+    body.sleep();
+  }
   return body;
 }
+
+/**
+ * moves a body instantly, without the interpolation sliding it across
+ * @param {CANNON.Body} body - the body to move
+ * @param {number} x - new x position
+ * @param {number} y - new y position
+ * @param {number} z - new z position
+ */
+export function teleportBody(body, x, y, z) {
+  body.position.set(x, y, z);
+  body.previousPosition.set(x, y, z);
+  body.interpolatedPosition.set(x, y, z);
+  body.aabbNeedsUpdate = true;
+}
+
+/**
+ * resizes a body's single box shape, keeping collisions and mass in sync
+ * @param {CANNON.Body} body - body with one CANNON.Box shape
+ * @param {number} halfExtent - new half size of the box on every axis
+ */
+export function resizeBoxBody(body, halfExtent) {
+  const box = body.shapes[0];
+  box.halfExtents.set(halfExtent, halfExtent, halfExtent);
+  box.updateConvexPolyhedronRepresentation();
+  box.updateBoundingSphereRadius();
+  body.updateMassProperties();
+  body.updateBoundingRadius();
+  body.aabbNeedsUpdate = true;
+}
+
+/**
+ * wakes the sleeping bodies resting on top of a body (touching or nearly
+ * touching it, with their bottom above its centre)
+ * @param {CANNON.World} world - the physics world
+ * @param {CANNON.Body} body - the body that may be holding others up
+ */
+export function wakeBodiesRestingOn(world, body) {
+  if (body.aabbNeedsUpdate) {
+    body.updateAABB();
+  }
+  const { lowerBound: min, upperBound: max } = body.aabb;
+  world.bodies.forEach((other) => {
+    if (other === body || other.sleepState !== CANNON.Body.SLEEPING) return;
+    if (other.aabbNeedsUpdate) {
+      other.updateAABB();
+    }
+    const { lowerBound: otherMin, upperBound: otherMax } = other.aabb;
+    if (
+      otherMin.y > body.position.y &&
+      otherMin.y <= max.y + WAKE_MARGIN &&
+      otherMin.x <= max.x + WAKE_MARGIN &&
+      otherMax.x >= min.x - WAKE_MARGIN &&
+      otherMin.z <= max.z + WAKE_MARGIN &&
+      otherMax.z >= min.z - WAKE_MARGIN
+    ) {
+      other.wakeUp();
+    }
+  });
+}
+
+/**
+ * lets waking spread up through sleeping stacks
+ * cannon-es only wakes a sleeping body when an awake one runs into it, so
+ * knocking a piece out of a sleeping stack would leave everything above
+ * it hanging in mid-air. With this, whatever rests on a body that wakes up
+ * is woken one step later, and so on up the stack
+ * @param {CANNON.World} world - the physics world
+ */
+export function enableWakePropagation(world) {
+  let sleepers = [];
+  world.addEventListener('postStep', () => {
+    const woken = sleepers.filter(
+      (body) => body.sleepState !== CANNON.Body.SLEEPING && body.world === world
+    );
+    // Collected first, so the bodies woken now pass it on next step
+    sleepers = world.bodies.filter(
+      (body) => body.sleepState === CANNON.Body.SLEEPING
+    );
+    woken.forEach((body) => wakeBodiesRestingOn(world, body));
+  });
+}
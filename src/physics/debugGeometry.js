@@ -0,0 +1,198 @@
+/**
+ * physics debug geometry 🐞
+ * turns cannon-es shapes, contacts and sleep states into plain line data
+ * the debug overlay can draw, wherever the simulation happens to run
+ */
+
+import * as CANNON from 'cannon-es';
+
+const SPHERE_SEGMENTS = 24; // per great circle
+const PLANE_HALF_SIZE = 10; // planes are infinite, draw a square of them
+
+/**
+ * line segments of a box, in shape space
+ * @param {CANNON.Box} box - the box
+ * @returns {number[][]} [start, end] pairs of [x, y, z]
+ */
+function boxSegments({ halfExtents: { x, y, z } }) {
+  const corners = [];
+  for (let i = 0; i < 8; i++) {
+    corners.push([i & 1 ? x : -x, i & 2 ? y : -y, i & 4 ? z : -z]);
+  }
+  const segments = [];
+  for (let i = 0; i < 8; i++) {
+    // Corners differing in exactly one bit share an edge
+    [1, 2, 4].forEach((bit) => {
+      if (!(i & bit)) {
+        segments.push([corners[i], corners[i | bit]]);
+      }
+    });
+  }
+  return segments;
+}
+
+/**
+ * line segments of a sphere (three great circles), in shape space
+ * @param {CANNON.Sphere} sphere - the sphere
+ * @returns {number[][]} [start, end] pairs of [x, y, z]
+ */
+function sphereSegments({ radius }) {
+  const segments = [];
+  const circlePoint = (axis, angle) => {
+    const a = Math.cos(angle) * radius;
+    const b = Math.sin(angle) * radius;
+    if (axis === 0) return [0, a, b];
+    if (axis === 1) return [a, 0, b];
+    return [a, b, 0];
+  };
+  for (let axis = 0; axis < 3; axis++) {
+    for (let i = 0; i < SPHERE_SEGMENTS; i++) {
+      const step = (Math.PI * 2) / SPHERE_SEGMENTS;
+      segments.push([
+        circlePoint(axis, i * step),
+        circlePoint(axis, (i + 1) * step),
+      ]);
+    }
+  }
+  return segments;
+}
+
+/**
+ * line segments of every edge of a polyhedron or triangle mesh, in shape space
+ * @param {number[][]} vertices - [x, y, z] per vertex
+ * @param {number[][]} faces - vertex indices per face
+ * @returns {number[][]} [start, end] pairs of [x, y, z]
+ */
+function faceSegments(vertices, faces) {
+  const seen = new Set();
+  const segments = [];
+  faces.forEach((face) => {
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      segments.push([vertices[a], vertices[b]]);
+    });
+  });
+  return segments;
+}
+
+/**
+ * line segments of a heightfield's grid, in shape space (heights along Z)
+ * @param {CANNON.Heightfield} heightfield - the heightfield
+ * @returns {number[][]} [start, end] pairs of [x, y, z]
+ */
+function heightfieldSegments({ data, elementSize }) {
+  const segments = [];
+  const point = (i, j) => [i * elementSize, j * elementSize, data[i][j]];
+  for (let i = 0; i < data.length; i++) {
+    for (let j = 0; j < data[i].length; j++) {
+      if (i + 1 < data.length) {
+        segments.push([point(i, j), point(i + 1, j)]);
+      }
+      if (j + 1 < data[i].length) {
+        segments.push([point(i, j), point(i, j + 1)]);
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * line segments of any supported shape, in shape space
+ * @param {CANNON.Shape} shape - the shape
+ * @returns {number[][]} [start, end] pairs of [x, y, z] (empty if unsupported)
+ */
+function shapeSegments(shape) {
+  switch (shape.type) {
+    case CANNON.Shape.types.BOX:
+      return boxSegments(shape);
+    case CANNON.Shape.types.SPHERE:
+      return sphereSegments(shape);
+    case CANNON.Shape.types.CONVEXPOLYHEDRON:
+    case CANNON.Shape.types.CYLINDER:
+      return faceSegments(
+        shape.vertices.map(({ x, y, z }) => [x, y, z]),
+        shape.faces
+      );
+    case CANNON.Shape.types.TRIMESH: {
+      const vertices = [];
+      for (let i = 0; i < shape.vertices.length; i += 3) {
+        vertices.push(shape.vertices.slice(i, i + 3));
+      }
+      const faces = [];
+      for (let i = 0; i < shape.indices.length; i += 3) {
+        faces.push([...shape.indices.slice(i, i + 3)]);
+      }
+      return faceSegments(vertices, faces);
+    }
+    case CANNON.Shape.types.HEIGHTFIELD:
+      return heightfieldSegments(shape);
+    case CANNON.Shape.types.PLANE: {
+      const s = PLANE_HALF_SIZE;
+      const corners = [
+        [-s, -s, 0],
+        [s, -s, 0],
+        [s, s, 0],
+        [-s, s, 0],
+      ];
+      return corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * wireframe of all of a body's shapes, in body space
+ * @param {CANNON.Body} body - the body
+ * @returns {Float32Array} xyz of each segment's start and end, back to back
+ */
+export function getBodyWireframe(body) {
+  const points = [];
+  const point = new CANNON.Vec3();
+  body.shapes.forEach((shape, i) => {
+    const offset = body.shapeOffsets[i];
+    const orientation = body.shapeOrientations[i];
+    shapeSegments(shape).forEach((segment) => {
+      segment.forEach(([x, y, z]) => {
+        point.set(x, y, z);
+        orientation.vmult(point, point);
+        point.vadd(offset, point);
+        points.push(point.x, point.y, point.z);
+      });
+    });
+  });
+  return new Float32Array(points);
+}
+
+/**
+ * where and which way the contacts from the last step push
+ * @param {CANNON.World} world - the physics world
+ * @returns {Float32Array} [px, py, pz, nx, ny, nz] per contact
+ */
+export function getContactData(world) {
+  const data = new Float32Array(world.contacts.length * 6);
+  world.contacts.forEach(({ bi, ri, ni }, i) => {
+    // Contact point on body i, normal pointing from body i to body j
+    data[i * 6] = bi.position.x + ri.x;
+    data[i * 6 + 1] = bi.position.y + ri.y;
+    data[i * 6 + 2] = bi.position.z + ri.z;
+    data[i * 6 + 3] = ni.x;
+    data[i * 6 + 4] = ni.y;
+    data[i * 6 + 5] = ni.z;
+  });
+  return data;
+}
+
+/**
+ * how the debug overlay should colour a body
+ * @param {CANNON.Body} body - the body
+ * @returns {string} 'static', 'kinematic', 'sleeping' or 'awake'
+ */
+export function getBodyDebugState(body) {
+  if (body.type === CANNON.Body.STATIC) return 'static';
+  if (body.type === CANNON.Body.KINEMATIC) return 'kinematic';
+  return body.sleepState === CANNON.Body.SLEEPING ? 'sleeping' : 'awake';
+}
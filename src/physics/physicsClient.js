@@ -0,0 +1,450 @@
+/**
+ * physics client 📡
+ * the main thread's handle on the simulation: runs it in a Web Worker when
+ * the browser allows, otherwise right here, behind the same commands
+ * bodies are represented by light proxies whose position/quaternion are
+ * filled in from the state the simulation sends back after every step
+ */
+
+import * as THREE from 'three';
+import { createSimulation, STATE_STRIDE } from './simulation.js';
+
+/**
+ * plain { x, y, z(, w) } copy of a vector or quaternion
+ * (THREE.Quaternion keeps its values in _x/_y/... which postMessage would mangle)
+ * @param {Object} value - THREE.Vector3, THREE.Quaternion or plain object
+ * @returns {Object|null} plain copy, or null if no value was given
+ */
+function toPlain(value) {
+  if (!value) return null;
+  const plain = { x: value.x, y: value.y, z: value.z };
+  if (value.w !== undefined) {
+    plain.w = value.w;
+  }
+  return plain;
+}
+
+/**
+ * Creates the physics client
+ * @param {Object} options - client options
+ * @param {boolean} options.useWorker - run the simulation in a worker if possible (default: true)
+ * @returns {Object} physics client
+ */
+export function createPhysicsClient({ useWorker = true } = {}) {
+  const proxies = new Map(); // id -> { id, position, quaternion }
+  const linkForces = new Map(); // link id -> force from the latest state
+  const handlers = { impact: [], linkBroken: [], step: [], state: [] };
+  let nextBodyId = 1;
+  let nextLinkId = 1;
+
+  let worker = null;
+  let simulation = null;
+  let workerReady = false;
+  let startupLog = []; // commands sent before the worker reported in, for replay
+  let awaitingState = false;
+  let pendingDelta = 0;
+  let spareBuffer = null;
+  let debugState = null;
+
+  /**
+   * Calls every handler registered for an event
+   * @param {string} type - event type (see on())
+   * @param {*} payload - event payload
+   */
+  const emit = (type, payload) => {
+    handlers[type].forEach((handler) => handler(payload));
+  };
+
+  /**
+   * Copies a state from the simulation onto the proxies and fires its events
+   * @param {Object} state - state from simulation.readState()
+   */
+  const applyState = ({
+    buffer,
+    count,
+    linkForces: forces,
+    brokenLinks,
+    impacts,
+    debug,
+  }) => {
+    for (let i = 0; i < count; i++) {
+      const offset = i * STATE_STRIDE;
+      // Bodies removed here since the step was sent are simply skipped
+      const proxy = proxies.get(buffer[offset]);
+      if (!proxy) continue;
+      proxy.position.set(
+        buffer[offset + 1],
+        buffer[offset + 2],
+        buffer[offset + 3]
+      );
+      proxy.quaternion.set(
+        buffer[offset + 4],
+        buffer[offset + 5],
+        buffer[offset + 6],
+        buffer[offset + 7]
+      );
+    }
+
+    linkForces.clear();
+    for (let i = 0; i < forces.length; i += 2) {
+      linkForces.set(forces[i], forces[i + 1]);
+    }
+
+    brokenLinks.forEach((id) => emit('linkBroken', id));
+    impacts.forEach((impact) => emit('impact', impact));
+    spareBuffer = buffer;
+    debugState = debug;
+    emit('state');
+  };
+
+  /**
+   * Switches to running the simulation on the main thread
+   */
+  const startLocalSimulation = () => {
+    simulation = createSimulation();
+  };
+
+  if (useWorker && typeof Worker !== 'undefined') {
+    try {
+      worker = new Worker(new URL('./physicsWorker.js', import.meta.url), {
+        type: 'module',
+      });
+    } catch (error) {
+      console.warn('[Physics] Could not start the physics worker:', error);
+      worker = null;
+    }
+  }
+
+  if (worker) {
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'ready') {
+        workerReady = true;
+        startupLog = null;
+      } else if (data.type === 'state') {
+        awaitingState = false;
+        applyState(data.state);
+      }
+    });
+
+    worker.addEventListener('error', (event) => {
+      if (workerReady) {
+        // A command blew up - don't wait forever for the state it never sent
+        console.error('[Physics] Worker error:', event.message);
+        awaitingState = false;
+        return;
+      }
+
+      // e.g. no module worker support: replay everything on the main thread
+      event.preventDefault();
+      console.warn(
+        '[Physics] Worker failed to start, using main thread physics'
+      );
+      worker.terminate();
+      worker = null;
+      startLocalSimulation();
+      startupLog.forEach(({ type, args }) => simulation[type](...args));
+      startupLog = null;
+      awaitingState = false;
+    });
+  } else {
+    startLocalSimulation();
+  }
+
+  /**
+   * Sends a command to the simulation, wherever it runs
+   * @param {string} type - simulation method name
+   * @param {...*} args - its arguments (must survive postMessage)
+   */
+  const send = (type, ...args) => {
+    if (!worker) {
+      simulation[type](...args);
+      return;
+    }
+    worker.postMessage({ type, args });
+    if (!workerReady) {
+      startupLog.push({ type, args: structuredClone(args) });
+    }
+  };
+
+  return {
+    /**
+     * Where the simulation is running
+     * @returns {string} 'worker' or 'main'
+     */
+    getMode() {
+      return worker ? 'worker' : 'main';
+    },
+
+    /**
+     * Adds a body to the simulation (see createBody in physics.js)
+     * @param {Object} spec - body description
+     * @returns {Object} body proxy { id, position, quaternion }, starting at the spawn pose
+     */
+    createBody(spec) {
+      const id = nextBodyId++;
+      const plainSpec = {
+        ...spec,
+        position: toPlain(spec.position) || { x: 0, y: 0, z: 0 },
+        quaternion: toPlain(spec.quaternion),
+        velocity: toPlain(spec.velocity),
+        angularVelocity: toPlain(spec.angularVelocity),
+      };
+
+      const { position, quaternion } = plainSpec;
+      const proxy = {
+        id,
+        position: new THREE.Vector3(position.x, position.y, position.z),
+        quaternion: quaternion
+          ? new THREE.Quaternion(
+              quaternion.x,
+              quaternion.y,
+              quaternion.z,
+              quaternion.w
+            )
+          : new THREE.Quaternion(),
+      };
+      proxies.set(id, proxy);
+      send('addBody', id, plainSpec);
+      return proxy;
+    },
+
+    /**
+     * Removes a body (and any link or drag attached to it)
+     * @param {number} id - body id
+     */
+    removeBody(id) {
+      if (!proxies.delete(id)) return;
+      send('removeBody', id);
+    },
+
+    /**
+     * Check whether a body is still in the simulation
+     * @param {number} id - body id
+     * @returns {boolean} true if it hasn't been removed
+     */
+    hasBody(id) {
+      return proxies.has(id);
+    },
+
+    /**
+     * Changes a body's state (position and quaternion teleport, and the
+     * proxy follows right away)
+     * @param {number} id - body id
+     * @param {Object} changes - position, quaternion, velocity, angularVelocity
+     *   and/or halfExtent
+     */
+    updateBody(id, changes) {
+      const proxy = proxies.get(id);
+      if (!proxy) return;
+      if (changes.position) {
+        proxy.position.copy(changes.position);
+      }
+      if (changes.quaternion) {
+        proxy.quaternion.copy(changes.quaternion);
+      }
+      send('updateBody', id, {
+        ...changes,
+        position: toPlain(changes.position),
+        quaternion: toPlain(changes.quaternion),
+        velocity: toPlain(changes.velocity),
+        angularVelocity: toPlain(changes.angularVelocity),
+      });
+    },
+
+    /**
+     * Knocks every dynamic body near a point away
+     * @param {THREE.Vector3} center - blast centre
+     * @param {Object} options - radius, strength and falloff
+     */
+    applyRadialImpulse(center, options) {
+      send('applyRadialImpulse', toPlain(center), { ...options });
+    },
+
+    /**
+     * Grabs a body at a world-space point on it
+     * @param {number} id - body id
+     * @param {THREE.Vector3} point - grab point
+     */
+    startDrag(id, point) {
+      send('startDrag', id, toPlain(point));
+    },
+
+    /**
+     * Moves the grab point (the body follows)
+     * @param {THREE.Vector3} point - new grab point
+     */
+    moveDrag(point) {
+      send('moveDrag', toPlain(point));
+    },
+
+    /**
+     * Lets go of the grabbed body
+     * @param {THREE.Vector3} velocity - velocity to hand it (optional)
+     */
+    endDrag(velocity = null) {
+      send('endDrag', toPlain(velocity));
+    },
+
+    /**
+     * Replaces the active force fields
+     * @param {Object[]} fields - plain field descriptions
+     */
+    setForceFields(fields) {
+      send('setForceFields', fields);
+    },
+
+    /**
+     * Links two bodies with a constraint or spring
+     * @param {Object} spec - link description (bodyA/bodyB are body ids,
+     *   see addLink in simulation.js for the rest)
+     * @returns {number} link id
+     */
+    addLink(spec) {
+      const id = nextLinkId++;
+      const plainSpec = { ...spec };
+      ['pivotA', 'pivotB', 'axisA', 'axisB', 'anchorA', 'anchorB'].forEach(
+        (key) => {
+          plainSpec[key] = toPlain(spec[key]);
+        }
+      );
+      send('addLink', id, plainSpec);
+      return id;
+    },
+
+    /**
+     * Removes a link
+     * @param {number} id - link id
+     */
+    removeLink(id) {
+      linkForces.delete(id);
+      send('removeLink', id);
+    },
+
+    /**
+     * Force on a link at the last step, in newtons
+     * @param {number} id - link id
+     * @returns {number} force (0 until the first step reports it)
+     */
+    getLinkForce(id) {
+      return linkForces.get(id) || 0;
+    },
+
+    /**
+     * Sets when links snap
+     * @param {Object} settings - { breakable, breakForce }
+     */
+    setLinkBreaking(settings) {
+      send('setLinkBreaking', { ...settings });
+    },
+
+    /**
+     * Swaps the ground for noise terrain, or back to flat ground
+     * @param {Object|null} params - terrain settings (see generateTerrainHeights), or null for flat ground
+     */
+    setTerrain(params) {
+      send('setTerrain', params ? { ...params } : null);
+    },
+
+    /**
+     * Changes gravity and wakes every sleeping body
+     * @param {THREE.Vector3|{x: number, y: number, z: number}} gravity - acceleration in m/s²
+     */
+    setGravity(gravity) {
+      send('setGravity', toPlain(gravity));
+    },
+
+    /**
+     * Puts up walls around the arena, or takes them down
+     * @param {Object|null} options - { size, height }, or null for no walls
+     */
+    setArenaWalls(options) {
+      send('setArenaWalls', options ? { ...options } : null);
+    },
+
+    /**
+     * Advances the simulation by the real time that has passed
+     * in worker mode only one step is in flight at a time; time that passes
+     * while waiting for it is added to the next one
+     * @param {number} deltaTime - seconds since the last frame
+     */
+    step(deltaTime) {
+      if (!worker) {
+        emit('step', deltaTime);
+        simulation.step(deltaTime);
+        applyState(simulation.readState(spareBuffer));
+        return;
+      }
+
+      pendingDelta += deltaTime;
+      if (awaitingState) return;
+
+      emit('step', pendingDelta);
+      awaitingState = true;
+      const buffer = spareBuffer;
+      spareBuffer = null;
+      worker.postMessage(
+        { type: 'step', args: [pendingDelta, buffer] },
+        buffer ? [buffer.buffer] : []
+      );
+      pendingDelta = 0;
+    },
+
+    /**
+     * Exact state of every body, straight from a main-thread simulation
+     * (headless runs); the worker's bodies can't be read synchronously
+     * @returns {Object[]|null} see readBodies in simulation.js, or null in worker mode
+     */
+    readBodies() {
+      return simulation ? simulation.readBodies() : null;
+    },
+
+    /**
+     * Check whether a step is still being worked on (worker mode only);
+     * step() calls made meanwhile are merged into the next one
+     * @returns {boolean} true while waiting for the worker's state
+     */
+    isStepPending() {
+      return awaitingState;
+    },
+
+    /**
+     * Turns the debug overlay's data on or off (it costs a bit every step)
+     * @param {boolean} enabled - true to receive it
+     */
+    setDebug(enabled) {
+      if (!enabled) {
+        debugState = null;
+      }
+      send('setDebug', enabled);
+    },
+
+    /**
+     * Debug view of the world from the latest state (see readState in simulation.js)
+     * @returns {Object|null} { bodies, contacts }, or null while debug is off
+     */
+    getDebugState() {
+      return debugState;
+    },
+
+    /**
+     * Rewinds the simulation clock, so stepping from here depends only on
+     * the deltas that follow (used to record and replay sessions)
+     */
+    resetClock() {
+      send('resetClock');
+    },
+
+    /**
+     * Listens for simulation events
+     * 'impact' gets { id, otherId, speed, mass, otherMass, point, velocity, otherVelocity },
+     * 'linkBroken' gets the id of a link that snapped,
+     * 'step' gets the deltaTime of each step as it is sent off,
+     * 'state' fires once a step's results are on the proxies
+     * @param {string} type - 'impact', 'linkBroken', 'step' or 'state'
+     * @param {Function} handler - called with the event payload
+     */
+    on(type, handler) {
+      handlers[type].push(handler);
+    },
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * physics worker 🧵
+ * runs the simulation off the main thread: every message is a simulation
+ * command, and each step answers with the new state, transforms packed into
+ * a Float32Array whose buffer is transferred (not copied) back
+ */
+
+import { createSimulation } from './simulation.js';
+
+const simulation = createSimulation();
+
+self.addEventListener('message', ({ data }) => {
+  const { type, args } = data;
+
+  if (type === 'step') {
+    // The main thread hands its previous buffer back for reuse
+    const [deltaTime, buffer] = args;
+    simulation.step(deltaTime);
+    const state = simulation.readState(buffer);
+    self.postMessage({ type: 'state', state }, [state.buffer.buffer]);
+    return;
+  }
+
+  if (typeof simulation[type] !== 'function') {
+    console.warn(`[Physics worker] Unknown command "${type}"`);
+    return;
+  }
+  simulation[type](...args);
+});
+
+self.postMessage({ type: 'ready' });
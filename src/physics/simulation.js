@@ -0,0 +1,553 @@
+/**
+ * physics simulation 🧮
+ * owns the cannon-es world and every body, constraint and spring in it
+ * only ever driven by plain, serializable commands, so the exact same code
+ * runs inside the physics worker or (as a fallback) on the main thread
+ */
+
+import * as CANNON from 'cannon-es';
+import {
+  createPhysicsWorld,
+  createGround,
+  createTerrain,
+  createArenaWalls,
+  createBody,
+  stepPhysics,
+  resetPhysicsClock,
+  applyRadialImpulse,
+  teleportBody,
+  resizeBoxBody,
+  wakeBodiesRestingOn,
+  enableWakePropagation,
+} from '../physics.js';
+import { applyForceFields } from '../forceFields.js';
+import {
+  getBodyWireframe,
+  getContactData,
+  getBodyDebugState,
+} from './debugGeometry.js';
+
+// Floats per body in the state buffer: id, position xyz, quaternion xyzw
+export const STATE_STRIDE = 8;
+
+// Slower contacts are resting jitter - not worth reporting as impacts
+const MIN_IMPACT_SPEED = 0.5;
+
+/**
+ * Vec3 from a plain { x, y, z } object (what arrives through postMessage)
+ * @param {{x: number, y: number, z: number}} value - plain vector (optional)
+ * @returns {CANNON.Vec3} the vector, or zero if none was given
+ */
+function toVec3(value) {
+  return value ? new CANNON.Vec3(value.x, value.y, value.z) : new CANNON.Vec3();
+}
+
+/**
+ * builds the cannon-es constraint or spring a link description asks for
+ * @param {Object} spec - link description (see createSimulation().addLink)
+ * @param {CANNON.Body} bodyA - first body
+ * @param {CANNON.Body} bodyB - second body
+ * @returns {Object} { constraint } or { spring }
+ */
+function buildLink(spec, bodyA, bodyB) {
+  switch (spec.type) {
+    case 'pointToPoint': {
+      const constraint = new CANNON.PointToPointConstraint(
+        bodyA,
+        toVec3(spec.pivotA),
+        bodyB,
+        toVec3(spec.pivotB)
+      );
+      constraint.collideConnected = Boolean(spec.collideConnected);
+      return { constraint };
+    }
+    case 'distance': {
+      const constraint = new CANNON.DistanceConstraint(
+        bodyA,
+        bodyB,
+        spec.distance
+      );
+      constraint.collideConnected = Boolean(spec.collideConnected);
+      return { constraint };
+    }
+    case 'hinge':
+      return {
+        constraint: new CANNON.HingeConstraint(bodyA, bodyB, {
+          pivotA: toVec3(spec.pivotA),
+          axisA: toVec3(spec.axisA),
+          pivotB: toVec3(spec.pivotB),
+          axisB: toVec3(spec.axisB),
+          collideConnected: Boolean(spec.collideConnected),
+        }),
+      };
+    case 'spring':
+      return {
+        spring: new CANNON.Spring(bodyA, bodyB, {
+          localAnchorA: toVec3(spec.anchorA),
+          localAnchorB: toVec3(spec.anchorB),
+          restLength: spec.restLength,
+          stiffness: spec.stiffness,
+          damping: spec.damping,
+        }),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * how hard a link is being pulled right now, in newtons
+ * constraints report the solver's force from the last step,
+ * springs their current stretch times stiffness
+ * @param {Object} link - { constraint } or { spring }
+ * @returns {number} force magnitude
+ */
+function getLinkForce({ constraint, spring }) {
+  if (spring) {
+    const anchorA = new CANNON.Vec3();
+    const anchorB = new CANNON.Vec3();
+    spring.getWorldAnchorA(anchorA);
+    spring.getWorldAnchorB(anchorB);
+    const stretch = anchorA.distanceTo(anchorB) - spring.restLength;
+    return Math.abs(stretch * spring.stiffness);
+  }
+
+  let sumSquares = 0;
+  constraint.equations.forEach((equation) => {
+    sumSquares += equation.multiplier * equation.multiplier;
+  });
+  return Math.sqrt(sumSquares);
+}
+
+/**
+ * Creates the simulation: world, ground and an empty body registry
+ * bodies and links are addressed by numeric ids chosen by the caller
+ * @returns {Object} simulation commands
+ */
+export function createSimulation() {
+  const world = createPhysicsWorld();
+  let ground = createGround(world);
+  let walls = [];
+  enableWakePropagation(world);
+
+  const bodies = new Map(); // id -> CANNON.Body
+  const bodyIds = new WeakMap(); // CANNON.Body -> id
+  const links = new Map(); // id -> { bodyA, bodyB, constraint | spring }
+  const linkBreaking = { breakable: true, breakForce: 1000 };
+  let forceFields = [];
+  let debugEnabled = false;
+  let wireframesSent = new WeakSet(); // bodies whose wireframe the overlay has
+  let impacts = [];
+  let brokenLinks = [];
+
+  // Static anchor the dragged body hangs from - never collides
+  const dragAnchor = new CANNON.Body({ mass: 0 });
+  dragAnchor.collisionFilterGroup = 0;
+  dragAnchor.collisionFilterMask = 0;
+  world.addBody(dragAnchor);
+  let drag = null; // { id, constraint }
+
+  world.addEventListener('preStep', () => {
+    applyForceFields(world, forceFields);
+  });
+
+  world.addEventListener('postStep', () => {
+    links.forEach((link, id) => {
+      if (link.spring) {
+        link.spring.applyForce();
+      }
+      if (
+        linkBreaking.breakable &&
+        getLinkForce(link) > linkBreaking.breakForce
+      ) {
+        removeLink(id);
+        brokenLinks.push(id);
+      }
+    });
+  });
+
+  /**
+   * Queues a collide event as an impact for the main thread
+   * @param {number} id - id of the body the listener is attached to
+   * @param {CANNON.Body} body - that body
+   * @param {Object} event - collide event ({ body, contact })
+   */
+  const onCollide = (id, body, event) => {
+    // Two reporting bodies hitting each other fire twice - only report once
+    const other = event.body;
+    const otherId = bodyIds.has(other) ? bodyIds.get(other) : null;
+    if (
+      otherId !== null &&
+      other.type === CANNON.Body.DYNAMIC &&
+      otherId < id
+    ) {
+      return;
+    }
+
+    const speed = Math.abs(event.contact.getImpactVelocityAlongNormal());
+    if (speed < MIN_IMPACT_SPEED) return;
+
+    // Contact point in world space: body i position + ri
+    const { contact } = event;
+    const point = contact.bi.position.vadd(contact.ri);
+    impacts.push({
+      id,
+      otherId,
+      speed,
+      mass: body.mass,
+      otherMass: other.mass,
+      point: { x: point.x, y: point.y, z: point.z },
+      // Velocities going into the hit (the solver hasn't run yet)
+      velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
+      otherVelocity: {
+        x: other.velocity.x,
+        y: other.velocity.y,
+        z: other.velocity.z,
+      },
+    });
+  };
+
+  /**
+   * Debug view of every body with shapes, static ones included (the
+   * shapeless drag anchor has nothing to draw and is left out):
+   * transforms, AABBs, sleep states, contacts, and the wireframe of any
+   * body the overlay hasn't been sent yet
+   * @returns {Object} { bodies, contacts }
+   */
+  const readDebugState = () => {
+    const debugBodies = world.bodies
+      .filter((body) => body.shapes.length > 0)
+      .map((body) => {
+        if (body.aabbNeedsUpdate) {
+          body.updateAABB();
+        }
+        const p = body.interpolatedPosition;
+        const q = body.interpolatedQuaternion;
+        const { lowerBound: min, upperBound: max } = body.aabb;
+        const entry = {
+          key: body.id,
+          state: getBodyDebugState(body),
+          position: [p.x, p.y, p.z],
+          quaternion: [q.x, q.y, q.z, q.w],
+          aabb: [min.x, min.y, min.z, max.x, max.y, max.z],
+        };
+        if (!wireframesSent.has(body)) {
+          entry.wireframe = getBodyWireframe(body);
+          wireframesSent.add(body);
+        }
+        return entry;
+      });
+    return { bodies: debugBodies, contacts: getContactData(world) };
+  };
+
+  /**
+   * Removes a link's constraint or spring from the world
+   * @param {number} id - link id
+   */
+  const removeLink = (id) => {
+    const link = links.get(id);
+    if (!link) return;
+    if (link.constraint) {
+      world.removeConstraint(link.constraint);
+    }
+    links.delete(id);
+  };
+
+  /**
+   * Lets go of the dragged body
+   * @param {{x: number, y: number, z: number}} velocity - velocity to hand it (optional)
+   */
+  const endDrag = (velocity = null) => {
+    if (!drag) return;
+    world.removeConstraint(drag.constraint);
+    const body = bodies.get(drag.id);
+    if (body && velocity) {
+      body.velocity.set(velocity.x, velocity.y, velocity.z);
+    }
+    drag = null;
+  };
+
+  return {
+    world,
+
+    /**
+     * Adds a body (see createBody for the description)
+     * dynamic bodies report their impacts
+     * @param {number} id - id to address the body by
+     * @param {Object} spec - body description for createBody
+     */
+    addBody(id, spec) {
+      const body = createBody(world, spec);
+      bodies.set(id, body);
+      bodyIds.set(body, id);
+      if (body.type === CANNON.Body.DYNAMIC) {
+        body.addEventListener('collide', (event) => onCollide(id, body, event));
+      }
+    },
+
+    /**
+     * Removes a body, along with any link or drag holding on to it
+     * (sleeping bodies resting on it wake up, so they don't float)
+     * @param {number} id - body id
+     */
+    removeBody(id) {
+      const body = bodies.get(id);
+      if (!body) return;
+      if (drag && drag.id === id) {
+        endDrag();
+      }
+      links.forEach((link, linkId) => {
+        if (link.bodyA === body || link.bodyB === body) {
+          removeLink(linkId);
+        }
+      });
+      wakeBodiesRestingOn(world, body);
+      world.removeBody(body);
+      bodies.delete(id);
+    },
+
+    /**
+     * Changes a body's state
+     * @param {number} id - body id
+     * @param {Object} changes - any of:
+     *   position and quaternion (teleport, no interpolation slide),
+     *   velocity, angularVelocity, halfExtent (resizes a plain box body)
+     */
+    updateBody(
+      id,
+      { position, quaternion, velocity, angularVelocity, halfExtent } = {}
+    ) {
+      const body = bodies.get(id);
+      if (!body) return;
+      if (position) {
+        teleportBody(body, position.x, position.y, position.z);
+      }
+      if (quaternion) {
+        body.quaternion.set(
+          quaternion.x,
+          quaternion.y,
+          quaternion.z,
+          quaternion.w
+        );
+        body.previousQuaternion.copy(body.quaternion);
+        body.interpolatedQuaternion.copy(body.quaternion);
+      }
+      if (velocity) {
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+      }
+      if (angularVelocity) {
+        body.angularVelocity.set(
+          angularVelocity.x,
+          angularVelocity.y,
+          angularVelocity.z
+        );
+      }
+      if (halfExtent !== undefined) {
+        resizeBoxBody(body, halfExtent);
+        wireframesSent.delete(body);
+      }
+      body.wakeUp();
+    },
+
+    /**
+     * Knocks every dynamic body near a point away (see applyRadialImpulse)
+     * @param {{x: number, y: number, z: number}} center - blast centre
+     * @param {Object} options - radius, strength and falloff
+     */
+    applyRadialImpulse(center, options) {
+      applyRadialImpulse(world, center, options);
+    },
+
+    /**
+     * Pins a body to the drag anchor at a world-space point on it
+     * @param {number} id - body id
+     * @param {{x: number, y: number, z: number}} point - grab point
+     */
+    startDrag(id, point) {
+      endDrag();
+      const body = bodies.get(id);
+      if (!body) return;
+
+      dragAnchor.position.set(point.x, point.y, point.z);
+      const localPivot = body.pointToLocalFrame(toVec3(point));
+      const constraint = new CANNON.PointToPointConstraint(
+        body,
+        localPivot,
+        dragAnchor,
+        new CANNON.Vec3(0, 0, 0)
+      );
+      world.addConstraint(constraint);
+      body.wakeUp();
+      drag = { id, constraint };
+    },
+
+    /**
+     * Moves the drag anchor (the dragged body follows through the constraint)
+     * @param {{x: number, y: number, z: number}} point - new anchor position
+     */
+    moveDrag(point) {
+      dragAnchor.position.set(point.x, point.y, point.z);
+    },
+
+    endDrag,
+
+    /**
+     * Replaces the active force fields
+     * @param {Object[]} fields - plain field descriptions from the force field manager
+     */
+    setForceFields(fields) {
+      forceFields = fields;
+    },
+
+    /**
+     * Links two bodies with a constraint or spring
+     * @param {number} id - id to address the link by
+     * @param {Object} spec - link description:
+     *   type ('pointToPoint', 'distance', 'hinge' or 'spring'), bodyA, bodyB (ids),
+     *   pivotA/pivotB, axisA/axisB, distance, collideConnected,
+     *   anchorA/anchorB, restLength, stiffness, damping
+     */
+    addLink(id, spec) {
+      const bodyA = bodies.get(spec.bodyA);
+      const bodyB = bodies.get(spec.bodyB);
+      if (!bodyA || !bodyB) return;
+
+      const built = buildLink(spec, bodyA, bodyB);
+      if (!built) {
+        console.warn(`Unknown link type "${spec.type}"`);
+        return;
+      }
+      if (built.constraint) {
+        world.addConstraint(built.constraint);
+      }
+      links.set(id, { bodyA, bodyB, ...built });
+    },
+
+    removeLink,
+
+    /**
+     * Sets when links snap
+     * @param {Object} settings - { breakable, breakForce }
+     */
+    setLinkBreaking(settings) {
+      Object.assign(linkBreaking, settings);
+    },
+
+    /**
+     * Swaps the ground for noise terrain, or back to the flat ground box
+     * (everything asleep is woken, since the ground under it changed)
+     * @param {Object|null} params - terrain settings (see generateTerrainHeights), or null for flat ground
+     */
+    setTerrain(params) {
+      world.removeBody(ground);
+      ground = params ? createTerrain(world, params) : createGround(world);
+      world.bodies.forEach((body) => body.wakeUp());
+    },
+
+    /**
+     * Changes gravity (everything asleep is woken, so it feels the change)
+     * @param {{x: number, y: number, z: number}} gravity - acceleration in m/s²
+     */
+    setGravity(gravity) {
+      world.gravity.set(gravity.x, gravity.y, gravity.z);
+      world.bodies.forEach((body) => body.wakeUp());
+    },
+
+    /**
+     * Puts up walls around the arena, or takes them down
+     * @param {Object|null} options - { size, height } (see createArenaWalls), or null for no walls
+     */
+    setArenaWalls(options) {
+      walls.forEach((wall) => world.removeBody(wall));
+      walls = options ? createArenaWalls(world, options) : [];
+    },
+
+    /**
+     * Advances the simulation by the real time that has passed
+     * @param {number} deltaTime - seconds since the last step call
+     */
+    step(deltaTime) {
+      stepPhysics(world, deltaTime);
+    },
+
+    /**
+     * Turns the debug data in readState() on or off
+     * @param {boolean} enabled - true to include it
+     */
+    setDebug(enabled) {
+      debugEnabled = enabled;
+      // The overlay drops its wireframes when hidden - resend them all
+      wireframesSent = new WeakSet();
+    },
+
+    /**
+     * Rewinds the world clock, e.g. before recording or replaying a session
+     */
+    resetClock() {
+      resetPhysicsClock(world);
+    },
+
+    /**
+     * Exact (not interpolated) state of every body, in full precision -
+     * for headless runs that report where everything ended up
+     * @returns {Object[]} { id, position, quaternion, velocity, angularVelocity, sleeping } per body
+     */
+    readBodies() {
+      const triple = (v) => [v.x, v.y, v.z];
+      return [...bodies].map(([id, body]) => ({
+        id,
+        position: triple(body.position),
+        quaternion: [...triple(body.quaternion), body.quaternion.w],
+        velocity: triple(body.velocity),
+        angularVelocity: triple(body.angularVelocity),
+        sleeping: body.sleepState === CANNON.Body.SLEEPING,
+      }));
+    },
+
+    /**
+     * Collects everything the renderer needs since the last call:
+     * interpolated transforms packed as [id, px, py, pz, qx, qy, qz, qw]
+     * per body, link forces, broken link ids and impacts, plus (while
+     * setDebug is on) every body in the world for the debug overlay
+     * @param {Float32Array} buffer - buffer to reuse if it's big enough (optional)
+     * @returns {Object} { buffer, count, linkForces, brokenLinks, impacts, debug }
+     */
+    readState(buffer = null) {
+      const needed = bodies.size * STATE_STRIDE;
+      const transforms =
+        buffer && buffer.length >= needed ? buffer : new Float32Array(needed);
+
+      let offset = 0;
+      bodies.forEach((body, id) => {
+        const p = body.interpolatedPosition;
+        const q = body.interpolatedQuaternion;
+        transforms[offset] = id;
+        transforms[offset + 1] = p.x;
+        transforms[offset + 2] = p.y;
+        transforms[offset + 3] = p.z;
+        transforms[offset + 4] = q.x;
+        transforms[offset + 5] = q.y;
+        transforms[offset + 6] = q.z;
+        transforms[offset + 7] = q.w;
+        offset += STATE_STRIDE;
+      });
+
+      const linkForces = [];
+      links.forEach((link, id) => {
+        linkForces.push(id, getLinkForce(link));
+      });
+
+      const state = {
+        buffer: transforms,
+        count: bodies.size,
+        linkForces,
+        brokenLinks,
+        impacts,
+        debug: debugEnabled ? readDebugState() : null,
+      };
+      brokenLinks = [];
+      impacts = [];
+      return state;
+    },
+  };
+}
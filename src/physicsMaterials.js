@@ -0,0 +1,181 @@
+/**
+ * physical material presets 🧪
+ * friction, bounciness and density per material, plus a matching glossy look
+ * every pair (and every material against the ground) gets its own contact material
+ */
+
+import * as CANNON from 'cannon-es';
+
+/**
+ * all spawnable physical materials, keyed by name
+ * density is relative to the default glossy cube (1 = a unit box weighs 1)
+ * look holds createGlossyMaterial options for the matching shader appearance
+ * @type {Object<string, Object>}
+ */
+export const PHYSICAL_MATERIALS = {
+  glossy: {
+    label: 'Glossy (default)',
+    friction: 0.3,
+    restitution: 0.3,
+    density: 1.0,
+    look: {
+      roughness: 0.15,
+      metalness: 0.0,
+      specularIntensity: 1.5,
+      fresnelPower: 3.0,
+    },
+  },
+  ice: {
+    label: 'Ice',
+    friction: 0.02,
+    restitution: 0.1,
+    density: 0.92,
+    look: {
+      roughness: 0.05,
+      metalness: 0.0,
+      specularIntensity: 2.2,
+      fresnelPower: 2.0,
+    },
+  },
+  rubber: {
+    label: 'Rubber',
+    friction: 0.9,
+    restitution: 0.85,
+    density: 1.1,
+    look: {
+      roughness: 0.9,
+      metalness: 0.0,
+      specularIntensity: 0.3,
+      fresnelPower: 5.0,
+    },
+  },
+  steel: {
+    label: 'Steel',
+    friction: 0.4,
+    restitution: 0.25,
+    density: 7.8,
+    look: {
+      roughness: 0.2,
+      metalness: 0.95,
+      specularIntensity: 1.8,
+      fresnelPower: 2.0,
+    },
+  },
+  wood: {
+    label: 'Wood',
+    friction: 0.6,
+    restitution: 0.35,
+    density: 0.7,
+    look: {
+      roughness: 0.65,
+      metalness: 0.0,
+      specularIntensity: 0.6,
+      fresnelPower: 4.0,
+    },
+  },
+};
+
+export const DEFAULT_PHYSICAL_MATERIAL = 'glossy';
+
+// Surface properties of the ground box from createGround
+const GROUND_PROPERTIES = { friction: 0.5, restitution: 0.3 };
+
+// Pairs that the generic mixing rule gets wrong
+const CONTACT_OVERRIDES = {
+  'ice:ice': { friction: 0.005, restitution: 0.05 },
+  'ground:ice': { friction: 0.03, restitution: 0.1 },
+  'ground:rubber': { friction: 1.0, restitution: 0.8 },
+};
+
+// CANNON.Material instances are only identity tokens, so one set can be
+// shared by every world; the contact materials are what get registered per world
+const cannonMaterials = Object.fromEntries(
+  Object.keys(PHYSICAL_MATERIALS).map((name) => [
+    name,
+    new CANNON.Material(name),
+  ])
+);
+
+/**
+ * the cannon-es material used by the ground body
+ * @type {CANNON.Material}
+ */
+export const groundMaterial = new CANNON.Material('ground');
+
+/**
+ * looks up a physical material preset, falling back to the default for unknown names
+ * @param {string} name - preset name (key of PHYSICAL_MATERIALS)
+ * @returns {Object} preset with friction, restitution, density and look
+ */
+export function getPhysicalMaterial(name) {
+  if (PHYSICAL_MATERIALS[name]) {
+    return PHYSICAL_MATERIALS[name];
+  }
+  console.warn(
+    `Unknown physical material "${name}", using ${DEFAULT_PHYSICAL_MATERIAL} instead`
+  );
+  return PHYSICAL_MATERIALS[DEFAULT_PHYSICAL_MATERIAL];
+}
+
+/**
+ * gets the shared cannon-es material for a preset
+ * @param {string} name - preset name (key of PHYSICAL_MATERIALS)
+ * @returns {CANNON.Material} the material to put on bodies
+ */
+export function getCannonMaterial(name) {
+  return cannonMaterials[name] || cannonMaterials[DEFAULT_PHYSICAL_MATERIAL];
+}
+
+/**
+ * mixes two surfaces into contact properties
+ * friction uses the geometric mean (so ice stays slippery on anything),
+ * restitution the larger value (so rubber bounces off anything)
+ * @param {string} nameA - first surface name
+ * @param {Object} a - first surface's { friction, restitution }
+ * @param {string} nameB - second surface name
+ * @param {Object} b - second surface's { friction, restitution }
+ * @returns {Object} { friction, restitution } for the pair
+ */
+function mixSurfaces(nameA, a, nameB, b) {
+  const key = [nameA, nameB].sort().join(':');
+  if (CONTACT_OVERRIDES[key]) {
+    return CONTACT_OVERRIDES[key];
+  }
+  return {
+    friction: Math.sqrt(a.friction * b.friction),
+    restitution: Math.max(a.restitution, b.restitution),
+  };
+}
+
+/**
+ * registers the full contact-material matrix on a world:
+ * every preset against every preset, and every preset against the ground
+ * @param {CANNON.World} world - the physics world
+ */
+export function registerContactMaterials(world) {
+  const names = Object.keys(PHYSICAL_MATERIALS);
+
+  names.forEach((nameA, i) => {
+    const a = PHYSICAL_MATERIALS[nameA];
+
+    // Upper triangle only - a contact material covers both orders of a pair
+    names.slice(i).forEach((nameB) => {
+      const b = PHYSICAL_MATERIALS[nameB];
+      world.addContactMaterial(
+        new CANNON.ContactMaterial(
+          cannonMaterials[nameA],
+          cannonMaterials[nameB],
+          mixSurfaces(nameA, a, nameB, b)
+        )
+      );
+    });
+
+    world.addContactMaterial(
+      new CANNON.ContactMaterial(
+        cannonMaterials[nameA],
+        groundMaterial,
+        mixSurfaces(nameA, a, 'ground', GROUND_PROPERTIES)
+      )
+    );
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * seeded random numbers 🎲
+ * a tiny deterministic generator (mulberry32): the same seed always gives
+ * the same sequence, so spawns can be reproduced exactly
+ */
+
+/**
+ * picks a fresh 32-bit seed
+ * @returns {number} unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * creates a seeded random number generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} drop-in for Math.random, returns a number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
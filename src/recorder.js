@@ -0,0 +1,461 @@
+/**
+ * session recorder 📼
+ * records what happens per physics step (spawns, clears, pauses, colour
+ * changes and the camera) and replays it through the cube spawner and the
+ * physics step, so a pile-up can be reproduced frame for frame
+ *
+ * every recorded frame is one physics.step() call: its deltaTime, the camera
+ * at that moment and the events since the previous step. Replaying sends the
+ * same events and deltas in the same order, which (with a seeded spawner and
+ * a rewound physics clock) gives exactly the same simulation. Fracture
+ * shatters and fades on those same steps, so it replays the same too.
+ * Blasts, drags, constraint and stacked structures and panel settings are
+ * not recorded.
+ */
+
+import * as THREE from 'three';
+import { randomSeed } from './random.js';
+
+export const RECORDING_VERSION = 1;
+
+// Spawn positions are stored for desync checks, not for placing cubes
+const POSITION_TOLERANCE = 1e-3;
+
+/**
+ * rounds a number for storage (keeps the JSON small)
+ * @param {number} value - value to round
+ * @param {number} digits - decimal places to keep
+ * @returns {number} rounded value
+ */
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * vector or quaternion as a rounded array
+ * @param {Object} value - THREE.Vector3 or THREE.Quaternion
+ * @param {number} digits - decimal places to keep
+ * @returns {number[]} [x, y, z(, w)]
+ */
+function toArray(value, digits) {
+  return value.toArray().map((component) => round(component, digits));
+}
+
+/**
+ * checks that parsed JSON looks like a recording this version can play
+ * @param {Object} recording - parsed recording
+ * @returns {boolean} true if it can be replayed
+ */
+function isValidRecording(recording) {
+  return (
+    recording !== null &&
+    typeof recording === 'object' &&
+    recording.version === RECORDING_VERSION &&
+    Number.isInteger(recording.seed) &&
+    recording.hero !== null &&
+    typeof recording.hero === 'object' &&
+    Array.isArray(recording.frames)
+  );
+}
+
+/**
+ * Creates the session recorder
+ * @param {Object} config - configuration object
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.cubeSpawner - cube spawner manager
+ * @param {THREE.Camera} config.camera - the camera
+ * @param {Object} config.controls - orbit controls (disabled during replay)
+ * @param {Object} config.heroCube - hero cube controls from initializeGlossyCube
+ * @param {Object} config.pauseState - object with isPaused property
+ * @param {Function} config.onColorChange - sets the hero cube colour (replays colour events)
+ * @returns {Object} recorder
+ */
+export function createRecorder({
+  physics,
+  cubeSpawner,
+  camera,
+  controls,
+  heroCube,
+  pauseState,
+  onColorChange,
+}) {
+  let mode = 'idle'; // 'idle', 'recording' or 'replaying'
+  let recording = null;
+  let pendingEvents = [];
+  let lastCamera = null;
+  let lastPaused = pauseState.isPaused;
+  const handlers = [];
+
+  // Replay progress: frames before nextFrame have been stepped
+  let nextFrame = 0;
+  let targetFrame = 0;
+  let playing = false;
+  let driving = false;
+
+  const notify = () => {
+    handlers.forEach((handler) => handler());
+  };
+
+  /**
+   * Camera position and orbit target, rounded
+   * @returns {number[]} [px, py, pz, tx, ty, tz]
+   */
+  const captureCamera = () => [
+    ...toArray(camera.position, 3),
+    ...toArray(controls.target, 3),
+  ];
+
+  /**
+   * Puts the scene in the state a recording starts from: no cubes,
+   * the hero cube where the recording says, the spawner reseeded
+   * and the physics clock rewound
+   * @param {Object} start - recording header (seed, hero)
+   */
+  const resetScene = ({ seed, hero }) => {
+    cubeSpawner.clearAll();
+    cubeSpawner.setSeed(seed);
+    heroCube.setScale(hero.scale);
+    heroCube.setPosition(...hero.position);
+    heroCube.setRotation(new THREE.Quaternion(...hero.quaternion));
+    heroCube.setSpinSpeed(hero.spinSpeed);
+    heroCube.setSpinAxis(...hero.spinAxis);
+    onColorChange(hero.color);
+    physics.resetClock();
+  };
+
+  /**
+   * Applies one recorded event
+   * @param {Object} event - event from a recorded frame
+   */
+  const applyEvent = (event) => {
+    switch (event.type) {
+      case 'spawn': {
+        const { color, mode: spawnMode, shape, physicalMaterial } = event;
+        const options = { mode: spawnMode, shape, physicalMaterial };
+        if (spawnMode === 'throw') {
+          options.origin = new THREE.Vector3(...event.origin);
+          options.direction = new THREE.Vector3(...event.direction);
+          options.speed = event.speed;
+        }
+        cubeSpawner.spawn(color, options);
+
+        const { cubes } = cubeSpawner;
+        const spawned = cubes[cubes.length - 1].physicsBody.position;
+        if (
+          spawned.distanceTo(new THREE.Vector3(...event.position)) >
+          POSITION_TOLERANCE
+        ) {
+          console.warn(
+            '[Recorder] Replay spawned a cube off its recorded spot'
+          );
+        }
+        break;
+      }
+      case 'clear':
+        cubeSpawner.clearAll();
+        break;
+      case 'color':
+        onColorChange(event.color);
+        break;
+      case 'pause':
+        // Nothing to do: no steps were recorded while paused
+        break;
+      default:
+        console.warn(`[Recorder] Unknown event "${event.type}"`);
+    }
+  };
+
+  /**
+   * Applies one recorded frame: its events, its camera, then its step
+   * @param {Array} frame - [deltaTime, camera, events]
+   */
+  const applyFrame = ([deltaTime, cameraState, events]) => {
+    if (events) {
+      events.forEach(applyEvent);
+    }
+    if (cameraState) {
+      camera.position.fromArray(cameraState, 0);
+      controls.target.fromArray(cameraState, 3);
+    }
+    physics.step(deltaTime);
+  };
+
+  /**
+   * Steps recorded frames until the replay reaches its target frame
+   * (with the worker, one frame per round trip: the 'state' event resumes it)
+   */
+  const drive = () => {
+    if (mode !== 'replaying' || driving) return;
+    driving = true;
+    const start = nextFrame;
+    while (nextFrame < targetFrame && !physics.isStepPending()) {
+      applyFrame(recording.frames[nextFrame]);
+      nextFrame++;
+    }
+    driving = false;
+    if (nextFrame !== start) {
+      notify();
+    }
+  };
+
+  // Record every step as it is sent off, with everything that led up to it
+  physics.on('step', (deltaTime) => {
+    if (mode !== 'recording') return;
+    const cameraState = captureCamera();
+    const changed =
+      !lastCamera || cameraState.some((value, i) => value !== lastCamera[i]);
+    const frame = [deltaTime, changed ? cameraState : null];
+    if (pendingEvents.length > 0) {
+      frame.push(pendingEvents);
+      pendingEvents = [];
+    }
+    lastCamera = cameraState;
+    recording.frames.push(frame);
+    notify();
+  });
+
+  physics.on('state', drive);
+
+  cubeSpawner.on('spawn', ({ color, options, position }) => {
+    if (mode !== 'recording') return;
+    const { mode: spawnMode = 'drop', shape, physicalMaterial } = options;
+    const event = {
+      type: 'spawn',
+      color,
+      mode: spawnMode,
+      shape,
+      physicalMaterial,
+      position: toArray(position, 4),
+    };
+    if (spawnMode === 'throw') {
+      // Full precision: the launch decides where the cube ends up
+      event.origin = options.origin.toArray();
+      event.direction = options.direction.toArray();
+      event.speed = options.speed;
+    }
+    pendingEvents.push(event);
+  });
+
+  cubeSpawner.on('clear', () => {
+    if (mode !== 'recording') return;
+    pendingEvents.push({ type: 'clear' });
+  });
+
+  /**
+   * Leaves replay mode, handing the camera back to the user
+   */
+  const stopReplay = () => {
+    playing = false;
+    controls.enabled = true;
+    mode = 'idle';
+  };
+
+  return {
+    /**
+     * Current mode
+     * @returns {string} 'idle', 'recording' or 'replaying'
+     */
+    getMode() {
+      return mode;
+    },
+
+    /**
+     * Check whether a replay is driving the physics steps
+     * @returns {boolean} true while replaying (playing or parked on a frame)
+     */
+    isReplaying() {
+      return mode === 'replaying';
+    },
+
+    /**
+     * Check whether a replay is advancing on its own
+     * @returns {boolean} true while playing
+     */
+    isPlaying() {
+      return playing;
+    },
+
+    /**
+     * The loaded or last made recording
+     * @returns {Object|null} recording, or null if there is none
+     */
+    getRecording() {
+      return recording;
+    },
+
+    /**
+     * Replay position
+     * @returns {number} frames stepped so far
+     */
+    getFrame() {
+      return nextFrame;
+    },
+
+    /**
+     * Start a new recording (clears the cubes, so it starts from a known state)
+     */
+    startRecording() {
+      if (mode === 'replaying') {
+        stopReplay();
+      }
+      const { state, cube, material } = heroCube;
+      recording = {
+        version: RECORDING_VERSION,
+        seed: randomSeed(),
+        hero: {
+          position: cube.position.toArray(),
+          quaternion: cube.quaternion.toArray(),
+          spinAxis: state.spinAxis.toArray(),
+          spinSpeed: state.spinSpeed,
+          scale: state.scale,
+          color: `#${material.uniforms.baseColor.value.getHexString()}`,
+        },
+        frames: [],
+      };
+      resetScene(recording);
+      pendingEvents = [];
+      lastCamera = null;
+      lastPaused = pauseState.isPaused;
+      mode = 'recording';
+      notify();
+    },
+
+    /**
+     * Stop recording (events since the last step are dropped)
+     */
+    stopRecording() {
+      if (mode !== 'recording') return;
+      mode = 'idle';
+      pendingEvents = [];
+      notify();
+    },
+
+    /**
+     * Note a hero cube colour change (call from the colour picker)
+     * @param {string} color - hex color code
+     */
+    recordColor(color) {
+      if (mode !== 'recording') return;
+      pendingEvents.push({ type: 'color', color });
+    },
+
+    /**
+     * Replace the current recording with one loaded from JSON
+     * @param {string} json - exported recording
+     * @returns {boolean} true if it was a valid recording
+     */
+    load(json) {
+      let parsed;
+      try {
+        parsed = JSON.parse(json);
+      } catch (error) {
+        console.warn('[Recorder] Could not parse recording:', error);
+        return false;
+      }
+      if (!isValidRecording(parsed)) {
+        console.warn('[Recorder] Not a recording this version can play');
+        return false;
+      }
+      if (mode === 'recording') {
+        mode = 'idle';
+      } else if (mode === 'replaying') {
+        stopReplay();
+      }
+      recording = parsed;
+      notify();
+      return true;
+    },
+
+    /**
+     * Compact JSON of the current recording
+     * @returns {string|null} JSON, or null if there is nothing recorded
+     */
+    export() {
+      return recording ? JSON.stringify(recording) : null;
+    },
+
+    /**
+     * Start replaying the current recording from its first frame
+     */
+    play() {
+      if (!recording || mode === 'recording') return;
+      if (mode !== 'replaying' || nextFrame >= recording.frames.length) {
+        mode = 'replaying';
+        controls.enabled = false;
+        resetScene(recording);
+        nextFrame = 0;
+        targetFrame = 0;
+      }
+      playing = true;
+      notify();
+    },
+
+    /**
+     * Hold the replay on its current frame
+     */
+    pause() {
+      playing = false;
+      targetFrame = nextFrame;
+      notify();
+    },
+
+    /**
+     * Jump the replay to a frame; going back re-simulates from the start
+     * @param {number} frame - number of frames to have stepped
+     */
+    seek(frame) {
+      if (!recording || mode === 'recording') return;
+      const target = Math.max(0, Math.min(frame, recording.frames.length));
+      if (mode !== 'replaying' || target < nextFrame) {
+        mode = 'replaying';
+        controls.enabled = false;
+        resetScene(recording);
+        nextFrame = 0;
+      }
+      playing = false;
+      targetFrame = target;
+      drive();
+      notify();
+    },
+
+    /**
+     * Leave replay mode, keeping the scene as it is
+     */
+    stop() {
+      if (mode !== 'replaying') return;
+      stopReplay();
+      notify();
+    },
+
+    /**
+     * Advances a playing replay by one frame and notes pauses while
+     * recording (call every animation frame)
+     */
+    update() {
+      if (mode === 'recording' && pauseState.isPaused !== lastPaused) {
+        lastPaused = pauseState.isPaused;
+        pendingEvents.push({ type: 'pause', paused: lastPaused });
+      }
+
+      if (mode !== 'replaying' || !playing) return;
+      if (nextFrame >= recording.frames.length) {
+        playing = false;
+        notify();
+        return;
+      }
+      if (targetFrame <= nextFrame) {
+        targetFrame = nextFrame + 1;
+      }
+      drive();
+    },
+
+    /**
+     * Listen for changes (mode, new frames, replay progress)
+     * @param {Function} handler - called with no arguments
+     */
+    onChange(handler) {
+      handlers.push(handler);
+    },
+  };
+}
@@ -12,10 +12,14 @@ import * as THREE from 'three';
  * - antialiasing for smooth edges, no jaggies!
  * - full window size, cuz why not?
  * - pixel ratio matching your device for super sharp visuals on fancy screens
+ * - shadow maps, so lights with castShadow get one drawn every frame
+ *   (the glossy shader does its own soft PCF filtering when reading them)
  */
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setPixelRatio(window.devicePixelRatio);
+renderer.shadowMap.enabled = true;
+renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
 /**
  * slaps the renderer's canvas onto the webpage
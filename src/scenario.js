@@ -0,0 +1,258 @@
+/**
+ * scenarios 📜
+ * a scripted run of the simulation core: world settings plus spawns at
+ * given steps, stepped at the fixed physics rate with no renderer at all,
+ * so the same setup gives the same result every time it runs
+ */
+
+import * as THREE from 'three';
+import { createPhysicsClient } from './physics/physicsClient.js';
+import { PHYSICS_TIMESTEP } from './physics.js';
+import { createSimulationCore } from './simulationCore.js';
+import {
+  createGravityController,
+  parseGravityParam,
+  GRAVITY_PRESETS,
+} from './gravity.js';
+import { TERRAIN_PARAMS } from './terrain.js';
+import { randomSeed } from './random.js';
+
+// 10 seconds at the fixed 60 Hz step
+const DEFAULT_STEPS = 600;
+
+// Spawn modes the simulation core knows
+const SPAWN_MODES = ['drop', 'throw'];
+
+/**
+ * whether a scenario's gravity is a preset name or "magnitude,tiltX,tiltZ"
+ * (checked here, as parseGravityParam only warns and falls back to Earth)
+ * @param {*} value - the scenario's gravity field
+ * @returns {boolean} true if parseGravityParam would accept it
+ */
+function isGravity(value) {
+  if (typeof value !== 'string') return false;
+  if (GRAVITY_PRESETS[value]) return true;
+  const numbers = value.split(',');
+  return (
+    numbers.length <= 3 &&
+    numbers.every((n) => n.trim() !== '' && Number.isFinite(Number(n))) &&
+    Number(numbers[0]) >= 0
+  );
+}
+
+/**
+ * checks a parsed scenario file before anything runs, so a bad file stops
+ * with the field at fault instead of failing halfway through the run
+ * @param {*} scenario - parsed scenario file
+ * @throws {Error} describing the first invalid field
+ */
+function validateScenario(scenario) {
+  const fail = (message) => {
+    throw new Error(`Invalid scenario: ${message}`);
+  };
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  const isPoint = (value) =>
+    Array.isArray(value) &&
+    value.length === 3 &&
+    value.every((n) => Number.isFinite(n));
+  const isObject = (value) => typeof value === 'object' && value !== null;
+
+  if (!isObject(scenario)) {
+    fail('expected a JSON object');
+  }
+  if (
+    scenario.seed !== undefined &&
+    !(isCount(scenario.seed) && scenario.seed <= 0xffffffff)
+  ) {
+    fail('"seed" must be a whole number from 0 to 4294967295');
+  }
+  if (scenario.steps !== undefined && !isCount(scenario.steps)) {
+    fail('"steps" must be a whole number of steps');
+  }
+  if (
+    scenario.maxCubes !== undefined &&
+    !(isCount(scenario.maxCubes) && scenario.maxCubes > 0)
+  ) {
+    fail('"maxCubes" must be a positive whole number');
+  }
+  if (
+    scenario.killHeight !== undefined &&
+    !Number.isFinite(scenario.killHeight)
+  ) {
+    fail('"killHeight" must be a number');
+  }
+  if (scenario.gravity !== undefined && !isGravity(scenario.gravity)) {
+    fail(
+      `"gravity" must be a preset (${Object.keys(GRAVITY_PRESETS).join(
+        ', '
+      )}) or "magnitude,tiltX,tiltZ"`
+    );
+  }
+  if (scenario.walls !== undefined) {
+    if (!isObject(scenario.walls)) {
+      fail('"walls" must be an object');
+    }
+    ['size', 'height'].forEach((key) => {
+      if (!(Number.isFinite(scenario.walls[key]) && scenario.walls[key] > 0)) {
+        fail(`walls.${key} must be a positive number`);
+      }
+    });
+  }
+  if (scenario.terrain !== undefined) {
+    if (!isObject(scenario.terrain)) {
+      fail('"terrain" must be an object');
+    }
+    Object.entries(TERRAIN_PARAMS).forEach(([key, param]) => {
+      const value = scenario.terrain[key];
+      if (
+        value !== undefined &&
+        !(Number.isFinite(value) && value >= param.min)
+      ) {
+        fail(`terrain.${key} must be a number of at least ${param.min}`);
+      }
+    });
+  }
+  if (scenario.spawns === undefined) return;
+  if (!Array.isArray(scenario.spawns)) {
+    fail('"spawns" must be a list');
+  }
+  scenario.spawns.forEach((spawn, i) => {
+    const where = `spawns[${i}]`;
+    if (!isObject(spawn)) {
+      fail(`${where} must be an object`);
+    }
+    ['step', 'count', 'every'].forEach((key) => {
+      if (spawn[key] !== undefined && !isCount(spawn[key])) {
+        fail(`${where}.${key} must be a whole number`);
+      }
+    });
+    if (
+      spawn.speed !== undefined &&
+      !(Number.isFinite(spawn.speed) && spawn.speed >= 0)
+    ) {
+      fail(`${where}.speed must be a number of at least 0`);
+    }
+    if (spawn.mode !== undefined && !SPAWN_MODES.includes(spawn.mode)) {
+      fail(`${where}.mode must be one of ${SPAWN_MODES.join(', ')}`);
+    }
+    ['origin', 'direction'].forEach((key) => {
+      if (spawn[key] !== undefined && !isPoint(spawn[key])) {
+        fail(`${where}.${key} must be [x, y, z]`);
+      }
+    });
+  });
+}
+
+/**
+ * turns the scenario's spawn entries into the spawns due at each step
+ * @param {Object[]} spawns - { step, count, every, color, ...spawn options }
+ * @returns {Map<number, Object[]>} step -> spawn() arguments due then
+ */
+function scheduleSpawns(spawns) {
+  const schedule = new Map();
+  spawns.forEach(
+    ({ step = 0, count = 1, every = 0, color, origin, direction, ...rest }) => {
+      const options = { ...rest };
+      if (origin) {
+        options.origin = new THREE.Vector3().fromArray(origin);
+      }
+      if (direction) {
+        options.direction = new THREE.Vector3().fromArray(direction);
+      }
+      for (let i = 0; i < count; i++) {
+        const due = step + i * every;
+        if (!schedule.has(due)) {
+          schedule.set(due, []);
+        }
+        schedule.get(due).push({ color, options });
+      }
+    }
+  );
+  return schedule;
+}
+
+/**
+ * Runs a scenario to the end on a main-thread simulation
+ * @param {Object} scenario - parsed scenario file
+ * @param {number} scenario.seed - spawn randomness seed (default: random, reported in the result)
+ * @param {number} scenario.steps - fixed 60 Hz steps to run (default: 600)
+ * @param {number} scenario.maxCubes - body cap, oldest evicted beyond it (default: 2000)
+ * @param {string} scenario.gravity - preset name or "magnitude,tiltX,tiltZ" (see parseGravityParam)
+ * @param {Object} scenario.terrain - terrain settings (see TERRAIN_PARAMS), flat ground if left out
+ * @param {Object} scenario.walls - { size, height } arena walls, none if left out
+ * @param {number} scenario.killHeight - bodies that fall below this are removed and counted as lost
+ * @param {Object[]} scenario.spawns - { step, count, every, color, mode, shape,
+ *   physicalMaterial, origin, direction, speed }; origin and direction are [x, y, z]
+ *   (throws without them fly in from the front)
+ * @param {Object} options - run options
+ * @param {number} options.steps - overrides scenario.steps
+ * @returns {Object} { seed, steps, stats, bodies } with every remaining body's final state
+ * @throws {Error} if the scenario has an invalid field
+ */
+export function runScenario(scenario, { steps = null } = {}) {
+  validateScenario(scenario);
+  const physics = createPhysicsClient({ useWorker: false });
+  const core = createSimulationCore({
+    physics,
+    seed: scenario.seed ?? randomSeed(),
+  });
+  const stepCount = steps ?? scenario.steps ?? DEFAULT_STEPS;
+  const killHeight = scenario.killHeight ?? null;
+
+  if (scenario.maxCubes) {
+    core.setMaxCubes(scenario.maxCubes);
+  }
+  if (scenario.gravity) {
+    createGravityController({
+      physics,
+      keyStates: {},
+      initial: parseGravityParam(scenario.gravity),
+    });
+  }
+  if (scenario.terrain) {
+    const terrain = {};
+    Object.entries(TERRAIN_PARAMS).forEach(([key, param]) => {
+      terrain[key] = scenario.terrain[key] ?? param.value;
+    });
+    physics.setTerrain(terrain);
+  }
+  if (scenario.walls) {
+    physics.setArenaWalls(scenario.walls);
+  }
+
+  let impacts = 0;
+  let lost = 0;
+  physics.on('impact', () => {
+    impacts++;
+  });
+
+  const schedule = scheduleSpawns(scenario.spawns || []);
+  for (let step = 0; step < stepCount; step++) {
+    (schedule.get(step) || []).forEach(({ color, options }) =>
+      core.spawn(color, options)
+    );
+    core.step(PHYSICS_TIMESTEP);
+
+    if (killHeight !== null) {
+      core.cubes
+        .filter((record) => record.physicsBody.position.y < killHeight)
+        .forEach((record) => {
+          core.remove(record);
+          lost++;
+        });
+    }
+  }
+
+  const bodies = core.getBodyStates();
+  return {
+    seed: core.getSeed(),
+    steps: stepCount,
+    stats: {
+      ...core.getStats(),
+      lost,
+      impacts,
+      sleeping: bodies.filter((body) => body.sleeping).length,
+    },
+    bodies,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * scenario tests 🧪
+ * runs the headless simulation core through scenario files in Node
+ * (npm test), checking that runs repeat exactly and that bad scenario
+ * files are turned away with a clear message
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runScenario } from './scenario.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const CLI = join(ROOT, 'src/cli/simulate.js');
+const DROP_AND_THROW = join(ROOT, 'scenarios/drop-and-throw.json');
+
+/**
+ * Runs the simulate CLI without throwing on a non-zero exit
+ * @param {string[]} args - command line arguments
+ * @returns {{status: number, stdout: string, stderr: string}} how it ended
+ */
+function simulate(args) {
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    [CLI, ...args],
+    { encoding: 'utf8' }
+  );
+  return { status, stdout, stderr };
+}
+
+/**
+ * Writes a scenario to a temporary file for the CLI
+ * @param {string} dir - temporary directory
+ * @param {string} contents - file contents
+ * @returns {string} file path
+ */
+function writeScenario(dir, contents) {
+  const file = join(dir, 'scenario.json');
+  writeFileSync(file, contents);
+  return file;
+}
+
+test('drop-and-throw gives identical output on every run', () => {
+  const first = execFileSync(process.execPath, [CLI, DROP_AND_THROW], {
+    encoding: 'utf8',
+  });
+  const second = execFileSync(process.execPath, [CLI, DROP_AND_THROW], {
+    encoding: 'utf8',
+  });
+  assert.equal(first, second);
+
+  const result = JSON.parse(first);
+  assert.equal(result.seed, 42);
+  assert.equal(result.steps, 600);
+  assert.ok(result.bodies.length > 0);
+});
+
+test('runScenario repeats in process too', () => {
+  const scenario = JSON.parse(readFileSync(DROP_AND_THROW, 'utf8'));
+  assert.deepEqual(
+    runScenario(scenario, { steps: 240 }),
+    runScenario(scenario, { steps: 240 })
+  );
+});
+
+test('a throw without origin or direction flies in from the front', () => {
+  const result = runScenario({
+    seed: 1,
+    steps: 10,
+    spawns: [{ mode: 'throw' }],
+  });
+  assert.equal(result.stats.spawned, 1);
+  assert.ok(result.bodies[0].position[2] < 12);
+});
+
+test('runScenario rejects malformed scenarios', () => {
+  const malformed = [
+    [null, /expected a JSON object/],
+    [{ steps: -1 }, /"steps"/],
+    [{ maxCubes: 0 }, /"maxCubes"/],
+    [{ spawns: {} }, /"spawns" must be a list/],
+    [{ spawns: [{ mode: 'launch' }] }, /spawns\[0\]\.mode/],
+    [{ spawns: [{ mode: 'throw', origin: [0, 2] }] }, /spawns\[0\]\.origin/],
+    [{ spawns: [{ count: 'many' }] }, /spawns\[0\]\.count/],
+    [{ spawns: [{ mode: 'throw', speed: 'fast' }] }, /spawns\[0\]\.speed/],
+    [{ gravity: 'foo' }, /"gravity" must be a preset/],
+    [{ gravity: '9.8,x' }, /"gravity"/],
+    [{ walls: { size: 'x', height: 6 } }, /walls\.size/],
+    [{ walls: { size: 50 } }, /walls\.height/],
+    [{ terrain: { size: 'abc' } }, /terrain\.size/],
+    [{ seed: 'abc' }, /"seed"/],
+    [{ seed: 1.5 }, /"seed"/],
+  ];
+  malformed.forEach(([scenario, message]) => {
+    assert.throws(() => runScenario(scenario), message);
+  });
+});
+
+test('the CLI exits non-zero on bad input', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'scenario-'));
+  try {
+    const broken = simulate([writeScenario(dir, '{"spawns": [')]);
+    assert.equal(broken.status, 1);
+    assert.match(broken.stderr, /JSON/);
+
+    const invalid = simulate([
+      writeScenario(dir, '{"spawns": [{"mode": "launch"}]}'),
+    ]);
+    assert.equal(invalid.status, 1);
+    assert.match(invalid.stderr, /Invalid scenario: spawns\[0\]\.mode/);
+
+    ['5abc', '0', '-3', '2.5'].forEach((steps) => {
+      const badSteps = simulate([DROP_AND_THROW, `--steps=${steps}`]);
+      assert.equal(badSteps.status, 1);
+      assert.match(badSteps.stderr, /Invalid step count/);
+      assert.match(badSteps.stderr, /Usage:/);
+      assert.equal(badSteps.stdout, '');
+    });
+
+    const unknownOption = simulate([DROP_AND_THROW, '--fast']);
+    assert.equal(unknownOption.status, 1);
+    assert.match(unknownOption.stderr, /Usage:/);
+
+    const missing = simulate([join(dir, 'missing.json')]);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /ENOENT/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -1,25 +1,145 @@
 // Precision qualifier for consistent results
 precision highp float;
 
+// THREE.js packs shadow map depths into RGBA; this brings unpackRGBAToDepth
+#include <packing>
+
 // Material uniforms - control appearance
 uniform vec3 baseColor;           // Base color of the material
 uniform float roughness;          // Surface roughness (0.0 = mirror, 1.0 = matte)
 uniform float metalness;          // Metallic property (0.0 = dielectric, 1.0 = metal)
 uniform float specularIntensity;  // Intensity of specular highlights
 uniform float fresnelPower;       // Controls edge reflection falloff
+uniform float opacity;            // 1.0 = solid, lower fades out (needs transparent)
 uniform vec3 ambientColor;        // Ambient light color
 uniform float ambientIntensity;   // Ambient light intensity
+uniform vec3 emissive;            // Light the surface gives off itself
+uniform float emissiveIntensity;  // Multiplies emissive
+
+// Texture maps - each only exists when the material defines its USE_* flag,
+// so untextured materials compile none of this. All read the transformed vUv
+#ifdef USE_MAP
+uniform sampler2D map;            // Albedo (sRGB): rgb multiplies baseColor, alpha opacity
+#endif
+#ifdef USE_NORMALMAP
+uniform sampler2D normalMap;      // Tangent-space normals
+uniform vec2 normalScale;         // Strength of the bumps along each axis
+#endif
+#ifdef USE_ORMMAP
+uniform sampler2D ormMap;         // glTF packing: G multiplies roughness, B metalness
+#endif
+#ifdef USE_AOMAP
+uniform sampler2D aoMap;          // R = ambient occlusion (can be the same texture as ormMap)
+uniform float aoMapIntensity;     // 0 = ignore the map, 1 = full occlusion
+#endif
+#ifdef USE_EMISSIVEMAP
+uniform sampler2D emissiveMap;    // Emissive color (sRGB), multiplies emissive
+#endif
+
+// Per-instance look of glossy InstancedMeshes (USE_INSTANCE_LOOK): the
+// color and physical material of each instance, from its attributes
+#ifdef USE_INSTANCE_LOOK
+varying vec3 vInstanceColor;      // Multiplies baseColor
+varying vec4 vInstanceLook;       // roughness, metalness, specularIntensity, fresnelPower
+varying float vInstanceOpacity;   // Multiplies opacity
+#endif
+
+// Extra layers over the base lobe - like the maps, each one only exists
+// when the material defines its USE_* flag
+#ifdef USE_CLEARCOAT
+uniform float clearcoat;            // Strength of a clear lacquer coat on top
+uniform float clearcoatRoughness;   // The coat's own roughness
+#endif
+#ifdef USE_SHEEN
+uniform float sheen;                // Strength of the fabric-like rim sheen
+uniform vec3 sheenColor;            // Sheen tint
+uniform float sheenRoughness;       // Low = tight rim, high = soft velvet haze
+#endif
+#ifdef USE_IRIDESCENCE
+uniform float iridescence;          // Strength of the thin-film colors
+uniform float iridescenceIOR;       // Refractive index of the film
+uniform float iridescenceThickness; // Film thickness in nanometers
+#endif
 
 // Lighting uniforms - scene lighting data
-uniform vec3 pointLightPosition;  // Position of point light in world space
-uniform vec3 pointLightColor;     // Color of point light
-uniform float pointLightIntensity;// Intensity of point light
+// MAX_*_LIGHTS come in as defines (compile-time array sizes, at least 1);
+// the num* uniforms say how many entries are in use this frame.
+// Colors arrive already multiplied by the light's intensity.
+struct PointLight {
+  vec3 position;     // World space position
+  vec3 color;
+  float distance;    // Range cutoff (0 = infinite)
+  float decay;       // Distance falloff exponent (2 = physically correct)
+};
+
+struct DirectionalLight {
+  vec3 direction;    // World space direction from the surface towards the light
+  vec3 color;
+};
+
+struct SpotLight {
+  vec3 position;     // World space position
+  vec3 direction;    // World space direction the light shines in
+  vec3 color;
+  float distance;    // Range cutoff (0 = infinite)
+  float decay;       // Distance falloff exponent
+  float coneCos;     // Cosine of the cone's outer half-angle
+  float penumbraCos; // Cosine of the angle where the edge softening starts
+};
+
+struct HemisphereLight {
+  vec3 direction;    // World space "up" (towards the sky color)
+  vec3 skyColor;
+  vec3 groundColor;
+};
+
+uniform PointLight pointLights[MAX_POINT_LIGHTS];
+uniform int numPointLights;
+uniform DirectionalLight directionalLights[MAX_DIRECTIONAL_LIGHTS];
+uniform int numDirectionalLights;
+uniform SpotLight spotLights[MAX_SPOT_LIGHTS];
+uniform int numSpotLights;
+uniform HemisphereLight hemisphereLights[MAX_HEMISPHERE_LIGHTS];
+uniform int numHemisphereLights;
+
+// Shadow uniforms - one shadow-casting point light and one directional
+// light (GLSL ES 3.0 can't index sampler arrays with a loop counter, so
+// these are single samplers picked out by index rather than arrays).
+// index is the light's slot in pointLights/directionalLights, -1 = none.
+struct PointShadow {
+  int index;
+  float bias;        // Added to the normalized light distance (negative = less acne)
+  float radius;      // PCF kernel spread in texels
+  vec2 mapSize;      // Size of one cube face in the packed map
+  float near;        // Shadow camera near plane
+  float far;         // Shadow camera far plane
+};
+
+struct DirectionalShadow {
+  int index;
+  float bias;        // Added to the shadow map depth
+  float radius;      // PCF kernel spread in texels
+  vec2 mapSize;
+};
+
+uniform sampler2D pointShadowMap;
+uniform PointShadow pointShadow;
+uniform sampler2D directionalShadowMap;
+uniform mat4 directionalShadowMatrix; // World space -> shadow map UV + depth
+uniform DirectionalShadow directionalShadow;
+uniform bool receiveShadow;           // Set per object by THREE.js from mesh.receiveShadow
 
 // Camera uniforms (using THREE.js built-in)
 uniform vec3 customCameraPosition; // Camera position in world space
 
 // Environment uniforms (optional)
 uniform vec3 envMapIntensity;     // Environment reflection intensity
+uniform bool enableEnvMap;        // Whether envMap holds a captured environment
+uniform sampler2D envMap;         // PMREM of the environment (sRGB-encoded sky)
+
+// textureCubeUV(): reads the PMREM at a mip level picked by roughness.
+// ENVMAP_TYPE_CUBE_UV and the CUBEUV_* layout defines come from the material
+#include <cube_uv_reflection_fragment>
 
 // Fog uniforms
 uniform bool enableFog;           // Whether fog is enabled
@@ -42,12 +162,42 @@ const float PI = 3.14159265359;
 const float TAU = 6.28318530718; // 2 * PI
 const float EPSILON = 0.00001;
 
+// This fragment's surface: the material uniforms, modulated by any
+// texture maps or replaced by the instance's look (set at the start of
+// main, read by the lighting below)
+vec3 surfaceColor;
+float surfaceRoughness;
+float surfaceMetalness;
+float surfaceSpecularIntensity;
+float surfaceFresnelPower;
+
+// What the extra layers need per fragment: the coat ignores the normal
+// map (it's a smooth lacquer over the bumps), the film's Fresnel only
+// depends on the view angle, and the light each layer reflects is kept
+// apart from the base so it can be layered over it at the end
+vec3 clearcoatNormal;
+vec3 clearcoatLight;
+vec3 sheenLight;
+vec3 iridescenceFresnel;
+
 /**
  * Fresnel-Schlick approximation
  * Calculates reflection intensity based on viewing angle
  */
 vec3 fresnelSchlick(float cosTheta, vec3 F0) {
-  return F0 + (1.0 - F0) * pow(1.0 - cosTheta, fresnelPower);
+  return F0 + (1.0 - F0) * pow(1.0 - cosTheta, surfaceFresnelPower);
+}
+
+/**
+ * Plain Schlick Fresnel with the physical fifth power, for the extra
+ * layers (fresnelSchlick above uses the artistic fresnelPower instead)
+ */
+float physicalFresnel(float F0, float cosTheta) {
+  return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+}
+
+vec3 physicalFresnel(vec3 F0, float cosTheta) {
+  return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
 }
 
 /**
@@ -92,39 +242,299 @@ float geometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
   return ggx1 * ggx2;
 }
 
-void main() {
-  // Normalize interpolated normal
-  vec3 N = normalize(vWorldNormal);
+/**
+ * Distance falloff: inverse power law, windowed to reach zero at the
+ * light's cutoff distance (if it has one) instead of stopping abruptly
+ */
+float distanceAttenuation(float lightDistance, float cutoff, float decay) {
+  float falloff = 1.0 / max(pow(lightDistance, decay), 0.01);
+  if (cutoff > 0.0) {
+    float ratio = lightDistance / cutoff;
+    float window = clamp(1.0 - ratio * ratio * ratio * ratio, 0.0, 1.0);
+    falloff *= window * window;
+  }
+  return falloff;
+}
 
-  // View direction (from surface to camera)
-  vec3 V = normalize(customCameraPosition - vWorldPosition);
+/**
+ * 1.0 where the stored depth is further from the light than compare
+ * (lit), 0.0 where something closer blocks it
+ */
+float shadowCompare(sampler2D shadowMap, vec2 uv, float compare) {
+  return step(compare, unpackRGBAToDepth(texture2D(shadowMap, uv)));
+}
 
-  // Initialize color accumulator
-  vec3 color = vec3(0.0);
+/**
+ * Percentage-closer filtering: the share of a 3x3 block of shadow map
+ * texels around uv that is lit, for soft shadow edges
+ */
+float filterShadow(sampler2D shadowMap, vec2 uv, float compare, vec2 texelSize) {
+  float lit = 0.0;
+  for (int x = -1; x <= 1; x++) {
+    for (int y = -1; y <= 1; y++) {
+      lit += shadowCompare(shadowMap, uv + vec2(float(x), float(y)) * texelSize, compare);
+    }
+  }
+  return lit / 9.0;
+}
 
-  // Base reflectance at normal incidence (F0)
-  // For dielectrics, use 0.04 (4% reflectance)
-  // For metals, use the base color
-  vec3 F0 = mix(vec3(0.04), baseColor, metalness);
+/**
+ * How lit a point is by the shadow-casting directional light (0 to 1)
+ */
+float getDirectionalShadow(vec3 worldPosition) {
+  vec4 shadowCoord = directionalShadowMatrix * vec4(worldPosition, 1.0);
+  shadowCoord.xyz /= shadowCoord.w;
+
+  // Outside the shadow camera's box counts as lit
+  if (any(lessThan(shadowCoord.xyz, vec3(0.0))) ||
+      any(greaterThan(shadowCoord.xyz, vec3(1.0)))) {
+    return 1.0;
+  }
 
-  // --- Point Light Calculation ---
-  // Light direction (from surface to light)
-  vec3 L = normalize(pointLightPosition - vWorldPosition);
+  vec2 texelSize = directionalShadow.radius / directionalShadow.mapSize;
+  return filterShadow(directionalShadowMap, shadowCoord.xy,
+    shadowCoord.z + directionalShadow.bias, texelSize);
+}
 
-  // Half vector (bisector between view and light)
+/**
+ * Maps a direction from a point light onto THREE.js's packed cube shadow
+ * map (the six faces laid out 4x2 in one texture: xzXZ over  y Y)
+ */
+vec2 cubeToUV(vec3 v, float texelSizeY) {
+  vec3 absV = abs(v);
+
+  // Project onto the unit cube, two texels in from each face's edge
+  float scaleToCube = 1.0 / max(absV.x, max(absV.y, absV.z));
+  absV *= scaleToCube;
+  v *= scaleToCube * (1.0 - 2.0 * texelSizeY);
+
+  vec2 planar = v.xy;
+  float almostOne = 1.0 - 1.5 * texelSizeY;
+
+  if (absV.z >= almostOne) {
+    if (v.z > 0.0) planar.x = 4.0 - v.x;
+  } else if (absV.x >= almostOne) {
+    float signX = sign(v.x);
+    planar.x = v.z * signX + 2.0 * signX;
+  } else if (absV.y >= almostOne) {
+    float signY = sign(v.y);
+    planar.x = v.x + 2.0 * signY + 2.0;
+    planar.y = v.z * signY - 2.0;
+  }
+
+  return vec2(0.125, 0.25) * planar + vec2(0.375, 0.75);
+}
+
+/**
+ * How lit a point is by the shadow-casting point light (0 to 1)
+ * lightToPosition runs from the light to the surface
+ */
+float getPointShadow(vec3 lightToPosition) {
+  float lightDistance = length(lightToPosition);
+  if (lightDistance > pointShadow.far || lightDistance < pointShadow.near) {
+    return 1.0;
+  }
+
+  // The map stores the light distance normalized to the camera's range
+  float compare = (lightDistance - pointShadow.near) /
+    (pointShadow.far - pointShadow.near) + pointShadow.bias;
+  vec3 direction = lightToPosition / lightDistance;
+  float texelSizeY = 1.0 / (pointShadow.mapSize.y * 2.0);
+
+  // PCF over a small cone of directions around the one to the light
+  vec2 offset = vec2(-1.0, 1.0) * pointShadow.radius * texelSizeY;
+  return (
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.xyy, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.yyy, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.xyx, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.yyx, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.xxy, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.yxy, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.xxx, texelSizeY), compare) +
+    shadowCompare(pointShadowMap, cubeToUV(direction + offset.yxx, texelSizeY), compare)
+  ) / 9.0;
+}
+
+#ifdef USE_NORMALMAP
+/**
+ * Tilts the surface normal by a tangent-space normal map sample, building
+ * the tangent frame from screen-space derivatives of the position and UVs
+ * (so no tangent attribute is needed). Same method as THREE.js's
+ * perturbNormal2Arb, after Christian Schüler's "Normal Mapping Without
+ * Precomputed Tangents"
+ */
+vec3 perturbNormal(vec3 N, vec3 mapN) {
+  vec3 q0 = dFdx(vWorldPosition);
+  vec3 q1 = dFdy(vWorldPosition);
+  vec2 st0 = dFdx(vUv);
+  vec2 st1 = dFdy(vUv);
+
+  vec3 q1perp = cross(q1, N);
+  vec3 q0perp = cross(N, q0);
+  vec3 T = q1perp * st0.x + q0perp * st1.x;
+  vec3 B = q1perp * st0.y + q0perp * st1.y;
+
+  // Scale-invariant frame; a degenerate one leaves the normal alone
+  float det = max(dot(T, T), dot(B, B));
+  float scale = det == 0.0 ? 0.0 : inversesqrt(det);
+  return normalize(T * (mapN.x * scale) + B * (mapN.y * scale) + N * mapN.z);
+}
+#endif
+
+#ifdef USE_CLEARCOAT
+/**
+ * Specular reflection off the clear coat (a dielectric, so F0 = 0.04)
+ */
+float clearcoatBRDF(vec3 V, vec3 L) {
+  vec3 H = normalize(V + L);
+  float NDF = distributionGGX(clearcoatNormal, H, clearcoatRoughness);
+  float G = geometrySmith(clearcoatNormal, V, L, clearcoatRoughness);
+  float F = physicalFresnel(0.04, max(dot(H, V), 0.0));
+  float denominator = 4.0 * max(dot(clearcoatNormal, V), 0.0) *
+    max(dot(clearcoatNormal, L), 0.0);
+  return NDF * G * F / max(denominator, EPSILON);
+}
+#endif
+
+#ifdef USE_SHEEN
+/**
+ * Charlie sheen distribution (Estevez and Kulla 2017, "Production Friendly
+ * Microfacet Sheen BRDF") with Neubelt's visibility term - the grazing
+ * glow of fibres that stick up out of cloth
+ */
+vec3 sheenBRDF(vec3 N, vec3 V, vec3 L) {
   vec3 H = normalize(V + L);
+  float NdotL = max(dot(N, L), 0.0);
+  float NdotV = max(dot(N, V), 0.0);
+  float NdotH = max(dot(N, H), 0.0);
+
+  float alpha = max(sheenRoughness, 0.07);
+  alpha *= alpha;
+  float invAlpha = 1.0 / alpha;
+  float sin2h = max(1.0 - NdotH * NdotH, 0.0078125);
+  float D = (2.0 + invAlpha) * pow(sin2h, invAlpha * 0.5) / TAU;
+  float visibility = clamp(1.0 / (4.0 * (NdotL + NdotV - NdotL * NdotV)),
+    0.0, 1.0);
+
+  return sheenColor * sheen * D * visibility;
+}
+
+/**
+ * How much of the light arriving from everywhere the sheen sends towards
+ * the viewer (a curve fit of the Charlie BRDF over the hemisphere)
+ */
+float sheenAmbientBRDF(vec3 N, vec3 V) {
+  float NdotV = max(dot(N, V), 0.0);
+  float r = max(sheenRoughness, 0.07);
+  float r2 = r * r;
+  float a = r < 0.25 ? -339.2 * r2 + 161.4 * r - 25.9
+    : -8.48 * r2 + 14.3 * r - 9.95;
+  float b = r < 0.25 ? 44.0 * r2 - 23.7 * r + 3.26
+    : 1.97 * r2 - 3.27 * r + 0.72;
+  float DG = exp(a * NdotV + b) + (r < 0.25 ? 0.0 : 0.1 * (r - 0.25));
+  return clamp(DG / PI, 0.0, 1.0);
+}
+#endif
+
+#ifdef USE_IRIDESCENCE
+// CIE XYZ to linear sRGB
+const mat3 XYZ_TO_REC709 = mat3(
+   3.2404542, -0.9692660,  0.0556434,
+  -1.5371385,  1.8760108, -0.2040259,
+  -0.4985314,  0.0415560,  1.0572252
+);
 
-  // Calculate distance and attenuation
-  float distance = length(pointLightPosition - vWorldPosition);
-  float attenuation = pointLightIntensity / (distance * distance);
+/**
+ * Interference of one path length difference (in nm), evaluated against
+ * the eye's XYZ sensitivity curves in Fourier space
+ */
+vec3 evalSensitivity(float OPD, vec3 shift) {
+  float phase = TAU * OPD * 1.0e-9;
+  vec3 val = vec3(5.4856e-13, 4.4201e-13, 5.2481e-13);
+  vec3 pos = vec3(1.6810e+06, 1.7953e+06, 2.2084e+06);
+  vec3 var = vec3(4.3278e+09, 9.3046e+09, 6.6121e+09);
+
+  vec3 xyz = val * sqrt(TAU * var) * cos(pos * phase + shift) *
+    exp(-phase * phase * var);
+  xyz.x += 9.7470e-14 * sqrt(TAU * 4.5282e+09) *
+    cos(2.2399e+06 * phase + shift.x) * exp(-4.5282e+09 * phase * phase);
+  return XYZ_TO_REC709 * (xyz / 1.0685e-7);
+}
+
+/**
+ * Fresnel of a thin film over the base surface (Belcour and Barla 2017,
+ * "A Practical Extension to Microfacet Theory for the Modeling of Varying
+ * Iridescence"), as THREE.js evaluates it. Light bouncing inside the film
+ * interferes with the light reflected off its top, which tints the
+ * reflection by the film thickness and viewing angle
+ */
+vec3 evalIridescence(float cosTheta1, vec3 baseF0) {
+  // A film thinner than a few nm fades back to plain air
+  float filmIOR = mix(1.0, iridescenceIOR,
+    smoothstep(0.0, 0.03, iridescenceThickness));
+
+  // Angle inside the film (Snell), all reflected past the critical angle
+  float sinTheta2Sq = (1.0 - cosTheta1 * cosTheta1) / (filmIOR * filmIOR);
+  float cosTheta2Sq = 1.0 - sinTheta2Sq;
+  if (cosTheta2Sq < 0.0) {
+    return vec3(1.0);
+  }
+  float cosTheta2 = sqrt(cosTheta2Sq);
+
+  // Air to film
+  float R0 = (filmIOR - 1.0) / (filmIOR + 1.0);
+  float R12 = physicalFresnel(R0 * R0, cosTheta1);
+  float T121 = 1.0 - R12;
+  float phi12 = filmIOR < 1.0 ? PI : 0.0;
+  float phi21 = PI - phi12;
+
+  // Film to base (the base IOR comes back out of its F0)
+  vec3 sqrtF0 = sqrt(clamp(baseF0, 0.0, 0.9999));
+  vec3 baseIOR = (1.0 + sqrtF0) / (1.0 - sqrtF0);
+  vec3 R1 = (baseIOR - filmIOR) / (baseIOR + filmIOR);
+  vec3 R23 = physicalFresnel(R1 * R1, cosTheta2);
+  vec3 phi23 = vec3(
+    baseIOR.x < filmIOR ? PI : 0.0,
+    baseIOR.y < filmIOR ? PI : 0.0,
+    baseIOR.z < filmIOR ? PI : 0.0
+  );
+
+  // Optical path difference and phase shift of one bounce in the film
+  float OPD = 2.0 * filmIOR * iridescenceThickness * cosTheta2;
+  vec3 phi = vec3(phi21) + phi23;
+
+  // The direct reflection plus the first two interference terms
+  vec3 R123 = clamp(R12 * R23, 1e-5, 0.9999);
+  vec3 r123 = sqrt(R123);
+  vec3 Rs = T121 * T121 * R23 / (1.0 - R123);
+  vec3 I = R12 + Rs;
+  vec3 Cm = Rs - T121;
+  for (int m = 1; m <= 2; m++) {
+    Cm *= r123;
+    I += Cm * 2.0 * evalSensitivity(float(m) * OPD, float(m) * phi);
+  }
+
+  // Out-of-gamut colors can come out negative
+  return max(I, vec3(0.0));
+}
+#endif
 
-  // Radiance (incoming light energy)
-  vec3 radiance = pointLightColor * attenuation;
+/**
+ * Cook-Torrance BRDF for one light
+ * L points from the surface to the light, radiance is the light arriving
+ */
+vec3 shadeLight(vec3 N, vec3 V, vec3 L, vec3 radiance, vec3 F0) {
+  // Half vector (bisector between view and light)
+  vec3 H = normalize(V + L);
 
   // Cook-Torrance BRDF components
-  float NDF = distributionGGX(N, H, roughness);
-  float G = geometrySmith(N, V, L, roughness);
+  float NDF = distributionGGX(N, H, surfaceRoughness);
+  float G = geometrySmith(N, V, L, surfaceRoughness);
   vec3 F = fresnelSchlick(max(dot(H, V), 0.0), F0);
+#ifdef USE_IRIDESCENCE
+  F = mix(F, iridescenceFresnel, iridescence);
+#endif
 
   // Calculate specular component
   vec3 numerator = NDF * G * F;
@@ -138,24 +548,202 @@ void main() {
   vec3 kD = vec3(1.0) - kS;
 
   // Metals have no diffuse component
-  kD *= 1.0 - metalness;
+  kD *= 1.0 - surfaceMetalness;
 
   // Scale diffuse by base color
-  vec3 diffuse = kD * baseColor / PI;
+  vec3 diffuse = kD * surfaceColor / PI;
 
   // Combine diffuse and specular with radiance
   float NdotL = max(dot(N, L), 0.0);
-  color += (diffuse + specular * specularIntensity) * radiance * NdotL;
+
+  // The extra layers keep their share of this light to themselves
+#ifdef USE_SHEEN
+  sheenLight += sheenBRDF(N, V, L) * radiance * NdotL;
+#endif
+#ifdef USE_CLEARCOAT
+  clearcoatLight += clearcoatBRDF(V, L) * radiance *
+    max(dot(clearcoatNormal, L), 0.0);
+#endif
+
+  return (diffuse + specular * surfaceSpecularIntensity) * radiance * NdotL;
+}
+
+void main() {
+  // Start from the material's values and let the maps modulate them
+  surfaceColor = baseColor;
+  surfaceRoughness = roughness;
+  surfaceMetalness = metalness;
+  surfaceSpecularIntensity = specularIntensity;
+  surfaceFresnelPower = fresnelPower;
+  float alpha = opacity;
+
+#ifdef USE_INSTANCE_LOOK
+  surfaceColor *= vInstanceColor;
+  surfaceRoughness = vInstanceLook.x;
+  surfaceMetalness = vInstanceLook.y;
+  surfaceSpecularIntensity = vInstanceLook.z;
+  surfaceFresnelPower = vInstanceLook.w;
+  alpha *= vInstanceOpacity;
+#endif
+
+#ifdef USE_MAP
+  vec4 albedo = texture2D(map, vUv);
+  surfaceColor *= albedo.rgb;
+  alpha *= albedo.a;
+#endif
+
+#ifdef USE_ORMMAP
+  vec4 orm = texture2D(ormMap, vUv);
+  surfaceRoughness *= orm.g;
+  surfaceMetalness *= orm.b;
+#endif
+
+  // Indirect light (ambient, hemisphere, reflections) is what AO blocks
+  float ambientOcclusion = 1.0;
+#ifdef USE_AOMAP
+  ambientOcclusion = (texture2D(aoMap, vUv).r - 1.0) * aoMapIntensity + 1.0;
+#endif
+
+  // Normalize interpolated normal
+  vec3 N = normalize(vWorldNormal);
+  clearcoatNormal = N;
+  clearcoatLight = vec3(0.0);
+  sheenLight = vec3(0.0);
+
+#ifdef USE_NORMALMAP
+  vec3 mapN = texture2D(normalMap, vUv).xyz * 2.0 - 1.0;
+  mapN.xy *= normalScale;
+  N = perturbNormal(N, mapN);
+#endif
+
+  // View direction (from surface to camera)
+  vec3 V = normalize(customCameraPosition - vWorldPosition);
+
+  // Initialize color accumulator
+  vec3 color = vec3(0.0);
+
+  // Base reflectance at normal incidence (F0)
+  // For dielectrics, use 0.04 (4% reflectance)
+  // For metals, use the base color
+  vec3 F0 = mix(vec3(0.04), surfaceColor, surfaceMetalness);
+
+#ifdef USE_IRIDESCENCE
+  iridescenceFresnel = evalIridescence(max(dot(N, V), 0.0), F0);
+#endif
+
+  // --- Point Lights ---
+  // (GLSL ES 1.0 loops need a constant bound, hence the break)
+  for (int i = 0; i < MAX_POINT_LIGHTS; i++) {
+    if (i >= numPointLights) break;
+    vec3 toLight = pointLights[i].position - vWorldPosition;
+    float lightDistance = length(toLight);
+    vec3 radiance = pointLights[i].color * distanceAttenuation(
+      lightDistance, pointLights[i].distance, pointLights[i].decay);
+    if (receiveShadow && i == pointShadow.index) {
+      radiance *= getPointShadow(-toLight);
+    }
+    color += shadeLight(N, V, toLight / lightDistance, radiance, F0);
+  }
+
+  // --- Directional Lights (no falloff, like the sun) ---
+  for (int i = 0; i < MAX_DIRECTIONAL_LIGHTS; i++) {
+    if (i >= numDirectionalLights) break;
+    vec3 radiance = directionalLights[i].color;
+    if (receiveShadow && i == directionalShadow.index) {
+      radiance *= getDirectionalShadow(vWorldPosition);
+    }
+    color += shadeLight(N, V, directionalLights[i].direction, radiance, F0);
+  }
+
+  // --- Spot Lights (point falloff times a soft-edged cone) ---
+  for (int i = 0; i < MAX_SPOT_LIGHTS; i++) {
+    if (i >= numSpotLights) break;
+    vec3 toLight = spotLights[i].position - vWorldPosition;
+    float lightDistance = length(toLight);
+    vec3 L = toLight / lightDistance;
+    float cone = smoothstep(spotLights[i].coneCos, spotLights[i].penumbraCos,
+      dot(-L, spotLights[i].direction));
+    vec3 radiance = spotLights[i].color * cone * distanceAttenuation(
+      lightDistance, spotLights[i].distance, spotLights[i].decay);
+    color += shadeLight(N, V, L, radiance, F0);
+  }
+
+  // Light arriving from all around (ambient and hemisphere lights), which
+  // the sheen scatters too
+  vec3 surroundingIrradiance = ambientColor * ambientIntensity;
+
+  // --- Hemisphere Lights (sky above, ground below, diffuse only) ---
+  for (int i = 0; i < MAX_HEMISPHERE_LIGHTS; i++) {
+    if (i >= numHemisphereLights) break;
+    float skyWeight = 0.5 * dot(N, hemisphereLights[i].direction) + 0.5;
+    vec3 irradiance = mix(hemisphereLights[i].groundColor,
+      hemisphereLights[i].skyColor, skyWeight);
+    surroundingIrradiance += irradiance;
+    color += irradiance * surfaceColor * (1.0 - surfaceMetalness) *
+      ambientOcclusion;
+  }
 
   // --- Ambient Light Calculation ---
-  vec3 ambient = ambientColor * ambientIntensity * baseColor;
+  vec3 ambient = ambientColor * ambientIntensity * surfaceColor *
+    ambientOcclusion;
+
+  // --- Environment Reflections ---
+  // Rougher surfaces read blurrier mips; Fresnel (with roughness, so rough
+  // edges don't turn into mirrors) decides how much of it we see
+  if (enableEnvMap) {
+    vec3 R = reflect(-V, N);
+    vec3 envColor = pow(textureCubeUV(envMap, R, surfaceRoughness).rgb,
+      vec3(2.2));
+    float NdotV = max(dot(N, V), 0.0);
+    vec3 envFresnel = F0 + (max(vec3(1.0 - surfaceRoughness), F0) - F0) *
+      pow(1.0 - NdotV, 5.0);
+#ifdef USE_IRIDESCENCE
+    envFresnel = mix(envFresnel, iridescenceFresnel, iridescence);
+#endif
+    color += envColor * envFresnel * envMapIntensity * ambientOcclusion;
+
+#ifdef USE_CLEARCOAT
+    // The coat reflects the environment through its own normal and roughness
+    vec3 coatR = reflect(-V, clearcoatNormal);
+    vec3 coatEnv = pow(textureCubeUV(envMap, coatR, clearcoatRoughness).rgb,
+      vec3(2.2));
+    float coatNdotV = max(dot(clearcoatNormal, V), 0.0);
+    float coatFresnel = 0.04 + (max(1.0 - clearcoatRoughness, 0.04) - 0.04) *
+      pow(1.0 - coatNdotV, 5.0);
+    clearcoatLight += coatEnv * coatFresnel * envMapIntensity *
+      ambientOcclusion;
+#endif
+  }
 
   // Add Fresnel effect for additional glossiness at grazing angles
-  float fresnel = pow(1.0 - max(dot(N, V), 0.0), fresnelPower);
+  float fresnel = pow(1.0 - max(dot(N, V), 0.0), surfaceFresnelPower);
   vec3 fresnelColor = F0 * fresnel * 0.5;
 
+  // Glow, unaffected by any light
+  vec3 totalEmissive = emissive * emissiveIntensity;
+#ifdef USE_EMISSIVEMAP
+  totalEmissive *= texture2D(emissiveMap, vUv).rgb;
+#endif
+
   // Combine all lighting components
-  color += ambient + fresnelColor;
+  color += ambient + fresnelColor + totalEmissive;
+
+#ifdef USE_SHEEN
+  // Sheen sits on the base, which loses the little light the sheen takes
+  vec3 sheenTint = sheenColor * sheen;
+  sheenLight += surroundingIrradiance * sheenTint * sheenAmbientBRDF(N, V) *
+    ambientOcclusion;
+  color = color * (1.0 - 0.157 * max(max(sheenTint.r, sheenTint.g),
+    sheenTint.b)) + sheenLight;
+#endif
+
+#ifdef USE_CLEARCOAT
+  // The coat goes over everything and dims what it reflects away
+  float coatFresnelView = physicalFresnel(0.04,
+    max(dot(clearcoatNormal, V), 0.0));
+  color = color * (1.0 - clearcoat * coatFresnelView) +
+    clearcoatLight * clearcoat;
+#endif
 
   // Apply tone mapping for HDR to LDR conversion
   // Using Reinhard tone mapping for balanced results
@@ -187,6 +775,6 @@ void main() {
     color = mix(color, atmosphericColor, fogFactor);
   }
 
-  // Output final color with full opacity
-  gl_FragColor = vec4(color, 1.0);
+  // Output final color (fully opaque unless the material is fading out)
+  gl_FragColor = vec4(color, alpha);
 }
@@ -9,6 +9,143 @@ import glossyFragmentShader from './glossyShader.frag?raw';
 
 export { glossyVertexShader, glossyFragmentShader };
 
+/**
+ * most lights of each type the shader loops over (compiled in as defines,
+ * so changing these recompiles every glossy material)
+ * @type {{point: number, directional: number, spot: number, hemisphere: number}}
+ */
+export const MAX_GLOSSY_LIGHTS = {
+  point: 4,
+  directional: 2,
+  spot: 2,
+  hemisphere: 1,
+};
+
+/**
+ * cube face size of the environment map the shader samples; it has to be
+ * a PMREM (see THREE.PMREMGenerator) of exactly this size, since the mip
+ * layout is compiled in
+ * @type {number}
+ */
+export const ENV_MAP_SIZE = 256;
+
+// Layout of a PMREM of that size, worked out the way THREE.js does for
+// its own materials (the texture is 3 * max(size, 112) by 4 * size)
+const ENV_MAP_MAX_MIP = Math.log2(ENV_MAP_SIZE);
+const ENV_MAP_TEXEL_WIDTH = 1 / (3 * Math.max(ENV_MAP_SIZE, 7 * 16));
+const ENV_MAP_TEXEL_HEIGHT = 1 / (4 * ENV_MAP_SIZE);
+
+/**
+ * texture map options createGlossyMaterial takes, and the define that
+ * compiles each one into the shader
+ * @type {Object<string, string>}
+ */
+const TEXTURE_MAPS = {
+  map: 'USE_MAP',
+  normalMap: 'USE_NORMALMAP',
+  ormMap: 'USE_ORMMAP',
+  aoMap: 'USE_AOMAP',
+  emissiveMap: 'USE_EMISSIVEMAP',
+};
+
+/**
+ * turns a number, [x, y] array or THREE.Vector2 into a new THREE.Vector2
+ * @param {number|number[]|THREE.Vector2} value - the value (a number sets both axes)
+ * @returns {THREE.Vector2} the vector
+ */
+function toVector2(value) {
+  if (typeof value === 'number') {
+    return new THREE.Vector2(value, value);
+  }
+  return Array.isArray(value)
+    ? new THREE.Vector2().fromArray(value)
+    : value.clone();
+}
+
+/**
+ * the uniforms and defines for the texture maps in the options; nothing
+ * at all for an untextured material
+ * @param {Object} settings - createGlossyMaterial settings
+ * @returns {{uniforms: Object, defines: Object}} extra uniforms and defines
+ */
+function createMapUniforms(settings) {
+  const uniforms = {};
+  const defines = {};
+
+  Object.entries(TEXTURE_MAPS).forEach(([name, define]) => {
+    if (!settings[name]) return;
+    uniforms[name] = { value: settings[name] };
+    defines[define] = '';
+  });
+  if (Object.keys(defines).length === 0) {
+    return { uniforms, defines };
+  }
+
+  // Every map reads the same transformed UVs
+  defines.USE_UV = '';
+  uniforms.uvRepeat = { value: toVector2(settings.uvRepeat) };
+  uniforms.uvOffset = { value: toVector2(settings.uvOffset) };
+  uniforms.uvRotation = { value: settings.uvRotation };
+
+  if (settings.normalMap) {
+    uniforms.normalScale = { value: toVector2(settings.normalScale) };
+  }
+  if (settings.aoMap) {
+    uniforms.aoMapIntensity = { value: settings.aoMapIntensity };
+  }
+
+  return { uniforms, defines };
+}
+
+/**
+ * extra layers over the base specular lobe: the option that turns each on
+ * (any amount above 0), the define that compiles it into the shader, and
+ * the options that tune it
+ * @type {Object<string, {define: string, params: string[]}>}
+ */
+const MATERIAL_LAYERS = {
+  clearcoat: { define: 'USE_CLEARCOAT', params: ['clearcoatRoughness'] },
+  sheen: { define: 'USE_SHEEN', params: ['sheenColor', 'sheenRoughness'] },
+  iridescence: {
+    define: 'USE_IRIDESCENCE',
+    params: ['iridescenceIOR', 'iridescenceThickness'],
+  },
+};
+
+/**
+ * the uniforms and defines for the extra layers the options turn on;
+ * nothing at all for a plain material
+ * @param {Object} settings - createGlossyMaterial settings
+ * @returns {{uniforms: Object, defines: Object}} extra uniforms and defines
+ */
+function createLayerUniforms(settings) {
+  const uniforms = {};
+  const defines = {};
+
+  Object.entries(MATERIAL_LAYERS).forEach(([name, layer]) => {
+    if (!(settings[name] > 0)) return;
+    defines[layer.define] = '';
+    [name, ...layer.params].forEach((key) => {
+      uniforms[key] = { value: settings[key] };
+    });
+  });
+  if (uniforms.sheenColor) {
+    uniforms.sheenColor.value = new THREE.Color(settings.sheenColor);
+  }
+
+  return { uniforms, defines };
+}
+
+/**
+ * makes the uniform array for one light type, filled with unused entries
+ * @param {number} count - array length
+ * @param {Function} createEntry - returns one fresh struct value
+ * @returns {Object[]} struct values
+ */
+function createLightArray(count, createEntry) {
+  return Array.from({ length: count }, createEntry);
+}
+
 /**
  * yo, this makes a glossy shader material for THREE.js
  * @param {Object} options - settings for your shiny material
@@ -17,7 +154,37 @@ export { glossyVertexShader, glossyFragmentShader };
  * @param {number} options.metalness - how metallic it is (0.0-1.0, default: 0.0)
  * @param {number} options.specularIntensity - how bright the shiny bits are (default: 1.0)
  * @param {number} options.fresnelPower - fresnel effect power (default: 3.0)
+ * @param {number} options.opacity - see-through-ness, below 1.0 turns on blending (default: 1.0)
+ * @param {number} options.envMapIntensity - how strongly it reflects the scene's environment map (default: 1.0)
+ * @param {THREE.Color|number|string} options.emissive - glow color (default: black, or white with an emissiveMap)
+ * @param {number} options.emissiveIntensity - glow strength (default: 1.0)
+ * @param {THREE.Texture} options.map - (optional) albedo map, multiplies color (alpha multiplies opacity)
+ * @param {THREE.Texture} options.normalMap - (optional) tangent-space normal map
+ * @param {number|number[]|THREE.Vector2} options.normalScale - normal map strength per axis (default: 1)
+ * @param {THREE.Texture} options.ormMap - (optional) glTF-style map: green multiplies roughness, blue metalness
+ * @param {THREE.Texture} options.aoMap - (optional) ambient occlusion in the red channel (an ORM map works)
+ * @param {number} options.aoMapIntensity - how much the AO map darkens (default: 1.0)
+ * @param {THREE.Texture} options.emissiveMap - (optional) emissive map, multiplies emissive
+ * @param {number|number[]|THREE.Vector2} options.uvRepeat - map tiling (default: 1)
+ * @param {number|number[]|THREE.Vector2} options.uvOffset - map shift after tiling (default: 0)
+ * @param {number} options.uvRotation - map rotation about its middle, in radians (default: 0)
+ * @param {number} options.clearcoat - strength of a clear lacquer coat over the surface, 0-1 (default: 0 = none)
+ * @param {number} options.clearcoatRoughness - the coat's own roughness (default: 0.1)
+ * @param {number} options.sheen - strength of a fabric-like sheen, 0-1 (default: 0 = none)
+ * @param {THREE.Color|number|string} options.sheenColor - sheen tint (default: white)
+ * @param {number} options.sheenRoughness - sheen spread, low = tight rim, high = velvet (default: 0.5)
+ * @param {number} options.iridescence - strength of thin-film rainbow colors, 0-1 (default: 0 = none)
+ * @param {number} options.iridescenceIOR - refractive index of the film (default: 1.3)
+ * @param {number} options.iridescenceThickness - film thickness in nanometers (default: 400)
+ * @param {boolean} options.instanceLook - for InstancedMeshes: take roughness, metalness,
+ *   specularIntensity and fresnelPower from a vec4 instanceLook attribute, opacity from a
+ *   float instanceOpacity attribute, and tint color by instanceColor (default: false)
  * @returns {THREE.ShaderMaterial} your new super glossy material!
+ * albedo and emissive maps hold colors, so give them
+ * colorSpace = THREE.SRGBColorSpace; the other maps hold data and stay
+ * linear. Maps and layers are compiled in, so they are picked when the
+ * material is made (swapping one texture for another, or tuning a layer
+ * that's on, is fine later; adding one isn't)
  */
 export function createGlossyMaterial(options = {}) {
   const defaults = {
@@ -26,6 +193,23 @@ export function createGlossyMaterial(options = {}) {
     metalness: 0.0,
     specularIntensity: 2.5,
     fresnelPower: 4.5,
+    opacity: 1.0,
+    envMapIntensity: 1.0,
+    emissiveIntensity: 1.0,
+    normalScale: 1,
+    aoMapIntensity: 1.0,
+    uvRepeat: 1,
+    uvOffset: 0,
+    uvRotation: 0,
+    clearcoat: 0,
+    clearcoatRoughness: 0.1,
+    sheen: 0,
+    sheenColor: 0xffffff,
+    sheenRoughness: 0.5,
+    iridescence: 0,
+    iridescenceIOR: 1.3,
+    iridescenceThickness: 400,
+    instanceLook: false,
   };
 
   const settings = { ...defaults, ...options };
@@ -33,6 +217,13 @@ export function createGlossyMaterial(options = {}) {
   // Convert color to THREE.Color if needed
   const baseColor = new THREE.Color(settings.color);
 
+  // An emissive map on its own should glow in its own colors
+  const emissive = new THREE.Color(
+    settings.emissive ?? (settings.emissiveMap ? 0xffffff : 0x000000)
+  );
+  const maps = createMapUniforms(settings);
+  const layers = createLayerUniforms(settings);
+
   // Create shader material with uniforms
   const material = new THREE.ShaderMaterial({
     vertexShader: glossyVertexShader,
@@ -44,21 +235,86 @@ export function createGlossyMaterial(options = {}) {
       metalness: { value: settings.metalness },
       specularIntensity: { value: settings.specularIntensity },
       fresnelPower: { value: settings.fresnelPower },
+      opacity: { value: settings.opacity },
+      emissive: { value: emissive },
+      emissiveIntensity: { value: settings.emissiveIntensity },
+
+      // Texture maps and their UV transform (only the ones in use)
+      ...maps.uniforms,
+
+      // Clearcoat, sheen and iridescence (only the ones turned on)
+      ...layers.uniforms,
 
       // Ambient light (will be updated from scene)
       ambientColor: { value: new THREE.Color(0xffffff) },
       ambientIntensity: { value: 0.5 },
 
-      // Point light (will be updated from scene)
-      pointLightPosition: { value: new THREE.Vector3(5, 5, 5) },
-      pointLightColor: { value: new THREE.Color(0xffffff) },
-      pointLightIntensity: { value: 1.0 },
+      // Scene lights by type (will be updated from scene)
+      pointLights: {
+        value: createLightArray(MAX_GLOSSY_LIGHTS.point, () => ({
+          position: new THREE.Vector3(),
+          color: new THREE.Color(),
+          distance: 0,
+          decay: 2,
+        })),
+      },
+      numPointLights: { value: 0 },
+      directionalLights: {
+        value: createLightArray(MAX_GLOSSY_LIGHTS.directional, () => ({
+          direction: new THREE.Vector3(0, 1, 0),
+          color: new THREE.Color(),
+        })),
+      },
+      numDirectionalLights: { value: 0 },
+      spotLights: {
+        value: createLightArray(MAX_GLOSSY_LIGHTS.spot, () => ({
+          position: new THREE.Vector3(),
+          direction: new THREE.Vector3(0, -1, 0),
+          color: new THREE.Color(),
+          distance: 0,
+          decay: 2,
+          coneCos: 1,
+          penumbraCos: 1,
+        })),
+      },
+      numSpotLights: { value: 0 },
+      hemisphereLights: {
+        value: createLightArray(MAX_GLOSSY_LIGHTS.hemisphere, () => ({
+          direction: new THREE.Vector3(0, 1, 0),
+          skyColor: new THREE.Color(),
+          groundColor: new THREE.Color(),
+        })),
+      },
+      numHemisphereLights: { value: 0 },
+
+      // Shadow maps of the first shadow-casting point and directional
+      // light (receiveShadow itself is set per mesh by THREE.js)
+      pointShadowMap: { value: null },
+      pointShadow: {
+        value: {
+          index: -1,
+          bias: 0,
+          radius: 1,
+          mapSize: new THREE.Vector2(),
+          near: 0.5,
+          far: 500,
+        },
+      },
+      directionalShadowMap: { value: null },
+      directionalShadowMatrix: { value: new THREE.Matrix4() },
+      directionalShadow: {
+        value: { index: -1, bias: 0, radius: 1, mapSize: new THREE.Vector2() },
+      },
 
       // Camera position (will be updated each frame)
       customCameraPosition: { value: new THREE.Vector3() },
 
-      // Environment map intensity
-      envMapIntensity: { value: new THREE.Vector3(0.5, 0.5, 0.5) },
+      // Environment reflections (the map comes from scene.environment)
+      envMap: { value: null },
+      enableEnvMap: { value: false },
+      envMapIntensity: {
+        value: new THREE.Vector3().setScalar(settings.envMapIntensity),
+      },
 
       // Fog uniforms (disabled by default)
       enableFog: { value: false },
@@ -68,6 +324,20 @@ export function createGlossyMaterial(options = {}) {
       fogDensity: { value: 2.5 },
       heightFalloff: { value: 0.1 },
     },
+    defines: {
+      MAX_POINT_LIGHTS: MAX_GLOSSY_LIGHTS.point,
+      MAX_DIRECTIONAL_LIGHTS: MAX_GLOSSY_LIGHTS.directional,
+      MAX_SPOT_LIGHTS: MAX_GLOSSY_LIGHTS.spot,
+      MAX_HEMISPHERE_LIGHTS: MAX_GLOSSY_LIGHTS.hemisphere,
+      ENVMAP_TYPE_CUBE_UV: '',
+      CUBEUV_MAX_MIP: ENV_MAP_MAX_MIP.toFixed(1),
+      CUBEUV_TEXEL_WIDTH: ENV_MAP_TEXEL_WIDTH,
+      CUBEUV_TEXEL_HEIGHT: ENV_MAP_TEXEL_HEIGHT,
+      ...maps.defines,
+      ...layers.defines,
+      ...(settings.instanceLook ? { USE_INSTANCE_LOOK: '' } : {}),
+    },
+    transparent: settings.opacity < 1.0,
     // Enable proper depth testing
     depthTest: true,
     depthWrite: true,
@@ -76,32 +346,111 @@ export function createGlossyMaterial(options = {}) {
   return material;
 }
 
+// Scratch vector for light directions
+const lightTarget = new THREE.Vector3();
+
 /**
  * updates the shader's uniforms with light info from the scene
+ * (the first ambient light, plus up to MAX_GLOSSY_LIGHTS of each other
+ * type, in scene order; hidden lights are skipped). The first point and
+ * directional light with castShadow set also hand over their shadow maps,
+ * once the renderer has drawn them, and scene.environment (if it's a
+ * PMREM) becomes the reflected environment
  * @param {THREE.ShaderMaterial} material - the glossy shader material
  * @param {THREE.Scene} scene - the THREE.js scene with all the lights
  * @param {THREE.Camera} camera - the camera that's currently active
  */
 export function updateGlossyMaterialUniforms(material, scene, camera) {
+  const { uniforms } = material;
+
   // Update camera position
-  material.uniforms.customCameraPosition.value.copy(camera.position);
+  uniforms.customCameraPosition.value.copy(camera.position);
 
-  // Find and update ambient light
-  const ambientLight = scene.children.find(
-    child => child instanceof THREE.AmbientLight
-  );
-  if (ambientLight) {
-    material.uniforms.ambientColor.value.copy(ambientLight.color);
-    material.uniforms.ambientIntensity.value = ambientLight.intensity;
-  }
+  // Reflect the environment map, if there's one the shader can read
+  const { environment } = scene;
+  const hasEnvMap =
+    Boolean(environment) &&
+    environment.mapping === THREE.CubeUVReflectionMapping;
+  uniforms.enableEnvMap.value = hasEnvMap;
+  uniforms.envMap.value = hasEnvMap ? environment : null;
 
-  // Find and update point light
-  const pointLight = scene.children.find(
-    child => child instanceof THREE.PointLight
-  );
-  if (pointLight) {
-    material.uniforms.pointLightPosition.value.copy(pointLight.position);
-    material.uniforms.pointLightColor.value.copy(pointLight.color);
-    material.uniforms.pointLightIntensity.value = pointLight.intensity;
-  }
-}
\ No newline at end of file
+  let ambientFound = false;
+  let points = 0;
+  let directionals = 0;
+  let spots = 0;
+  let hemispheres = 0;
+  const pointShadow = uniforms.pointShadow.value;
+  const directionalShadow = uniforms.directionalShadow.value;
+  pointShadow.index = -1;
+  directionalShadow.index = -1;
+
+  scene.children.forEach((child) => {
+    if (!child.isLight || !child.visible) return;
+
+    if (child.isAmbientLight && !ambientFound) {
+      uniforms.ambientColor.value.copy(child.color);
+      uniforms.ambientIntensity.value = child.intensity;
+      ambientFound = true;
+    } else if (child.isPointLight && points < MAX_GLOSSY_LIGHTS.point) {
+      const entry = uniforms.pointLights.value[points++];
+      entry.position.copy(child.position);
+      entry.color.copy(child.color).multiplyScalar(child.intensity);
+      entry.distance = child.distance;
+      entry.decay = child.decay;
+
+      const { shadow } = child;
+      if (child.castShadow && shadow.map && pointShadow.index === -1) {
+        pointShadow.index = points - 1;
+        pointShadow.bias = shadow.bias;
+        pointShadow.radius = shadow.radius;
+        pointShadow.mapSize.copy(shadow.mapSize);
+        pointShadow.near = shadow.camera.near;
+        pointShadow.far = shadow.camera.far;
+        uniforms.pointShadowMap.value = shadow.map.texture;
+      }
+    } else if (
+      child.isDirectionalLight &&
+      directionals < MAX_GLOSSY_LIGHTS.directional
+    ) {
+      const entry = uniforms.directionalLights.value[directionals++];
+      lightTarget.setFromMatrixPosition(child.target.matrixWorld);
+      entry.direction.copy(child.position).sub(lightTarget).normalize();
+      entry.color.copy(child.color).multiplyScalar(child.intensity);
+
+      // The shadow matrix is shared, not copied: the renderer refreshes it
+      // while drawing the shadow map, just before the glossy meshes draw
+      const { shadow } = child;
+      if (child.castShadow && shadow.map && directionalShadow.index === -1) {
+        directionalShadow.index = directionals - 1;
+        directionalShadow.bias = shadow.bias;
+        directionalShadow.radius = shadow.radius;
+        directionalShadow.mapSize.copy(shadow.mapSize);
+        uniforms.directionalShadowMap.value = shadow.map.texture;
+        uniforms.directionalShadowMatrix.value = shadow.matrix;
+      }
+    } else if (child.isSpotLight && spots < MAX_GLOSSY_LIGHTS.spot) {
+      const entry = uniforms.spotLights.value[spots++];
+      lightTarget.setFromMatrixPosition(child.target.matrixWorld);
+      entry.position.copy(child.position);
+      entry.direction.copy(lightTarget).sub(child.position).normalize();
+      entry.color.copy(child.color).multiplyScalar(child.intensity);
+      entry.distance = child.distance;
+      entry.decay = child.decay;
+      entry.coneCos = Math.cos(child.angle);
+      entry.penumbraCos = Math.cos(child.angle * (1 - child.penumbra));
+    } else if (
+      child.isHemisphereLight &&
+      hemispheres < MAX_GLOSSY_LIGHTS.hemisphere
+    ) {
+      const entry = uniforms.hemisphereLights.value[hemispheres++];
+      entry.direction.copy(child.position).normalize();
+      entry.skyColor.copy(child.color).multiplyScalar(child.intensity);
+      entry.groundColor.copy(child.groundColor).multiplyScalar(child.intensity);
+    }
+  });
+
+  uniforms.numPointLights.value = points;
+  uniforms.numDirectionalLights.value = directionals;
+  uniforms.numSpotLights.value = spots;
+  uniforms.numHemisphereLights.value = hemispheres;
+}
@@ -9,25 +9,74 @@ varying vec2 vUv;               // Texture coordinates
 varying float vFogDepth;         // Fog depth for atmospheric effects
 varying float vWorldY;           // World Y position for height-based fog
 
+#ifdef USE_UV
+// UV transform for the texture maps (any map defines USE_UV)
+uniform vec2 uvRepeat;           // Tiling along U and V
+uniform vec2 uvOffset;           // Shift after tiling
+uniform float uvRotation;        // Radians, about the middle of the texture
+#endif
+
+#ifdef USE_INSTANCE_LOOK
+// Per-instance look for glossy InstancedMeshes (instanceMatrix and
+// instanceColor are declared by THREE.js)
+attribute vec4 instanceLook;     // roughness, metalness, specularIntensity, fresnelPower
+attribute float instanceOpacity;
+varying vec3 vInstanceColor;
+varying vec4 vInstanceLook;
+varying float vInstanceOpacity;
+#endif
+
 void main() {
+  // Instances sit at their own transform inside the mesh
+  mat4 objectMatrix = modelMatrix;
+#ifdef USE_INSTANCING
+  objectMatrix = modelMatrix * instanceMatrix;
+#endif
+
+#ifdef USE_INSTANCE_LOOK
+  vInstanceColor = vec3(1.0);
+#ifdef USE_INSTANCING_COLOR
+  vInstanceColor = instanceColor;
+#endif
+  vInstanceLook = instanceLook;
+  vInstanceOpacity = instanceOpacity;
+#endif
+
   // Transform position to world space for lighting calculations
-  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  vec4 worldPosition = objectMatrix * vec4(position, 1.0);
   vWorldPosition = worldPosition.xyz;
   vWorldY = worldPosition.y;
 
-  // Transform normal to world space (accounting for non-uniform scaling)
-  vWorldNormal = normalize(normalMatrix * normal);
+  // Transform normal to world space (normalMatrix would give view space,
+  // which the world space lights and reflections can't use). Dividing by
+  // the squared axis scales keeps it correct under non-uniform scaling
+  mat3 modelBasis = mat3(objectMatrix);
+  vec3 axisScale = vec3(
+    dot(modelBasis[0], modelBasis[0]),
+    dot(modelBasis[1], modelBasis[1]),
+    dot(modelBasis[2], modelBasis[2])
+  );
+  vWorldNormal = normalize(modelBasis * (normal / axisScale));
 
   // Transform position to view space for specular calculations
   vec4 viewPosition = viewMatrix * worldPosition;
   vViewPosition = viewPosition.xyz;
 
   // Calculate fog depth (distance from camera in view space)
-  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-  vFogDepth = -mvPosition.z;
+  vFogDepth = -viewPosition.z;
 
-  // Pass through texture coordinates
+  // Pass through texture coordinates (rotated, tiled and shifted for maps)
+#ifdef USE_UV
+  vec2 centeredUv = uv - 0.5;
+  float uvCos = cos(uvRotation);
+  float uvSin = sin(uvRotation);
+  vUv = vec2(
+    uvCos * centeredUv.x - uvSin * centeredUv.y,
+    uvSin * centeredUv.x + uvCos * centeredUv.y
+  ) * uvRepeat + 0.5 + uvOffset;
+#else
   vUv = uv;
+#endif
 
   // Final vertex position in clip space
   gl_Position = projectionMatrix * viewPosition;
@@ -0,0 +1,277 @@
+/**
+ * simulation core 🧠
+ * the renderer-agnostic part of the sandbox: tracks the spawned bodies,
+ * drops and throws them from seeded random spots, evicts the oldest over
+ * the cap and steps the physics. No meshes and no DOM, so it runs the same
+ * in the browser (under the cube spawner's view) and headless in Node
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_SHAPE } from './objects/shapes.js';
+import { DEFAULT_PHYSICAL_MATERIAL } from './physicsMaterials.js';
+import { createRandom, randomSeed } from './random.js';
+
+// Default cap on tracked bodies (instanced rendering draws thousands in a
+// few calls); scenarios can set their own
+export const MAX_CUBES = 2000;
+
+// Dropped bodies start this high, somewhere in a square this wide
+const DROP_HEIGHT = 8;
+const DROP_SPREAD = 10;
+
+// Thrown bodies with no origin or direction fly in from the front
+const THROW_ORIGIN = new THREE.Vector3(0, 2, 12);
+const THROW_DIRECTION = new THREE.Vector3(0, 0, -1);
+
+/**
+ * Creates the simulation core
+ * @param {Object} config - configuration object
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {number} config.seed - seed for drop spots and tumbles (default: random)
+ * @returns {Object} simulation core with methods
+ */
+export function createSimulationCore({ physics, seed = randomSeed() }) {
+  const records = []; // { physicsBody, shape, physicalMaterial, color }, oldest first
+  const handlers = { spawn: [], add: [], remove: [], clear: [] };
+  const stats = { steps: 0, time: 0, spawned: 0, evicted: 0, removed: 0 };
+  let currentSeed = seed;
+  let random = createRandom(seed);
+  let maxCubes = MAX_CUBES;
+
+  /**
+   * Calls every handler registered for an event
+   * @param {string} type - 'spawn', 'add', 'remove' or 'clear'
+   * @param {*} payload - event payload
+   */
+  const emit = (type, payload) => {
+    handlers[type].forEach((handler) => handler(payload));
+  };
+
+  /**
+   * Stop tracking a body and take it out of the simulation
+   * (listeners hear about it first, while the body still exists)
+   * @param {Object} record - one of the tracked records
+   */
+  const removeRecord = (record) => {
+    const index = records.indexOf(record);
+    if (index === -1) return;
+    records.splice(index, 1);
+    emit('remove', record);
+    physics.removeBody(record.physicsBody.id);
+  };
+
+  /**
+   * Remove the oldest bodies until the count is within the cap
+   */
+  const evictOverflow = () => {
+    while (records.length > maxCubes) {
+      removeRecord(records[0]);
+      stats.evicted++;
+    }
+  };
+
+  /**
+   * Track a body and evict the oldest one if over the cap
+   * @param {Object} record - { physicsBody, shape, physicalMaterial, color }
+   * @returns {Object} the record
+   */
+  const addRecord = (record) => {
+    records.push(record);
+    emit('add', record);
+    evictOverflow();
+    return record;
+  };
+
+  return {
+    cubes: records,
+
+    /**
+     * Track a body created elsewhere (e.g. part of a structure), so it is
+     * counted, evicted and cleared like any spawned one
+     * @param {Object} record - { physicsBody, shape, physicalMaterial, color }
+     * @returns {Object} the record
+     */
+    add(record) {
+      return addRecord(record);
+    },
+
+    /**
+     * Remove a single body
+     * @param {Object} record - one of the tracked records
+     */
+    remove(record) {
+      if (records.includes(record)) {
+        stats.removed++;
+      }
+      removeRecord(record);
+    },
+
+    /**
+     * Spawn a new body
+     * 'drop' mode (default) drops it from a random spot above the scene,
+     * 'throw' mode launches it from origin along direction at speed
+     * @param {string} color - hex color code (kept on the record for views)
+     * @param {Object} options - spawn options
+     * @param {string} options.mode - 'drop' or 'throw' (default: 'drop')
+     * @param {string} options.shape - shape name from the SHAPES registry (default: 'box')
+     * @param {string} options.physicalMaterial - preset from PHYSICAL_MATERIALS (default: 'glossy')
+     * @param {THREE.Vector3} options.origin - launch point for 'throw' (default: (0, 2, 12))
+     * @param {THREE.Vector3} options.direction - launch direction for 'throw' (default: (0, 0, -1))
+     * @param {number} options.speed - launch speed for 'throw' (default: 15)
+     * @returns {Object} the new record
+     */
+    spawn(color = '#00d4ff', options = {}) {
+      const {
+        mode = 'drop',
+        shape = DEFAULT_SHAPE,
+        physicalMaterial = DEFAULT_PHYSICAL_MATERIAL,
+      } = options;
+      const spec = { shape, physicalMaterial };
+
+      if (mode === 'throw') {
+        const {
+          origin = THROW_ORIGIN,
+          direction = THROW_DIRECTION,
+          speed = 15,
+        } = options;
+        spec.position = origin.clone();
+        spec.velocity = direction.clone().normalize().multiplyScalar(speed);
+
+        // Random tumble so thrown bodies don't fly perfectly flat
+        spec.angularVelocity = new THREE.Vector3(
+          (random() - 0.5) * 10,
+          (random() - 0.5) * 10,
+          (random() - 0.5) * 10
+        );
+      } else {
+        const x = (random() - 0.5) * DROP_SPREAD;
+        const z = (random() - 0.5) * DROP_SPREAD;
+        spec.position = new THREE.Vector3(x, DROP_HEIGHT, z);
+      }
+
+      const record = addRecord({
+        physicsBody: physics.createBody(spec),
+        shape,
+        physicalMaterial,
+        color,
+      });
+      stats.spawned++;
+      emit('spawn', { color, options, position: spec.position.clone() });
+      return record;
+    },
+
+    /**
+     * Remove every body (the cap goes back to its default)
+     */
+    clearAll() {
+      [...records].forEach(removeRecord);
+      maxCubes = MAX_CUBES;
+      emit('clear');
+    },
+
+    /**
+     * Advance the physics by the time that has passed
+     * @param {number} deltaTime - seconds since the last step
+     */
+    step(deltaTime) {
+      physics.step(deltaTime);
+      stats.steps++;
+      stats.time += deltaTime;
+    },
+
+    /**
+     * Change how many bodies can exist before the oldest are removed
+     * @param {number} max - new cap (lowering it evicts the oldest right away)
+     */
+    setMaxCubes(max) {
+      maxCubes = max;
+      evictOverflow();
+    },
+
+    /**
+     * Get the current cap
+     * @returns {number} most bodies tracked at once
+     */
+    getMaxCubes() {
+      return maxCubes;
+    },
+
+    /**
+     * Restart the spawn randomness, so the same spawn calls land in the same spots
+     * @param {number} seed - 32-bit integer seed
+     */
+    setSeed(seed) {
+      currentSeed = seed;
+      random = createRandom(seed);
+    },
+
+    /**
+     * Get the seed the spawn randomness last started from
+     * @returns {number} seed
+     */
+    getSeed() {
+      return currentSeed;
+    },
+
+    /**
+     * Next number from the seeded spawn randomness, for spawners built on
+     * the core that need their own random spots
+     * @returns {number} value in [0, 1)
+     */
+    random() {
+      return random();
+    },
+
+    /**
+     * Counters since the core was created
+     * @returns {Object} { steps, time, spawned, evicted, removed, count, maxCubes }
+     */
+    getStats() {
+      return { ...stats, count: records.length, maxCubes };
+    },
+
+    /**
+     * Where every tracked body is: exact state when the simulation runs on
+     * this thread, the latest transforms from the worker otherwise
+     * @returns {Object[]} { id, shape, physicalMaterial, color, position, quaternion, ... } per body
+     */
+    getBodyStates() {
+      const exact = new Map(
+        (physics.readBodies() || []).map((state) => [state.id, state])
+      );
+      return records.map(({ physicsBody, shape, physicalMaterial, color }) => {
+        const { id, position, quaternion } = physicsBody;
+        return {
+          shape,
+          physicalMaterial,
+          color,
+          ...(exact.get(id) || {
+            id,
+            position: position.toArray(),
+            quaternion: quaternion.toArray(),
+          }),
+        };
+      });
+    },
+
+    /**
+     * Listen for core events
+     * 'spawn' gets { color, options, position } for every spawn() call,
+     * 'add' and 'remove' get the record of a body as it is tracked or dropped
+     * (evictions included), 'clear' fires after clearAll()
+     * @param {string} type - 'spawn', 'add', 'remove' or 'clear'
+     * @param {Function} handler - called with the event payload
+     */
+    on(type, handler) {
+      handlers[type].push(handler);
+    },
+
+    /**
+     * Get the current body count
+     * @returns {number} number of tracked bodies
+     */
+    getCount() {
+      return records.length;
+    },
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * structure spawner 🧱
+ * one-click pyramids, brick walls, Jenga-style towers and domino lines,
+ * neatly stacked on the ground and asleep, so they stand still until
+ * something knocks into them
+ */
+
+import * as THREE from 'three';
+import { spawnPhysicsCube } from './objects/physicsCubeSpawner.js';
+import { BRICK_SIZE, PLANK_SIZE, PANEL_SIZE } from './objects/shapes.js';
+import { GROUND_TOP } from './physics.js';
+import { DEFAULT_PHYSICAL_MATERIAL } from './physicsMaterials.js';
+
+// Structures go up behind the hero cube, facing the camera
+const SITE = new THREE.Vector3(0, GROUND_TOP, -4);
+const GAP = 0.02; // side-by-side pieces get a sliver of room, so they don't grind
+const UP = new THREE.Vector3(0, 1, 0);
+const QUARTER_TURN = new THREE.Quaternion().setFromAxisAngle(UP, Math.PI / 2);
+
+/**
+ * centre offsets for a row of evenly spaced pieces around 0
+ * @param {number} count - pieces in the row
+ * @param {number} spacing - centre-to-centre distance
+ * @returns {number[]} offset of each piece
+ */
+function rowOffsets(count, spacing) {
+  return Array.from(
+    { length: count },
+    (_, i) => (i - (count - 1) / 2) * spacing
+  );
+}
+
+/**
+ * all buildable structures, keyed by name
+ * params lists the editable values (used to build the UI sliders), and
+ * layout(params) returns the pieces as { shape, position, quarterTurn }
+ * with positions relative to the middle of the structure's footprint on
+ * the ground
+ * @type {Object<string, Object>}
+ */
+export const STRUCTURES = {
+  pyramid: {
+    label: '🔺 Pyramid',
+    params: {
+      levels: { label: 'Levels', min: 2, max: 12, step: 1, value: 6 },
+    },
+    layout({ levels }) {
+      const pieces = [];
+      for (let level = 0; level < levels; level++) {
+        rowOffsets(levels - level, 1 + GAP).forEach((x) => {
+          pieces.push({
+            shape: 'box',
+            position: new THREE.Vector3(x, 0.5 + level, 0),
+          });
+        });
+      }
+      return pieces;
+    },
+  },
+
+  brickWall: {
+    label: '🧱 Brick Wall',
+    params: {
+      rows: { label: 'Rows', min: 2, max: 12, step: 1, value: 8 },
+      columns: { label: 'Bricks per row', min: 2, max: 12, step: 1, value: 8 },
+    },
+    // Every other row has one brick less and sits half a brick over,
+    // so each joint is bridged by the brick above it
+    layout({ rows, columns }) {
+      const pieces = [];
+      for (let row = 0; row < rows; row++) {
+        const count = row % 2 === 0 ? columns : columns - 1;
+        const y = BRICK_SIZE.height * (row + 0.5);
+        rowOffsets(count, BRICK_SIZE.width + GAP).forEach((x) => {
+          pieces.push({ shape: 'brick', position: new THREE.Vector3(x, y, 0) });
+        });
+      }
+      return pieces;
+    },
+  },
+
+  jengaTower: {
+    label: '🪵 Jenga Tower',
+    params: {
+      levels: { label: 'Levels', min: 3, max: 24, step: 1, value: 15 },
+    },
+    // Three planks per level, each level turned a quarter from the last
+    layout({ levels }) {
+      const pieces = [];
+      for (let level = 0; level < levels; level++) {
+        const quarterTurn = level % 2 === 1;
+        const y = PLANK_SIZE.height * (level + 0.5);
+        rowOffsets(3, PLANK_SIZE.depth + GAP).forEach((offset) => {
+          pieces.push({
+            shape: 'plank',
+            position: quarterTurn
+              ? new THREE.Vector3(offset, y, 0)
+              : new THREE.Vector3(0, y, offset),
+            quarterTurn,
+          });
+        });
+      }
+      return pieces;
+    },
+  },
+
+  dominoLine: {
+    label: '🁢 Domino Line',
+    params: {
+      count: { label: 'Dominoes', min: 2, max: 30, step: 1, value: 15 },
+      spacing: { label: 'Spacing', min: 0.4, max: 1.2, step: 0.05, value: 0.8 },
+    },
+    // Panels stood on end, turned so the line topples along X
+    layout({ count, spacing }) {
+      return rowOffsets(count, spacing).map((x) => ({
+        shape: 'panel',
+        position: new THREE.Vector3(x, PANEL_SIZE.height / 2, 0),
+        quarterTurn: true,
+      }));
+    },
+  },
+};
+
+/**
+ * Creates the structure spawner
+ * structures are made of ordinary cubes handed to the cube spawner, so they
+ * are counted, evicted and cleared like any other (the largest build is
+ * far below the cube cap); building one turns terrain mode off
+ * (structures need the flat ground)
+ * @param {Object} config - configuration object
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {Object} config.cubeSpawner - cube spawner manager (owns the cubes)
+ * @param {Object} config.terrainMode - (optional) terrain mode, switched back to flat ground for a build
+ * @returns {Object} structure spawner with settings and build functions
+ */
+export function createStructureSpawner({
+  physics,
+  cubeSpawner,
+  terrainMode = null,
+}) {
+  // Structure name -> current param values, starting at the defaults
+  const settings = {};
+  Object.entries(STRUCTURES).forEach(([name, structure]) => {
+    settings[name] = {};
+    Object.entries(structure.params).forEach(([key, param]) => {
+      settings[name][key] = param.value;
+    });
+  });
+
+  return {
+    settings,
+
+    /**
+     * Build a structure with its current settings
+     * @param {string} name - key of STRUCTURES
+     * @param {string} color - hex color code
+     * @param {Object} options - spawn options
+     * @param {string} options.physicalMaterial - preset from PHYSICAL_MATERIALS (default: 'glossy')
+     * @returns {number} number of pieces spawned
+     */
+    build(name, color = '#00d4ff', options = {}) {
+      const structure = STRUCTURES[name];
+      if (!structure) {
+        console.warn(`Unknown structure "${name}"`);
+        return 0;
+      }
+      const { physicalMaterial = DEFAULT_PHYSICAL_MATERIAL } = options;
+
+      // Structures are laid out on flat ground and start asleep, so on
+      // hills they would hang in the air or sit buried in the slope
+      if (terrainMode && terrainMode.settings.enabled) {
+        terrainMode.setEnabled(false);
+      }
+
+      const pieces = structure.layout(settings[name]);
+      pieces.forEach(({ shape, position, quarterTurn = false }) => {
+        cubeSpawner.add(
+          spawnPhysicsCube(
+            cubeSpawner.instances,
+            physics,
+            position.clone().add(SITE),
+            color,
+            {
+              shape,
+              physicalMaterial,
+              quaternion: quarterTurn ? QUARTER_TURN : null,
+              sleeping: true,
+            }
+          )
+        );
+      });
+      return pieces.length;
+    },
+  };
+}
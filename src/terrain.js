@@ -0,0 +1,72 @@
+/**
+ * terrain heights 🏔️
+ * rolling hills from seeded fractal noise, as a grid of heights that both
+ * the physics heightfield and the floor mesh are built from
+ */
+
+import { createNoise2D, fractalNoise } from './noise.js';
+
+// Grid cells along each side, whatever the terrain's size
+export const TERRAIN_SEGMENTS = 64;
+
+// Width of the broadest hills, in world units
+const FEATURE_SIZE = 16;
+
+/**
+ * editable terrain settings (used to build the UI sliders)
+ * @type {Object<string, {label: string, min: number, max: number, step: number, value: number}>}
+ */
+export const TERRAIN_PARAMS = {
+  size: { label: 'Size', min: 20, max: 80, step: 5, value: 50 },
+  amplitude: { label: 'Amplitude', min: 0, max: 8, step: 0.25, value: 3 },
+  octaves: { label: 'Octaves', min: 1, max: 6, step: 1, value: 4 },
+  seed: { label: 'Seed', min: 0, max: 9999, step: 1, value: 1 },
+};
+
+/**
+ * samples the terrain heights for a set of terrain settings
+ * data[i][j] is the height above the ground level (0 in the deepest
+ * valley, amplitude on the highest peak) at
+ * x = -size / 2 + i * elementSize, z = size / 2 - j * elementSize
+ * (the layout CANNON.Heightfield wants once turned to lie flat)
+ * @param {Object} params - terrain settings
+ * @param {number} params.size - width and depth in world units
+ * @param {number} params.amplitude - height of the highest peak above the deepest valley
+ * @param {number} params.octaves - layers of ever finer detail
+ * @param {number} params.seed - noise seed
+ * @returns {{data: number[][], elementSize: number}} the heights and grid spacing
+ */
+export function generateTerrainHeights({ size, amplitude, octaves, seed }) {
+  const noise = createNoise2D(seed);
+  const elementSize = size / TERRAIN_SEGMENTS;
+  const data = [];
+  let lowest = Infinity;
+  let highest = -Infinity;
+  for (let i = 0; i <= TERRAIN_SEGMENTS; i++) {
+    const row = [];
+    const x = -size / 2 + i * elementSize;
+    for (let j = 0; j <= TERRAIN_SEGMENTS; j++) {
+      const z = size / 2 - j * elementSize;
+      const value = fractalNoise(
+        noise,
+        x / FEATURE_SIZE,
+        z / FEATURE_SIZE,
+        octaves
+      );
+      lowest = Math.min(lowest, value);
+      highest = Math.max(highest, value);
+      row.push(value);
+    }
+    data.push(row);
+  }
+
+  // Stretch so the deepest valley is at ground level and the highest
+  // peak exactly amplitude above it
+  const range = highest - lowest || 1;
+  data.forEach((row) => {
+    row.forEach((value, j) => {
+      row[j] = ((value - lowest) / range) * amplitude;
+    });
+  });
+  return { data, elementSize };
+}
@@ -0,0 +1,93 @@
+/**
+ * terrain mode 🏔️
+ * switches the ground between the flat floor and seeded noise hills,
+ * rebuilding the physics heightfield and the floor mesh together
+ */
+
+import { TERRAIN_PARAMS } from './terrain.js';
+import { setFloorTerrain, setFloorFlat } from './objects/floor.js';
+import { randomSeed } from './random.js';
+
+/**
+ * Creates the terrain mode controller (flat ground until enabled)
+ * @param {Object} config - configuration object
+ * @param {Object} config.physics - physics client from createPhysicsClient
+ * @param {THREE.Mesh} config.floor - the floor mesh from createFloor
+ * @returns {Object} terrain mode with settings, setEnabled, regenerate, randomizeSeed and onChange
+ */
+export function createTerrainMode({ physics, floor }) {
+  const settings = { enabled: false };
+  const handlers = [];
+  Object.entries(TERRAIN_PARAMS).forEach(([key, param]) => {
+    settings[key] = param.value;
+  });
+
+  /**
+   * The terrain settings without the on/off switch
+   * @returns {Object} { size, amplitude, octaves, seed }
+   */
+  const terrainParams = () => {
+    const params = {};
+    Object.keys(TERRAIN_PARAMS).forEach((key) => {
+      params[key] = settings[key];
+    });
+    return params;
+  };
+
+  /**
+   * Rebuilds the ground (physics and mesh) from the current settings
+   */
+  const apply = () => {
+    if (settings.enabled) {
+      const params = terrainParams();
+      physics.setTerrain(params);
+      setFloorTerrain(floor, params);
+    } else {
+      physics.setTerrain(null);
+      setFloorFlat(floor);
+    }
+  };
+
+  /**
+   * Rebuild the terrain after its settings changed (no-op while flat)
+   */
+  const regenerate = () => {
+    if (settings.enabled) {
+      apply();
+    }
+  };
+
+  return {
+    settings,
+
+    /**
+     * Switch between terrain and the flat floor
+     * @param {boolean} enabled - true for terrain
+     */
+    setEnabled(enabled) {
+      settings.enabled = enabled;
+      apply();
+      handlers.forEach((handler) => handler());
+    },
+
+    regenerate,
+
+    /**
+     * Pick a fresh seed and rebuild the terrain with it
+     * @returns {number} the new seed
+     */
+    randomizeSeed() {
+      settings.seed = randomSeed() % (TERRAIN_PARAMS.seed.max + 1);
+      regenerate();
+      return settings.seed;
+    },
+
+    /**
+     * Listen for terrain mode being switched on or off
+     * @param {Function} handler - called with no arguments
+     */
+    onChange(handler) {
+      handlers.push(handler);
+    },
+  };
+}
@@ -37,7 +37,15 @@ export function createStatsPanel() {
 
   return {
     panel,
-    update(cubeCount, isPaused) {
+    update(
+      cubeCount,
+      isPaused,
+      maxCubes = 2000,
+      lostCount = 0,
+      gravity = null,
+      fragments = null,
+      drawCalls = null
+    ) {
       frameCount++;
       const currentTime = performance.now();
       const deltaTime = currentTime - lastTime;
@@ -53,7 +61,12 @@ export function createStatsPanel() {
           <strong>📊 Stats</strong>
         </div>
         <div>FPS: <span style="color: ${fps > 50 ? '#00ff00' : fps > 30 ? '#ffff00' : '#ff0000'}">${fps}</span></div>
-        <div>Cubes: <span style="color: #ffff00">${cubeCount}</span>/50</div>
+        <div>Cubes: <span style="color: #ffff00">${cubeCount}</span>/${maxCubes}</div>
+        ${fragments ? `<div>Fragments: <span style="color: #ffff00">${fragments.count}</span>/${fragments.budget}</div>` : ''}
+        <div>Lost: <span style="color: ${lostCount > 0 ? '#ff6600' : '#00ff00'}">${lostCount}</span></div>
+        ${drawCalls ? `<div>Draw calls: <span style="color: #ffff00">${drawCalls.total}</span></div>` : ''}
+        ${drawCalls ? `<div>Cube draws: <span style="color: #00ff00">${drawCalls.instanced}</span> (${drawCalls.separate} unbatched)</div>` : ''}
+        ${gravity ? `<div>Gravity: <span style="color: #ffff00">${gravity}</span></div>` : ''}
         <div>Status: <span style="color: ${isPaused ? '#ff6600' : '#00ff00'}">${isPaused ? '⏸ PAUSED' : '▶ RUNNING'}</span></div>
       `;
     },
@@ -89,13 +102,18 @@ export function createShortcutsPanel() {
       <strong>⌨️ Shortcuts</strong>
     </div>
     <div><strong>Double Click</strong> - Spawn Cube</div>
+    <div><strong>Drag Cube</strong> - Grab & Flick</div>
+    <div><strong>Hold T</strong> - Charge & Throw Cube</div>
+    <div><strong>B</strong> - Toggle Blast Mode</div>
     <div><strong>P</strong> - Pause/Resume</div>
     <div><strong>C</strong> - Clear All Cubes</div>
     <div><strong>R</strong> - Reset Camera</div>
+    <div><strong>G</strong> - Toggle Gravity Tilt Mode</div>
     <div><strong>?</strong> - Toggle This Panel</div>
     <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(0, 212, 255, 0.3);">
       <strong>WASD</strong> - Move Camera<br>
-      <strong>Space/Shift</strong> - Up/Down
+      <strong>Space/Shift</strong> - Up/Down<br>
+      <strong>Arrows</strong> - Tilt Gravity (tilt mode)
     </div>
   `;
 
@@ -103,6 +121,60 @@ export function createShortcutsPanel() {
   return panel;
 }
 
+/**
+ * creates a charge bar that shows how hard a thrown cube will fly
+ * @returns {Object} object with element, setCharge and hide functions
+ */
+export function createChargeIndicator() {
+  const container = document.createElement('div');
+  container.id = 'charge-indicator';
+  container.style.cssText = `
+    position: fixed;
+    bottom: 40px;
+    left: 50%;
+    transform: translateX(-50%);
+    width: 240px;
+    height: 14px;
+    background: rgba(0, 0, 0, 0.7);
+    border: 2px solid #00d4ff;
+    border-radius: 8px;
+    overflow: hidden;
+    z-index: 100;
+    box-shadow: 0 0 20px rgba(0, 212, 255, 0.3);
+    display: none;
+  `;
+
+  const fill = document.createElement('div');
+  fill.style.cssText = `
+    width: 0%;
+    height: 100%;
+    background: linear-gradient(90deg, #00ff00, #ffff00, #ff0000);
+  `;
+  container.appendChild(fill);
+  document.body.appendChild(container);
+
+  return {
+    element: container,
+
+    /**
+     * shows the bar filled to the given charge
+     * @param {number} charge - charge level (0-1)
+     */
+    setCharge(charge) {
+      container.style.display = 'block';
+      const clamped = Math.max(0, Math.min(1, charge));
+      fill.style.width = `${Math.round(clamped * 100)}%`;
+    },
+
+    /**
+     * hides the bar
+     */
+    hide() {
+      container.style.display = 'none';
+    },
+  };
+}
+
 /**
  * creates action buttons container
  * @returns {HTMLElement} buttons container
@@ -157,6 +229,140 @@ export function createButton(text, onClick, color = '#00d4ff') {
   return button;
 }
 
+/**
+ * creates a titled section for grouping related controls in the controls panel
+ * @param {string} title - section heading
+ * @returns {HTMLElement} the section element, append controls to it
+ */
+export function createControlSection(title) {
+  const section = document.createElement('div');
+  section.className = 'control-section';
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  return section;
+}
+
+/**
+ * creates a labelled range slider with a live value readout
+ * @param {string} label - label text
+ * @param {Object} range - slider settings
+ * @param {number} range.min - minimum value (default: 0)
+ * @param {number} range.max - maximum value (default: 1)
+ * @param {number} range.step - step size (default: 0.01)
+ * @param {number} range.value - initial value (default: min)
+ * @param {Function} onInput - called with the new numeric value
+ * @returns {HTMLElement} the control group holding the slider
+ */
+export function createSlider(
+  label,
+  { min = 0, max = 1, step = 0.01, value = min } = {},
+  onInput
+) {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const labelElement = document.createElement('label');
+  const readout = document.createElement('span');
+  readout.className = 'control-value';
+  readout.textContent = value;
+  labelElement.append(`${label} `, readout);
+
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.value = value;
+  input.addEventListener('input', () => {
+    const newValue = parseFloat(input.value);
+    readout.textContent = newValue;
+    onInput(newValue);
+  });
+
+  group.append(labelElement, input);
+  group.input = input;
+  return group;
+}
+
+/**
+ * creates a labelled dropdown
+ * @param {string} label - label text
+ * @param {Array<{value: string, label: string}>} options - dropdown entries
+ * @param {string} value - initially selected value
+ * @param {Function} onChange - called with the selected value
+ * @returns {HTMLElement} the control group holding the dropdown
+ */
+export function createSelect(label, options, value, onChange) {
+  const group = document.createElement('div');
+  group.className = 'control-group';
+
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label;
+
+  const select = document.createElement('select');
+  options.forEach((option) => {
+    const optionElement = document.createElement('option');
+    optionElement.value = option.value;
+    optionElement.textContent = option.label;
+    select.appendChild(optionElement);
+  });
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+
+  group.append(labelElement, select);
+  group.input = select;
+  return group;
+}
+
+/**
+ * creates a labelled on/off checkbox
+ * @param {string} label - label text
+ * @param {boolean} checked - initial state
+ * @param {Function} onChange - called with the new checked state
+ * @returns {HTMLElement} the control group holding the checkbox
+ */
+export function createToggle(label, checked, onChange) {
+  const group = document.createElement('div');
+  group.className = 'control-group control-toggle';
+
+  const labelElement = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  input.addEventListener('change', () => onChange(input.checked));
+  labelElement.append(input, ` ${label}`);
+
+  group.appendChild(labelElement);
+  group.input = input;
+  return group;
+}
+
+/**
+ * creates a labelled color swatch
+ * @param {string} label - label text
+ * @param {string} value - initial hex color code
+ * @param {Function} onInput - called with the new hex color code
+ * @returns {HTMLElement} the control group holding the color input
+ */
+export function createColorInput(label, value, onInput) {
+  const group = document.createElement('div');
+  group.className = 'control-group control-toggle';
+
+  const labelElement = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'color';
+  input.value = value;
+  input.addEventListener('input', () => onInput(input.value));
+  labelElement.append(input, ` ${label}`);
+
+  group.appendChild(labelElement);
+  group.input = input;
+  return group;
+}
+
 /**
  * adjusts hex color brightness
  * @param {string} hex - hex color code
@@ -6,38 +6,89 @@
 import {
   createStatsPanel,
   createShortcutsPanel,
+  createChargeIndicator,
   createActionButtons,
   createButton,
+  createControlSection,
+  createSlider,
+  createSelect,
+  createToggle,
+  createColorInput,
 } from '../ui.js';
+import { getSpawnableShapes } from '../objects/shapes.js';
+import { PHYSICAL_MATERIALS } from '../physicsMaterials.js';
+import { IMPULSE_FALLOFFS } from '../physics.js';
+import { FORCE_FIELD_TYPES } from '../forceFields.js';
+import { CONSTRAINT_STRUCTURES } from '../constraintSpawner.js';
+import { STRUCTURES } from '../structureSpawner.js';
+import { TERRAIN_PARAMS } from '../terrain.js';
+import { WALL_STYLES } from '../arena.js';
+import { GRAVITY_PRESETS, MAX_TILT } from '../gravity.js';
+import { FRACTURE_PARAMS } from '../fracture.js';
+import { LIGHT_TYPES, SHADOW_QUALITIES, getLightParam } from '../lighting.js';
+import { SkyPresets } from '../objects/sky.js';
 
 /**
  * Sets up all UI elements and buttons
  * @param {Object} config - configuration object
  * @param {Object} config.cubeSpawner - cube spawner manager
  * @param {Object} config.pauseState - object with isPaused property
+ * @param {Object} config.spawnSettings - spawn options shared by all spawn inputs (shape, physicalMaterial)
  * @param {THREE.Camera} config.camera - the camera
  * @param {Object} config.controls - orbit controls
  * @param {THREE.Vector3} config.originalCameraPos - original camera position
  * @param {string} config.colorPickerColor - initial color picker value
  * @param {Function} config.onColorChange - callback for color changes
+ * @param {Object} config.impactAudio - (optional) impact audio controller
+ * @param {Object} config.heroCube - (optional) hero cube controls from initializeGlossyCube
+ * @param {Object} config.interactionState - (optional) object with mode property ('drag' or 'blast')
+ * @param {Object} config.explosionTool - (optional) blast tool from setupExplosionTool
+ * @param {Object} config.forceFields - (optional) force field manager from createForceFieldManager
+ * @param {Object} config.constraintSpawner - (optional) constraint spawner from createConstraintSpawner
+ * @param {Object} config.structureSpawner - (optional) structure spawner from createStructureSpawner
+ * @param {Object} config.terrainMode - (optional) terrain mode from createTerrainMode
+ * @param {Object} config.arena - (optional) arena walls and kill plane from createArena
+ * @param {Object} config.gravity - (optional) gravity controller from createGravityController
+ * @param {Object} config.fracture - (optional) fracture manager from createFractureManager
+ * @param {Object} config.lights - (optional) light manager from setupLighting
+ * @param {Object} config.sky - (optional) sky controller from setupSky
+ * @param {Object} config.recorder - (optional) session recorder from createRecorder
+ * @param {Object} config.debugOverlay - (optional) physics debug overlay from createPhysicsDebugOverlay
  * @returns {Object} UI elements and state
  */
 export function setupUI({
   cubeSpawner,
   pauseState,
+  spawnSettings,
   camera,
   controls,
   originalCameraPos,
   colorPickerColor,
   onColorChange,
+  impactAudio = null,
+  heroCube = null,
+  interactionState = null,
+  explosionTool = null,
+  forceFields = null,
+  constraintSpawner = null,
+  structureSpawner = null,
+  terrainMode = null,
+  arena = null,
+  gravity = null,
+  fracture = null,
+  lights = null,
+  sky = null,
+  recorder = null,
+  debugOverlay = null,
 }) {
   // Create UI panels
   const statsPanel = createStatsPanel();
   const shortcutsPanel = createShortcutsPanel();
+  const chargeIndicator = createChargeIndicator();
 
   // Create buttons
   const spawnButton = createButton('🎲 Spawn Cube', () => {
-    cubeSpawner.spawn(colorPickerColor);
+    cubeSpawner.spawn(colorPickerColor, { ...spawnSettings });
   });
 
   const actionButtons = createActionButtons();
@@ -92,6 +143,307 @@ export function setupUI({
     );
   }
 
+  // Spawn controls
+  if (controlsPanel) {
+    const spawnSection = createControlSection('🧩 Spawn');
+    spawnSection.appendChild(
+      createSelect(
+        'Shape',
+        getSpawnableShapes().map(([value, entry]) => ({
+          value,
+          label: entry.label,
+        })),
+        spawnSettings.shape,
+        (shape) => {
+          spawnSettings.shape = shape;
+        }
+      )
+    );
+    spawnSection.appendChild(
+      createSelect(
+        'Material',
+        Object.entries(PHYSICAL_MATERIALS).map(([value, preset]) => ({
+          value,
+          label: preset.label,
+        })),
+        spawnSettings.physicalMaterial,
+        (physicalMaterial) => {
+          spawnSettings.physicalMaterial = physicalMaterial;
+        }
+      )
+    );
+    mountSection(controlsPanel, spawnSection);
+  }
+
+  // Blast tool controls
+  let blastToggle = null;
+  if (explosionTool && interactionState && controlsPanel) {
+    const blastSection = createControlSection('💥 Blast Tool');
+    blastToggle = createToggle(
+      'Blast mode (click to explode)',
+      interactionState.mode === 'blast',
+      (enabled) => {
+        interactionState.mode = enabled ? 'blast' : 'drag';
+      }
+    );
+    blastSection.appendChild(blastToggle);
+
+    const { settings } = explosionTool;
+    blastSection.appendChild(
+      createSlider(
+        'Radius',
+        { min: 1, max: 20, step: 0.5, value: settings.radius },
+        (radius) => {
+          settings.radius = radius;
+        }
+      )
+    );
+    blastSection.appendChild(
+      createSlider(
+        'Strength',
+        { min: 1, max: 80, step: 1, value: settings.strength },
+        (strength) => {
+          settings.strength = strength;
+        }
+      )
+    );
+    blastSection.appendChild(
+      createSelect(
+        'Falloff',
+        Object.keys(IMPULSE_FALLOFFS).map((name) => ({
+          value: name,
+          label: name[0].toUpperCase() + name.slice(1),
+        })),
+        settings.falloff,
+        (falloff) => {
+          settings.falloff = falloff;
+        }
+      )
+    );
+    mountSection(controlsPanel, blastSection);
+  }
+
+  // Chain/rope/hinge controls
+  if (constraintSpawner && controlsPanel) {
+    const constraintSection = createControlSection('⛓️ Constraints');
+    Object.entries(CONSTRAINT_STRUCTURES).forEach(([name, structure]) => {
+      const button = createButton(structure.label, () => {
+        constraintSpawner.spawn(name, colorPickerColor, {
+          ...spawnSettings,
+        });
+      });
+      button.style.margin = '0 6px 6px 0';
+      constraintSection.appendChild(button);
+    });
+
+    const { settings } = constraintSpawner;
+    constraintSection.appendChild(
+      createSlider(
+        'Chain/rope length',
+        { min: 2, max: 12, step: 1, value: settings.length },
+        (length) => {
+          settings.length = length;
+        }
+      )
+    );
+    constraintSection.appendChild(
+      createToggle('Breakable links', settings.breakable, (breakable) => {
+        constraintSpawner.setBreakable(breakable);
+      })
+    );
+    constraintSection.appendChild(
+      createSlider(
+        'Break force (N)',
+        { min: 50, max: 3000, step: 50, value: settings.breakForce },
+        (breakForce) => {
+          constraintSpawner.setBreakForce(breakForce);
+        }
+      )
+    );
+    mountSection(controlsPanel, constraintSection);
+  }
+
+  // Pyramid/wall/tower/domino builders
+  if (structureSpawner && controlsPanel) {
+    mountSection(
+      controlsPanel,
+      createStructureSection(structureSpawner, (name) =>
+        structureSpawner.build(name, colorPickerColor, { ...spawnSettings })
+      )
+    );
+  }
+
+  // Terrain controls
+  if (terrainMode && controlsPanel) {
+    mountSection(controlsPanel, createTerrainSection(terrainMode));
+  }
+
+  // Arena walls and kill plane controls
+  if (arena && controlsPanel) {
+    const { settings } = arena;
+    const arenaSection = createControlSection('🏟️ Arena');
+    arenaSection.appendChild(
+      createSelect(
+        'Walls',
+        Object.entries(WALL_STYLES).map(([value, style]) => ({
+          value,
+          label: style.label,
+        })),
+        settings.walls,
+        (walls) => arena.setWalls({ walls })
+      )
+    );
+    arenaSection.appendChild(
+      createSlider(
+        'Arena size',
+        { min: 10, max: 80, step: 5, value: settings.size },
+        (size) => arena.setWalls({ size })
+      )
+    );
+    arenaSection.appendChild(
+      createSlider(
+        'Wall height',
+        { min: 1, max: 20, step: 0.5, value: settings.wallHeight },
+        (wallHeight) => arena.setWalls({ wallHeight })
+      )
+    );
+    arenaSection.appendChild(
+      createToggle('Kill plane', settings.killPlane, (killPlane) => {
+        settings.killPlane = killPlane;
+      })
+    );
+    arenaSection.appendChild(
+      createSlider(
+        'Kill height',
+        { min: -60, max: -6, step: 1, value: settings.killHeight },
+        (killHeight) => {
+          settings.killHeight = killHeight;
+        }
+      )
+    );
+    mountSection(controlsPanel, arenaSection);
+  }
+
+  // Gravity controls
+  if (gravity && controlsPanel) {
+    mountSection(controlsPanel, createGravitySection(gravity));
+  }
+
+  // Fracture controls
+  if (fracture && controlsPanel) {
+    const { settings } = fracture;
+    const fractureSection = createControlSection('💥 Fracture');
+    fractureSection.appendChild(
+      createToggle('Shatter on hard hits', settings.enabled, (enabled) => {
+        settings.enabled = enabled;
+      })
+    );
+    Object.entries(FRACTURE_PARAMS).forEach(([key, param]) => {
+      fractureSection.appendChild(
+        createSlider(
+          param.label,
+          { ...param, value: settings[key] },
+          (value) => {
+            settings[key] = value;
+          }
+        )
+      );
+    });
+    mountSection(controlsPanel, fractureSection);
+  }
+
+  // Light controls
+  if (lights && controlsPanel) {
+    mountSection(controlsPanel, createLightsSection(lights));
+  }
+
+  // Sky controls (the glossy reflections follow the sky)
+  if (sky && controlsPanel) {
+    const skySection = createControlSection('🌅 Sky');
+    skySection.appendChild(
+      createSelect(
+        'Preset',
+        Object.keys(SkyPresets).map((name) => ({
+          value: name,
+          label: name.replaceAll('_', ' ').toLowerCase(),
+        })),
+        'CLEAR_DAY',
+        (name) => sky.applyPreset(name)
+      )
+    );
+    skySection.appendChild(
+      createSlider(
+        'Sun elevation (°)',
+        { min: -10, max: 90, step: 1, value: Math.round(sky.sun.elevation) },
+        (elevation) => sky.setSunPosition(elevation, sky.sun.azimuth)
+      )
+    );
+    skySection.appendChild(
+      createSlider(
+        'Sun azimuth (°)',
+        { min: 0, max: 360, step: 5, value: Math.round(sky.sun.azimuth) },
+        (azimuth) => sky.setSunPosition(sky.sun.elevation, azimuth)
+      )
+    );
+    mountSection(controlsPanel, skySection);
+  }
+
+  // Force field controls
+  if (forceFields && controlsPanel) {
+    mountSection(controlsPanel, createForceFieldSection(forceFields));
+  }
+
+  // Record/replay controls
+  if (recorder && controlsPanel) {
+    mountSection(controlsPanel, createRecorderSection(recorder));
+  }
+
+  // Hero cube controls
+  if (heroCube && controlsPanel) {
+    mountSection(controlsPanel, createHeroCubeSection(heroCube));
+  }
+
+  // Sound controls
+  if (impactAudio && controlsPanel) {
+    const audioSettings = impactAudio.getSettings();
+    const audioSection = createControlSection('🔊 Sound');
+    audioSection.appendChild(
+      createToggle('Mute impacts', audioSettings.muted, (muted) => {
+        impactAudio.setMuted(muted);
+      })
+    );
+    audioSection.appendChild(
+      createSlider(
+        'Volume',
+        { min: 0, max: 1, step: 0.05, value: audioSettings.volume },
+        (volume) => impactAudio.setVolume(volume)
+      )
+    );
+    mountSection(controlsPanel, audioSection);
+  }
+
+  // Physics debug overlay controls
+  if (debugOverlay && controlsPanel) {
+    const { settings } = debugOverlay;
+    const debugSection = createControlSection('🐞 Physics Debug');
+    debugSection.appendChild(
+      createToggle('Show collision shapes', settings.enabled, (enabled) =>
+        debugOverlay.setEnabled(enabled)
+      )
+    );
+    debugSection.appendChild(
+      createToggle('Bounding boxes (AABBs)', settings.showAABBs, (show) => {
+        settings.showAABBs = show;
+      })
+    );
+    debugSection.appendChild(
+      createToggle('Contacts & normals', settings.showContacts, (show) => {
+        settings.showContacts = show;
+      })
+    );
+    mountSection(controlsPanel, debugSection);
+  }
+
   // Setup color picker
   const colorPicker = document.getElementById('color-picker');
   if (colorPicker) {
@@ -105,7 +457,643 @@ export function setupUI({
   return {
     statsPanel,
     shortcutsPanel,
+    chargeIndicator,
     pauseButton,
+    blastToggle,
     colorPicker,
   };
 }
+
+/**
+ * Adds a control section to the controls panel, above the easter egg
+ * @param {HTMLElement} controlsPanel - the controls panel
+ * @param {HTMLElement} section - section from createControlSection
+ */
+function mountSection(controlsPanel, section) {
+  const easterEgg = controlsPanel.querySelector('.easter-egg');
+  controlsPanel.insertBefore(section, easterEgg);
+}
+
+/**
+ * Builds the hero cube section: spin axis/speed, position and scale
+ * @param {Object} heroCube - hero cube controls from initializeGlossyCube
+ * @returns {HTMLElement} the control section
+ */
+function createHeroCubeSection(heroCube) {
+  const section = createControlSection('💎 Hero Cube');
+  const { state, cube } = heroCube;
+  const axis = state.spinAxis.clone().normalize();
+  const position = cube.position.clone();
+
+  ['x', 'y', 'z'].forEach((component) => {
+    section.appendChild(
+      createSlider(
+        `Spin axis ${component.toUpperCase()}`,
+        { min: -1, max: 1, step: 0.05, value: +axis[component].toFixed(2) },
+        (value) => {
+          axis[component] = value;
+          heroCube.setSpinAxis(axis.x, axis.y, axis.z);
+        }
+      )
+    );
+  });
+
+  section.appendChild(
+    createSlider(
+      'Spin speed (rad/s)',
+      { min: 0, max: 6, step: 0.05, value: +state.spinSpeed.toFixed(2) },
+      (speed) => heroCube.setSpinSpeed(speed)
+    )
+  );
+
+  const positionRanges = { x: [-10, 10], y: [-4, 10], z: [-10, 10] };
+  ['x', 'y', 'z'].forEach((component) => {
+    const [min, max] = positionRanges[component];
+    section.appendChild(
+      createSlider(
+        `Position ${component.toUpperCase()}`,
+        { min, max, step: 0.1, value: position[component] },
+        (value) => {
+          position[component] = value;
+          heroCube.setPosition(position.x, position.y, position.z);
+        }
+      )
+    );
+  });
+
+  section.appendChild(
+    createSlider(
+      'Scale',
+      { min: 0.25, max: 4, step: 0.05, value: state.scale },
+      (scale) => heroCube.setScale(scale)
+    )
+  );
+
+  return section;
+}
+
+/**
+ * Builds the structures section: a structure picker, sliders for the
+ * picked structure's settings and a build button
+ * @param {Object} structureSpawner - structure spawner from createStructureSpawner
+ * @param {Function} onBuild - called with the picked structure's name
+ * @returns {HTMLElement} the control section
+ */
+function createStructureSection(structureSpawner, onBuild) {
+  const section = createControlSection('🏛️ Structures');
+  let picked = Object.keys(STRUCTURES)[0];
+  const params = document.createElement('div');
+
+  const showParams = () => {
+    const values = structureSpawner.settings[picked];
+    params.replaceChildren(
+      ...Object.entries(STRUCTURES[picked].params).map(([key, param]) =>
+        createSlider(param.label, { ...param, value: values[key] }, (value) => {
+          values[key] = value;
+        })
+      )
+    );
+  };
+
+  section.appendChild(
+    createSelect(
+      'Structure',
+      Object.entries(STRUCTURES).map(([value, structure]) => ({
+        value,
+        label: structure.label,
+      })),
+      picked,
+      (name) => {
+        picked = name;
+        showParams();
+      }
+    )
+  );
+  showParams();
+
+  const buildButton = createButton(
+    '🏗️ Build',
+    () => onBuild(picked),
+    '#ffaa00'
+  );
+  section.append(params, buildButton);
+
+  return section;
+}
+
+/**
+ * Builds the terrain section: flat/terrain toggle, terrain settings and
+ * buttons to rebuild it (settings only take effect on a rebuild)
+ * @param {Object} terrainMode - terrain mode from createTerrainMode
+ * @returns {HTMLElement} the control section
+ */
+function createTerrainSection(terrainMode) {
+  const section = createControlSection('🏔️ Terrain');
+  const { settings } = terrainMode;
+
+  const terrainToggle = createToggle(
+    'Terrain mode',
+    settings.enabled,
+    (enabled) => terrainMode.setEnabled(enabled)
+  );
+  section.appendChild(terrainToggle);
+  // Building a structure switches terrain off from outside the panel
+  terrainMode.onChange(() => {
+    terrainToggle.input.checked = settings.enabled;
+  });
+
+  const sliders = {};
+  Object.entries(TERRAIN_PARAMS).forEach(([key, param]) => {
+    sliders[key] = createSlider(
+      param.label,
+      { ...param, value: settings[key] },
+      (value) => {
+        settings[key] = value;
+      }
+    );
+    section.appendChild(sliders[key]);
+  });
+
+  const regenerateButton = createButton(
+    '🔄 Regenerate',
+    () => terrainMode.regenerate(),
+    '#66dd88'
+  );
+  const seedButton = createButton(
+    '🎲 New Seed',
+    () => {
+      const seed = terrainMode.randomizeSeed();
+      sliders.seed.input.value = seed;
+      sliders.seed.querySelector('.control-value').textContent = seed;
+    },
+    '#66dd88'
+  );
+  regenerateButton.style.margin = '0 6px 6px 0';
+  section.append(regenerateButton, seedButton);
+
+  return section;
+}
+
+/**
+ * Builds the gravity section: presets, strength, tilt and tilt mode
+ * (kept in sync when the arrow keys or the G shortcut change gravity)
+ * @param {Object} gravity - gravity controller from createGravityController
+ * @returns {HTMLElement} the control section
+ */
+function createGravitySection(gravity) {
+  const section = createControlSection('🪐 Gravity');
+  const { settings } = gravity;
+
+  const presetSelect = createSelect(
+    'Preset',
+    [
+      ...Object.entries(GRAVITY_PRESETS).map(([value, preset]) => ({
+        value,
+        label: `${preset.label} (${preset.magnitude} m/s²)`,
+      })),
+      { value: 'custom', label: 'Custom' },
+    ],
+    gravity.getPreset() || 'custom',
+    (name) => {
+      if (GRAVITY_PRESETS[name]) {
+        gravity.setPreset(name);
+      }
+    }
+  );
+  const magnitudeSlider = createSlider(
+    'Strength (m/s²)',
+    { min: 0, max: 30, step: 0.01, value: settings.magnitude },
+    (magnitude) => gravity.set({ magnitude })
+  );
+  const tiltSliders = {
+    tiltX: createSlider(
+      'Tilt forward (°)',
+      { min: -MAX_TILT, max: MAX_TILT, step: 1, value: settings.tiltX },
+      (tiltX) => gravity.set({ tiltX })
+    ),
+    tiltZ: createSlider(
+      'Tilt right (°)',
+      { min: -MAX_TILT, max: MAX_TILT, step: 1, value: settings.tiltZ },
+      (tiltZ) => gravity.set({ tiltZ })
+    ),
+  };
+  const tiltToggle = createToggle(
+    'Tilt mode (arrow keys)',
+    settings.tiltMode,
+    (enabled) => gravity.setTiltMode(enabled)
+  );
+  const resetButton = createButton(
+    '⬇️ Reset Tilt',
+    () => gravity.resetTilt(),
+    '#cc99ff'
+  );
+
+  section.append(
+    presetSelect,
+    magnitudeSlider,
+    tiltSliders.tiltX,
+    tiltSliders.tiltZ,
+    tiltToggle,
+    resetButton
+  );
+
+  const showValue = (slider, value) => {
+    slider.input.value = value;
+    slider.querySelector('.control-value').textContent =
+      Math.round(value * 100) / 100;
+  };
+  gravity.onChange(() => {
+    presetSelect.input.value = gravity.getPreset() || 'custom';
+    showValue(magnitudeSlider, settings.magnitude);
+    showValue(tiltSliders.tiltX, settings.tiltX);
+    showValue(tiltSliders.tiltZ, settings.tiltZ);
+    tiltToggle.input.checked = settings.tiltMode;
+  });
+
+  return section;
+}
+
+/**
+ * Builds the lights section: a helpers toggle, an "add light" picker
+ * and one block of controls per light
+ * @param {Object} lights - light manager from setupLighting
+ * @returns {HTMLElement} the control section
+ */
+function createLightsSection(lights) {
+  const section = createControlSection('💡 Lights');
+
+  section.appendChild(
+    createToggle('Show helpers', lights.settings.showHelpers, (visible) =>
+      lights.setHelpersVisible(visible)
+    )
+  );
+  section.appendChild(
+    createSelect(
+      'Shadow quality',
+      Object.entries(SHADOW_QUALITIES).map(([value, quality]) => ({
+        value,
+        label: quality.label,
+      })),
+      lights.settings.shadowQuality,
+      (quality) => lights.setShadowQuality(quality)
+    )
+  );
+
+  let typeToAdd = Object.keys(LIGHT_TYPES)[0];
+  section.appendChild(
+    createSelect(
+      'Light type',
+      Object.entries(LIGHT_TYPES).map(([value, type]) => ({
+        value,
+        label: type.label,
+      })),
+      typeToAdd,
+      (typeName) => {
+        typeToAdd = typeName;
+        syncAddButton();
+      }
+    )
+  );
+
+  const list = document.createElement('div');
+  const addButton = createButton(
+    '➕ Add Light',
+    () => {
+      const entry = lights.add(typeToAdd);
+      if (entry) {
+        list.appendChild(createLightEntry(lights, entry, syncAddButton));
+      }
+      syncAddButton();
+    },
+    '#ffcc00'
+  );
+
+  // The shader only has room for so many lights of each type
+  const syncAddButton = () => {
+    addButton.disabled = !lights.canAdd(typeToAdd);
+  };
+
+  lights.lights.forEach((entry) => {
+    list.appendChild(createLightEntry(lights, entry, syncAddButton));
+  });
+  syncAddButton();
+  section.append(addButton, list);
+
+  return section;
+}
+
+/**
+ * Builds the controls for one light
+ * @param {Object} lights - light manager
+ * @param {Object} entry - entry from lights.add() or lights.register()
+ * @param {Function} onRemove - called after the light is removed
+ * @returns {HTMLElement} the light's control block
+ */
+function createLightEntry(lights, entry, onRemove) {
+  const type = LIGHT_TYPES[entry.type];
+  const { light } = entry;
+  const block = document.createElement('div');
+  block.className = 'light-entry';
+
+  const header = document.createElement('div');
+  header.className = 'light-header';
+  const title = document.createElement('span');
+  title.textContent = `${type.label} #${entry.id}`;
+  const removeButton = createButton(
+    '✕',
+    () => {
+      lights.remove(entry);
+      block.remove();
+      onRemove();
+    },
+    '#ff6600'
+  );
+  removeButton.style.padding = '2px 8px';
+  header.append(title, removeButton);
+  block.appendChild(header);
+
+  block.appendChild(
+    createColorInput(
+      type.groundColor ? 'Sky color' : 'Color',
+      `#${light.color.getHexString()}`,
+      (color) => lights.setColor(entry, color)
+    )
+  );
+  if (type.groundColor) {
+    block.appendChild(
+      createColorInput(
+        'Ground color',
+        `#${light.groundColor.getHexString()}`,
+        (color) => lights.setColor(entry, color, 'groundColor')
+      )
+    );
+  }
+
+  // Only the first shadow-casting light of a type gets shadows in the shader
+  if (type.shadow) {
+    block.appendChild(
+      createToggle('Cast shadows', entry.castShadow, (castShadow) =>
+        lights.setCastShadow(entry, castShadow)
+      )
+    );
+  }
+
+  // Directional and hemisphere lights only use the position as a direction
+  const positionRanges = { x: [-20, 20], y: [-5, 20], z: [-20, 20] };
+  ['x', 'y', 'z'].forEach((component) => {
+    const [min, max] = positionRanges[component];
+    block.appendChild(
+      createSlider(
+        `Position ${component.toUpperCase()}`,
+        { min, max, step: 0.5, value: light.position[component] },
+        (value) => lights.set(entry, component, value)
+      )
+    );
+  });
+
+  Object.entries(type.params).forEach(([key, param]) => {
+    block.appendChild(
+      createSlider(
+        param.label,
+        { ...param, value: getLightParam(light, key) },
+        (value) => lights.set(entry, key, value)
+      )
+    );
+  });
+
+  return block;
+}
+
+/**
+ * Builds the force field section: global toggles, an "add field" picker
+ * and one block of sliders per placed field
+ * @param {Object} forceFields - force field manager from createForceFieldManager
+ * @returns {HTMLElement} the control section
+ */
+function createForceFieldSection(forceFields) {
+  const section = createControlSection('🌀 Force Fields');
+  const { settings } = forceFields;
+
+  section.appendChild(
+    createToggle('Fields active', settings.enabled, (enabled) =>
+      forceFields.setEnabled(enabled)
+    )
+  );
+  section.appendChild(
+    createToggle('Show gizmos', settings.showGizmos, (visible) =>
+      forceFields.setGizmosVisible(visible)
+    )
+  );
+
+  let typeToAdd = Object.keys(FORCE_FIELD_TYPES)[0];
+  section.appendChild(
+    createSelect(
+      'Field type',
+      Object.entries(FORCE_FIELD_TYPES).map(([value, type]) => ({
+        value,
+        label: type.label,
+      })),
+      typeToAdd,
+      (typeName) => {
+        typeToAdd = typeName;
+      }
+    )
+  );
+
+  const list = document.createElement('div');
+  const addButton = createButton(
+    '➕ Add Field',
+    () => {
+      // Start just above the floor so the field catches landed cubes too
+      const field = forceFields.add(typeToAdd, { x: 0, y: -3, z: 0 });
+      if (field) {
+        list.appendChild(createForceFieldEntry(forceFields, field));
+      }
+    },
+    '#aa88ff'
+  );
+  section.append(addButton, list);
+
+  return section;
+}
+
+/**
+ * Builds the controls for one placed force field
+ * @param {Object} forceFields - force field manager
+ * @param {Object} field - field returned by forceFields.add()
+ * @returns {HTMLElement} the field's control block
+ */
+function createForceFieldEntry(forceFields, field) {
+  const type = FORCE_FIELD_TYPES[field.type];
+  const entry = document.createElement('div');
+  entry.className = 'force-field-entry';
+
+  const header = document.createElement('div');
+  header.className = 'force-field-header';
+  const title = document.createElement('span');
+  title.textContent = `${type.label} #${field.id}`;
+  const removeButton = createButton(
+    '✕',
+    () => {
+      forceFields.remove(field);
+      entry.remove();
+    },
+    '#ff6600'
+  );
+  removeButton.style.padding = '2px 8px';
+  header.append(title, removeButton);
+  entry.appendChild(header);
+
+  entry.appendChild(
+    createToggle('Enabled', field.enabled, (enabled) =>
+      forceFields.set(field, 'enabled', enabled)
+    )
+  );
+
+  const positionRanges = { x: [-20, 20], y: [-5, 15], z: [-20, 20] };
+  ['x', 'y', 'z'].forEach((component) => {
+    const [min, max] = positionRanges[component];
+    entry.appendChild(
+      createSlider(
+        `Position ${component.toUpperCase()}`,
+        { min, max, step: 0.5, value: field.position[component] },
+        (value) => forceFields.set(field, component, value)
+      )
+    );
+  });
+
+  Object.entries(type.params).forEach(([key, param]) => {
+    entry.appendChild(
+      createSlider(param.label, { ...param, value: field[key] }, (value) =>
+        forceFields.set(field, key, value)
+      )
+    );
+  });
+
+  return entry;
+}
+
+/**
+ * Builds the recorder section: record, replay, export/import and a
+ * timeline scrubber over the recorded frames
+ * @param {Object} recorder - session recorder from createRecorder
+ * @returns {HTMLElement} the control section
+ */
+function createRecorderSection(recorder) {
+  const section = createControlSection('📼 Recorder');
+
+  const status = document.createElement('div');
+  status.className = 'recorder-status';
+
+  const recordButton = createButton(
+    '⏺ Record',
+    () => {
+      if (recorder.getMode() === 'recording') {
+        recorder.stopRecording();
+      } else {
+        recorder.startRecording();
+      }
+    },
+    '#ff3366'
+  );
+
+  const playButton = createButton(
+    '▶ Replay',
+    () => {
+      if (recorder.isPlaying()) {
+        recorder.pause();
+      } else {
+        recorder.play();
+      }
+    },
+    '#00cc88'
+  );
+
+  const stopButton = createButton(
+    '⏏ Exit Replay',
+    () => recorder.stop(),
+    '#888888'
+  );
+
+  const exportButton = createButton('💾 Export', () => {
+    const json = recorder.export();
+    if (!json) return;
+    const url = URL.createObjectURL(
+      new Blob([json], { type: 'application/json' })
+    );
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `glossy-cube-session-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    const [file] = fileInput.files;
+    fileInput.value = '';
+    if (!file) return;
+    file.text().then((json) => {
+      if (!recorder.load(json)) {
+        status.textContent = '⚠️ Not a valid recording';
+      }
+    });
+  });
+  const importButton = createButton('📂 Import', () => fileInput.click());
+
+  const buttons = document.createElement('div');
+  buttons.className = 'recorder-buttons';
+  buttons.append(
+    recordButton,
+    playButton,
+    stopButton,
+    exportButton,
+    importButton
+  );
+
+  const scrubber = createSlider(
+    'Frame',
+    { min: 0, max: 0, step: 1, value: 0 },
+    (frame) => recorder.seek(frame)
+  );
+  const scrubberReadout = scrubber.querySelector('.control-value');
+
+  const refresh = () => {
+    const mode = recorder.getMode();
+    const recording = recorder.getRecording();
+    const frameCount = recording ? recording.frames.length : 0;
+    const frame = mode === 'replaying' ? recorder.getFrame() : frameCount;
+
+    recordButton.textContent =
+      mode === 'recording' ? '⏹ Stop Recording' : '⏺ Record';
+    playButton.textContent = recorder.isPlaying() ? '⏸ Pause' : '▶ Replay';
+    playButton.disabled = !recording || mode === 'recording';
+    stopButton.disabled = mode !== 'replaying';
+    exportButton.disabled = !recording || mode === 'recording';
+    scrubber.input.disabled = !recording || mode === 'recording';
+
+    scrubber.input.max = frameCount;
+    scrubber.input.value = frame;
+    scrubberReadout.textContent = `${frame}/${frameCount}`;
+
+    if (mode === 'recording') {
+      status.textContent = `🔴 Recording… ${frameCount} steps`;
+    } else if (mode === 'replaying') {
+      status.textContent = recorder.isPlaying()
+        ? '▶ Replaying'
+        : '⏸ Replay paused';
+    } else {
+      status.textContent = recording
+        ? `${frameCount} steps recorded`
+        : 'Nothing recorded yet';
+    }
+  };
+  recorder.onChange(refresh);
+  refresh();
+
+  section.append(status, buttons, fileInput, scrubber);
+  return section;
+}